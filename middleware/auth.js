@@ -1,8 +1,27 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import { getRolePermissions } from '../services/permissions.js';
+import { findDeviceByKey, touchDevice } from '../services/deviceKeys.js';
+import { isPasswordExpired } from '../services/passwordPolicy.js';
 
-// Middleware to protect routes - requires valid JWT token
-export const protect = async (req, res, next) => {
+// Load the session an access token was issued for, if it is still usable
+const findActiveSession = async (decoded) => {
+    if (!decoded.sid) return null;
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive || session.userId.toString() !== decoded.id) {
+        return null;
+    }
+
+    return session;
+};
+
+// Build authentication middleware - requires valid JWT token
+// enforceTwoFactor: block users whose role must use 2FA until they have enrolled
+// enforcePasswordAge: block users whose password is older than PASSWORD_MAX_AGE_DAYS
+const authenticate = ({ enforceTwoFactor, enforcePasswordAge }) => async (req, res, next) => {
     let token;
 
     // Check if token exists in headers
@@ -14,6 +33,16 @@ export const protect = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Check that the session has not been revoked
+            const session = await findActiveSession(decoded);
+            if (!session) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has expired or been revoked'
+                });
+            }
+            req.authSession = session;
+
             // Get user from token
             req.user = await User.findById(decoded.id).select('-password');
 
@@ -32,6 +61,27 @@ export const protect = async (req, res, next) => {
                 });
             }
 
+            // Check two-factor policy compliance
+            if (enforceTwoFactor && !req.user.twoFactor?.enabled) {
+                const policy = await SecurityPolicy.getPolicy();
+                if (policy.requiresTwoFactor(req.user.role)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Two-factor authentication must be set up before accessing this resource',
+                        twoFactorSetupRequired: true
+                    });
+                }
+            }
+
+            // Check password age
+            if (enforcePasswordAge && isPasswordExpired(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Your password has expired and must be changed',
+                    passwordChangeRequired: true
+                });
+            }
+
             next();
         } catch (error) {
             console.error('Token verification error:', error);
@@ -50,6 +100,17 @@ export const protect = async (req, res, next) => {
     }
 };
 
+// Middleware to protect routes
+export const protect = authenticate({ enforceTwoFactor: true, enforcePasswordAge: true });
+
+// Same as protect, but lets users who still have to enrol in 2FA through
+// (the 2FA setup routes themselves)
+export const protectAllowTwoFactorSetup = authenticate({ enforceTwoFactor: false, enforcePasswordAge: true });
+
+// Same as protect, but lets users with pending 2FA enrolment or an expired
+// password through (profile, logout and change password)
+export const protectAllowAccountSetup = authenticate({ enforceTwoFactor: false, enforcePasswordAge: false });
+
 // Middleware to authorize specific roles
 export const authorize = (...roles) => {
     return (req, res, next) => {
@@ -71,6 +132,110 @@ export const authorize = (...roles) => {
     };
 };
 
+// Check whether unverified email addresses are blocked for a scope ('login' or 'staff')
+// REQUIRE_EMAIL_VERIFICATION: none (default) | staff | login (blocking login also covers staff routes)
+export const isEmailVerificationRequired = (scope) => {
+    const mode = process.env.REQUIRE_EMAIL_VERIFICATION || 'none';
+    if (mode === 'login') return true;
+    return mode === 'staff' && scope === 'staff';
+};
+
+// Build permission middleware - `mode` is 'all' or 'any'
+const checkPermissions = (mode, permissions) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, no user found'
+            });
+        }
+
+        // Permission-guarded routes are staff routes
+        if (!req.user.isVerified && isEmailVerificationRequired('staff')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Email address must be verified before accessing this resource',
+                emailVerificationRequired: true
+            });
+        }
+
+        try {
+            req.permissions = await getRolePermissions(req.user.role);
+        } catch (error) {
+            console.error('Permission lookup error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+
+        const granted = mode === 'all'
+            ? permissions.every(permission => req.permissions.includes(permission))
+            : permissions.some(permission => req.permissions.includes(permission));
+
+        if (!granted) {
+            return res.status(403).json({
+                success: false,
+                message: `User role '${req.user.role}' lacks the required permission: ${permissions.join(mode === 'all' ? ' and ' : ' or ')}`
+            });
+        }
+
+        next();
+    };
+};
+
+// Middleware to require every listed permission
+export const requirePermission = (...permissions) => checkPermissions('all', permissions);
+
+// Middleware to require at least one of the listed permissions
+export const requireAnyPermission = (...permissions) => checkPermissions('any', permissions);
+
+// Check a permission inside a handler (after requirePermission has run)
+export const userCan = (req, permission) => {
+    return Boolean(req.permissions && req.permissions.includes(permission));
+};
+
+// Middleware for routes used by kiosks/scanners as well as staff:
+// an `X-API-Key` header authenticates a Device that must hold `scope`,
+// otherwise the request goes through protect + requirePermission(...permissions)
+export const protectUserOrDevice = (scope, ...permissions) => {
+    const requireUserPermission = checkPermissions('all', permissions);
+
+    return async (req, res, next) => {
+        const apiKey = req.get('x-api-key');
+        if (!apiKey) {
+            return protect(req, res, () => requireUserPermission(req, res, next));
+        }
+
+        try {
+            const device = await findDeviceByKey(apiKey);
+            if (!device) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or revoked API key'
+                });
+            }
+
+            if (!device.hasScope(scope)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Device is not authorized for '${scope}'`
+                });
+            }
+
+            await touchDevice(device, req.ip);
+            req.device = device;
+            next();
+        } catch (error) {
+            console.error('Device authentication error:', error);
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, API key failed'
+            });
+        }
+    };
+};
+
 // Specific role middlewares for convenience
 export const requirePatient = authorize('patient');
 export const requireReception = authorize('reception');
@@ -86,7 +251,12 @@ export const optionalAuth = async (req, res, next) => {
         try {
             token = req.headers.authorization.split(' ')[1];
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = await User.findById(decoded.id).select('-password');
+            const session = await findActiveSession(decoded);
+            const user = session ? await User.findById(decoded.id).select('-password') : null;
+            if (user && user.isActive) {
+                req.user = user;
+                req.authSession = session;
+            }
         } catch (error) {
             // Token is invalid, but we don't fail the request
             console.log('Optional auth: Invalid token');
@@ -96,10 +266,10 @@ export const optionalAuth = async (req, res, next) => {
     next();
 };
 
-// Generate JWT token
-export const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate short-lived JWT access token bound to a session
+export const generateToken = (id, sessionId) => {
+    return jwt.sign({ id: id.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_EXPIRE || '15m'
     });
 };
 
@@ -107,6 +277,8 @@ export const generateToken = (id) => {
 export const getUserFromToken = async (token) => {
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const session = await findActiveSession(decoded);
+        if (!session) return null;
         return await User.findById(decoded.id).select('-password');
     } catch (error) {
         return null;
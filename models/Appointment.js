@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { fieldEncryptionPlugin } from '../services/fieldEncryption.js';
 
 const appointmentSchema = new mongoose.Schema({
     // Patient reference
@@ -82,13 +83,41 @@ const appointmentSchema = new mongoose.Schema({
         reminderTime: {
             type: Number, // hours before appointment
             default: 24
-        }
+        },
+        // Outcome per channel once the reminder is due (see services/appointmentReminders.js)
+        processedAt: Date,
+        outcomes: [{
+            _id: false,
+            channel: {
+                type: String,
+                enum: ['sms', 'email']
+            },
+            status: {
+                type: String,
+                enum: ['sent', 'no-consent', 'no-contact', 'unavailable', 'failed']
+            }
+        }]
     },
 
     // Actual times (filled when appointment starts/completes)
     actualStartTime: Date,
     actualEndTime: Date,
 
+    // Identifiers assigned by other systems (see /api/fhir)
+    identifiers: [{
+        _id: false,
+        system: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        value: {
+            type: String,
+            required: true,
+            trim: true
+        }
+    }],
+
     // Created by
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -113,6 +142,11 @@ appointmentSchema.index({ doctorId: 1, appointmentDate: 1 });
 appointmentSchema.index({ patientId: 1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ type: 1 });
+appointmentSchema.index({ 'identifiers.system': 1, 'identifiers.value': 1 });
+appointmentSchema.index({ 'reminders.processedAt': 1, appointmentDate: 1 });
+
+// Encrypt the symptoms like on the patient record
+appointmentSchema.plugin(fieldEncryptionPlugin, { fields: ['symptoms'] });
 
 // Virtual for appointment date and time
 appointmentSchema.virtual('appointmentDateTime').get(function () {
@@ -180,6 +214,15 @@ appointmentSchema.pre('save', async function (next) {
     }
 });
 
+// Pre-save middleware to send the reminder again when the appointment is moved
+appointmentSchema.pre('save', function (next) {
+    if (!this.isNew && (this.isModified('appointmentDate') || this.isModified('startTime'))) {
+        this.reminders.processedAt = undefined;
+        this.reminders.outcomes = [];
+    }
+    next();
+});
+
 // Static method to get appointments for a specific date
 appointmentSchema.statics.getAppointmentsByDate = function (date, doctorId = null) {
     const query = { appointmentDate: date };
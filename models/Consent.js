@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+
+export const CONSENT_TYPES = [
+    'treatment',
+    'data-sharing',
+    'contact-sms',
+    'contact-email',
+    'research'
+];
+
+// How a consent (or its revocation) was captured
+export const CONSENT_CHANNELS = [
+    'in-person',
+    'paper-form',
+    'phone',
+    'patient-portal',
+    'kiosk'
+];
+
+const consentSchema = new mongoose.Schema({
+    // Patient who gave the consent
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+
+    // What was consented to, and to which version of the consent text
+    type: {
+        type: String,
+        enum: CONSENT_TYPES,
+        required: true
+    },
+    textVersion: {
+        type: String,
+        required: [true, 'The version of the consent text is required'],
+        trim: true,
+        maxlength: [50, 'Version cannot exceed 50 characters']
+    },
+
+    // A newer consent of the same type supersedes this one, a revocation ends it
+    status: {
+        type: String,
+        enum: ['active', 'superseded', 'revoked'],
+        default: 'active'
+    },
+
+    // Capture
+    grantedAt: {
+        type: Date,
+        default: Date.now
+    },
+    channel: {
+        type: String,
+        enum: CONSENT_CHANNELS,
+        required: true
+    },
+    capturedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Scan of the signed form (a 'consent-form' document)
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+
+    // Revocation
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revocationChannel: {
+        type: String,
+        enum: CONSENT_CHANNELS
+    },
+    revocationReason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    // Newer consent that replaced this one
+    supersededBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Consent'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+consentSchema.index({ patientId: 1, type: 1, grantedAt: -1 });
+// One active consent per patient and type
+consentSchema.index({ patientId: 1, type: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+// Static method to record a consent, superseding the active one of the same type
+consentSchema.statics.grant = async function (patientId, { type, textVersion, channel, user, documentId, notes }) {
+    const consent = new this({
+        patientId,
+        type,
+        textVersion,
+        channel,
+        capturedBy: user?._id,
+        documentId,
+        notes
+    });
+
+    const previous = await this.findOne({ patientId, type, status: 'active' });
+    if (previous) {
+        previous.status = 'superseded';
+        previous.supersededBy = consent._id;
+        await previous.save();
+    }
+
+    await consent.save();
+    return { consent, previous };
+};
+
+// Static method to check whether a patient currently consents to something
+consentSchema.statics.isGranted = async function (patientId, type) {
+    return Boolean(await this.exists({ patientId, type, status: 'active' }));
+};
+
+// Static method to find which of the given patients currently consent to something
+consentSchema.statics.findConsentingPatientIds = async function (patientIds, type) {
+    const patientsWithConsent = await this.distinct('patientId', { patientId: { $in: patientIds }, type, status: 'active' });
+    return new Set(patientsWithConsent.map(id => id.toString()));
+};
+
+// Static method to get the current state of every consent type for a patient
+consentSchema.statics.getState = async function (patientId) {
+    const active = await this.find({ patientId, status: 'active' });
+
+    return Object.fromEntries(CONSENT_TYPES.map(type => {
+        const consent = active.find(entry => entry.type === type);
+        return [type, consent
+            ? { granted: true, consentId: consent._id, textVersion: consent.textVersion, grantedAt: consent.grantedAt, channel: consent.channel }
+            : { granted: false }];
+    }));
+};
+
+// Method to revoke the consent
+consentSchema.methods.revoke = function ({ user, channel, reason } = {}) {
+    this.status = 'revoked';
+    this.revokedAt = new Date();
+    this.revokedBy = user?._id;
+    this.revocationChannel = channel;
+    this.revocationReason = reason;
+    return this.save();
+};
+
+// Ensure virtual fields are serialized
+consentSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const Consent = mongoose.model('Consent', consentSchema);
+
+export default Consent;
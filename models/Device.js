@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const DEVICE_SCOPES = ['scan', 'check-in', 'display-board'];
+
+const deviceSchema = new mongoose.Schema({
+    // Device details
+    name: {
+        type: String,
+        required: [true, 'Device name is required'],
+        trim: true,
+        maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        enum: ['qr-scanner', 'kiosk', 'display-board'],
+        required: [true, 'Device type is required']
+    },
+    location: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Location cannot exceed 200 characters']
+    },
+
+    // Operations the key may perform
+    scopes: [{
+        type: String,
+        enum: DEVICE_SCOPES
+    }],
+
+    // API key (only the SHA-256 hash is stored, the prefix identifies the key in lists)
+    keyPrefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    keyRotatedAt: Date,
+
+    // Status
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Usage tracking
+    lastSeenAt: Date,
+    lastSeenIp: String,
+
+    // Created by
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+deviceSchema.index({ keyHash: 1 }, { unique: true });
+deviceSchema.index({ isActive: 1 });
+
+// Method to check if the device may perform an operation
+deviceSchema.methods.hasScope = function (scope) {
+    return this.isActive && !this.revokedAt && this.scopes.includes(scope);
+};
+
+// Ensure virtual fields are serialized
+deviceSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const Device = mongoose.model('Device', deviceSchema);
+
+export default Device;
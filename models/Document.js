@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+const documentSchema = new mongoose.Schema({
+    // Patient the document belongs to
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    encounterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Encounter'
+    },
+
+    // Description
+    category: {
+        type: String,
+        enum: ['lab-report', 'referral-letter', 'insurance-card', 'identification', 'imaging', 'prescription', 'consent-form', 'other'],
+        required: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Document title is required'],
+        trim: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+
+    // File information
+    originalName: {
+        type: String,
+        required: true
+    },
+    storedName: {
+        type: String,
+        required: true,
+        select: false
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    checksum: String,
+
+    // Upload information
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Deleted documents keep their metadata, the file itself is removed
+    status: {
+        type: String,
+        enum: ['active', 'deleted'],
+        default: 'active'
+    },
+    deletedAt: Date,
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    deleteReason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    // Download tracking
+    downloadCount: {
+        type: Number,
+        default: 0
+    },
+    lastDownloadedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+documentSchema.index({ patientId: 1, status: 1, createdAt: -1 });
+documentSchema.index({ encounterId: 1 });
+documentSchema.index({ category: 1 });
+
+// Method to record a download
+documentSchema.methods.recordDownload = function () {
+    this.downloadCount += 1;
+    this.lastDownloadedAt = new Date();
+    return this.constructor.updateOne(
+        { _id: this._id },
+        { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: this.lastDownloadedAt } }
+    );
+};
+
+// Ensure virtual fields are serialized
+documentSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.storedName;
+        return ret;
+    }
+});
+
+const Document = mongoose.model('Document', documentSchema);
+
+export default Document;
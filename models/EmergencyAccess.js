@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+const emergencyAccessSchema = new mongoose.Schema({
+    // Who broke the glass and for which patient
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+
+    // Justification entered by the user
+    reason: {
+        type: String,
+        required: [true, 'A reason is required for emergency access'],
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    // Access window
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Client information
+    ipAddress: String,
+    userAgent: {
+        type: String,
+        maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+
+    // Usage while the grant was active
+    accessCount: {
+        type: Number,
+        default: 0
+    },
+    lastAccessedAt: Date,
+
+    // Every grant is flagged for review
+    reviewStatus: {
+        type: String,
+        enum: ['pending', 'justified', 'unjustified'],
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNotes: {
+        type: String,
+        maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+emergencyAccessSchema.index({ userId: 1, patientId: 1, expiresAt: -1 });
+emergencyAccessSchema.index({ reviewStatus: 1, createdAt: -1 });
+emergencyAccessSchema.index({ patientId: 1, createdAt: -1 });
+
+// Virtual for whether the grant still gives access
+emergencyAccessSchema.virtual('isActive').get(function () {
+    return this.expiresAt > new Date();
+});
+
+// Static method to find a user's active grant for a patient
+emergencyAccessSchema.statics.findActiveGrant = function (userId, patientId) {
+    return this.findOne({
+        userId,
+        patientId,
+        expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: -1 });
+};
+
+// Method to record that the grant was used to view or edit the record
+emergencyAccessSchema.methods.recordUse = function () {
+    this.accessCount += 1;
+    this.lastAccessedAt = new Date();
+    return this.constructor.updateOne(
+        { _id: this._id },
+        { $inc: { accessCount: 1 }, $set: { lastAccessedAt: this.lastAccessedAt } }
+    );
+};
+
+// Ensure virtual fields are serialized
+emergencyAccessSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const EmergencyAccess = mongoose.model('EmergencyAccess', emergencyAccessSchema);
+
+export default EmergencyAccess;
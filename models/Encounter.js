@@ -0,0 +1,255 @@
+import mongoose from 'mongoose';
+import { fieldEncryptionPlugin } from '../services/fieldEncryption.js';
+
+// Triage vitals (mmHg, bpm, °C, %, breaths/min, kg, cm, 0-10)
+const vitalsSchema = new mongoose.Schema({
+    bloodPressure: {
+        systolic: Number,
+        diastolic: Number
+    },
+    heartRate: Number,
+    temperature: Number,
+    oxygenSaturation: Number,
+    respiratoryRate: Number,
+    weight: Number,
+    height: Number,
+    painScore: Number,
+
+    // Computed when the reading is recorded
+    bmi: Number,
+    flags: [{
+        _id: false,
+        vital: String,
+        value: Number,
+        level: {
+            type: String,
+            enum: ['abnormal', 'critical']
+        },
+        direction: {
+            type: String,
+            enum: ['low', 'high']
+        },
+        message: String
+    }],
+
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    recordedByDevice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device'
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Prescriptions written during the visit
+const prescriptionSchema = new mongoose.Schema({
+    // Entry created on the patient's medication list
+    medicationId: mongoose.Schema.Types.ObjectId,
+    name: {
+        type: String,
+        required: true
+    },
+    dosage: String,
+    frequency: String,
+    route: String,
+    durationDays: Number,
+    instructions: {
+        type: String,
+        maxlength: [500, 'Instructions cannot exceed 500 characters']
+    },
+
+    // Conflict warnings shown to the prescriber
+    warnings: [{
+        _id: false,
+        type: {
+            type: String
+        },
+        severity: String,
+        message: String,
+        conflictsWith: String
+    }],
+
+    prescribedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    prescribedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const encounterSchema = new mongoose.Schema({
+    // Patient and the queue entry / appointment the visit came from
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    queueId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Queue'
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+
+    // Complaint as reported at check-in
+    chiefComplaint: {
+        type: String,
+        required: [true, 'Chief complaint is required'],
+        trim: true,
+        maxlength: [1000, 'Chief complaint cannot exceed 1000 characters']
+    },
+
+    // Result of the symptom analysis at check-in
+    symptomAnalysis: {
+        specializations: [String],
+        priority: {
+            type: String,
+            enum: ['low', 'medium', 'high', 'emergency']
+        },
+        matchedSymptoms: [String],
+        confidence: Number
+    },
+
+    visitType: {
+        type: String,
+        enum: ['walk-in', 'appointment', 'emergency', 'follow-up'],
+        default: 'walk-in'
+    },
+
+    // Vital signs taken during the visit (oldest first)
+    vitals: [vitalsSchema],
+
+    // Prescriptions written during the visit
+    prescriptions: [prescriptionSchema],
+
+    // Doctor who saw (or is going to see) the patient
+    assignedDoctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Identifiers assigned by other systems (see /api/fhir)
+    identifiers: [{
+        _id: false,
+        system: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        value: {
+            type: String,
+            required: true,
+            trim: true
+        }
+    }],
+
+    // Check-in information
+    checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    checkedInByDevice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device'
+    },
+
+    // Timings
+    checkedInAt: {
+        type: Date,
+        default: Date.now
+    },
+    calledAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+
+    // Mirrors the queue entry status
+    status: {
+        type: String,
+        enum: ['waiting', 'in-progress', 'completed', 'cancelled', 'no-show'],
+        default: 'waiting'
+    },
+
+    // Outcome recorded by the doctor
+    outcome: {
+        disposition: {
+            type: String,
+            enum: ['discharged', 'follow-up', 'referred', 'admitted', 'left-without-being-seen']
+        },
+        diagnosis: {
+            type: String,
+            maxlength: [1000, 'Diagnosis cannot exceed 1000 characters']
+        },
+        notes: {
+            type: String,
+            maxlength: [2000, 'Outcome notes cannot exceed 2000 characters']
+        },
+        followUpDate: Date,
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        recordedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+encounterSchema.index({ patientId: 1, checkedInAt: -1 });
+encounterSchema.index({ queueId: 1 });
+encounterSchema.index({ assignedDoctor: 1, checkedInAt: -1 });
+encounterSchema.index({ status: 1 });
+encounterSchema.index({ 'identifiers.system': 1, 'identifiers.value': 1 });
+
+// Encrypt the complaint and prescriptions like the patient's symptoms and medications
+encounterSchema.plugin(fieldEncryptionPlugin, {
+    fields: [
+        'chiefComplaint',
+        'prescriptions.name',
+        'prescriptions.dosage',
+        'prescriptions.frequency',
+        'prescriptions.route',
+        'prescriptions.instructions',
+        'prescriptions.warnings.message',
+        'prescriptions.warnings.conflictsWith'
+    ]
+});
+
+// Virtual for minutes between check-in and being called
+encounterSchema.virtual('waitMinutes').get(function () {
+    if (!this.checkedInAt || !this.calledAt) return null;
+    return Math.floor((this.calledAt - this.checkedInAt) / (1000 * 60));
+});
+
+// Virtual for minutes between check-in and completion
+encounterSchema.virtual('durationMinutes').get(function () {
+    if (!this.checkedInAt || !this.completedAt) return null;
+    return Math.floor((this.completedAt - this.checkedInAt) / (1000 * 60));
+});
+
+// Static method to get a patient's visit history (newest first)
+encounterSchema.statics.findByPatient = function (patientId) {
+    return this.find({ patientId }).sort({ checkedInAt: -1 });
+};
+
+// Ensure virtual fields are serialized
+encounterSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const Encounter = mongoose.model('Encounter', encounterSchema);
+
+export default Encounter;
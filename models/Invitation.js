@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+const invitationSchema = new mongoose.Schema({
+    // Invitee details
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    firstName: {
+        type: String,
+        required: [true, 'First name is required'],
+        trim: true,
+        maxlength: [50, 'First name cannot exceed 50 characters']
+    },
+    lastName: {
+        type: String,
+        required: [true, 'Last name is required'],
+        trim: true,
+        maxlength: [50, 'Last name cannot exceed 50 characters']
+    },
+
+    // Staff profile applied to the account on acceptance
+    role: {
+        type: String,
+        enum: ['reception', 'doctor', 'admin'],
+        required: [true, 'Role is required']
+    },
+    department: {
+        type: String,
+        trim: true
+    },
+    specializations: [{
+        type: String,
+        trim: true
+    }],
+    employeeId: {
+        type: String,
+        trim: true
+    },
+    licenseNumber: {
+        type: String,
+        trim: true
+    },
+    yearsOfExperience: {
+        type: Number,
+        min: 0
+    },
+
+    // SHA-256 hash of the invite token (the raw token is only shown once)
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Audit information
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    acceptedAt: Date,
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ email: 1 });
+invitationSchema.index({ expiresAt: 1 });
+
+// Virtual for invitation status
+invitationSchema.virtual('status').get(function () {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt < new Date()) return 'expired';
+    return 'pending';
+});
+
+// Method to check if the invitation can still be accepted
+invitationSchema.methods.isUsable = function () {
+    return this.status === 'pending';
+};
+
+// Static method to find pending invitations for an email
+invitationSchema.statics.findPendingByEmail = function (email) {
+    return this.find({
+        email: email.toLowerCase(),
+        acceptedAt: { $exists: false },
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Ensure virtual fields are serialized
+invitationSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import { fieldEncryptionPlugin } from '../services/fieldEncryption.js';
+
+const medicalRecordChangeSchema = new mongoose.Schema({
+    // Patient whose record was changed
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+
+    // Which list entry was changed
+    recordType: {
+        type: String,
+        enum: ['allergy', 'medication'],
+        required: true
+    },
+    entryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    entryName: String,
+
+    // What happened
+    action: {
+        type: String,
+        enum: ['add', 'update', 'deactivate', 'discontinue', 'prescribe'],
+        required: true
+    },
+
+    // Field level changes (for 'update')
+    changes: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+
+    // Conflict warnings shown when the change was made
+    warnings: [{
+        _id: false,
+        type: {
+            type: String
+        },
+        severity: String,
+        message: String,
+        conflictsWith: String
+    }],
+
+    reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    // Who made the change
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+medicalRecordChangeSchema.index({ patientId: 1, recordType: 1, createdAt: -1 });
+medicalRecordChangeSchema.index({ entryId: 1, createdAt: -1 });
+
+// Encrypt the copied allergy and medication values like on the patient record
+medicalRecordChangeSchema.plugin(fieldEncryptionPlugin, {
+    fields: ['entryName', 'changes.from', 'changes.to', 'warnings.message', 'warnings.conflictsWith']
+});
+
+// Static method to record a change
+medicalRecordChangeSchema.statics.record = function (patient, user, recordType, entry, action, { changes = [], warnings = [], reason } = {}) {
+    return this.create({
+        patientId: patient._id,
+        recordType,
+        entryId: entry._id,
+        entryName: entry.name,
+        action,
+        changes,
+        warnings,
+        reason,
+        changedBy: user._id
+    });
+};
+
+// Ensure virtual fields are serialized
+medicalRecordChangeSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const MedicalRecordChange = mongoose.model('MedicalRecordChange', medicalRecordChangeSchema);
+
+export default MedicalRecordChange;
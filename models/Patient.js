@@ -1,4 +1,18 @@
 import mongoose from 'mongoose';
+import { generateSecureToken, hashToken } from '../services/tokens.js';
+import { normalizePhone, normalizeEmail, normalizeName, phoneticKey } from '../services/normalize.js';
+import { fieldEncryptionPlugin, blindIndex } from '../services/fieldEncryption.js';
+
+export const GUARDIAN_RELATIONSHIPS = [
+    'parent',
+    'legal-guardian',
+    'foster-parent',
+    'grandparent',
+    'other'
+];
+
+// Age from which patients no longer need (or have) a guardian
+const getAdultAge = () => parseInt(process.env.PATIENT_ADULT_AGE) || 18;
 
 const patientSchema = new mongoose.Schema({
     // Reference to user account (if patient has registered account)
@@ -8,6 +22,17 @@ const patientSchema = new mongoose.Schema({
         required: false // Optional - patients can register without account
     },
 
+    // One-time code a patient user enters to claim this record (see /api/me/patient/claim)
+    linkCodeHash: {
+        type: String,
+        select: false
+    },
+    linkCodeExpires: {
+        type: Date,
+        select: false
+    },
+    linkedAt: Date,
+
     // Basic patient information
     firstName: {
         type: String,
@@ -30,11 +55,17 @@ const patientSchema = new mongoose.Schema({
         enum: ['male', 'female', 'other', 'prefer-not-to-say'],
         required: [true, 'Gender is required']
     },
+    // Normalized and phonetic keys of the names for the text index (see services/patientSearch.js)
+    searchTokens: {
+        type: [String],
+        select: false
+    },
 
     // Contact information
     phone: {
         type: String,
-        required: [true, 'Phone number is required'],
+        // Erased records keep no contact details
+        required: [function () { return !this.erasedAt; }, 'Phone number is required'],
         trim: true,
         match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
     },
@@ -44,6 +75,15 @@ const patientSchema = new mongoose.Schema({
         trim: true,
         match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
     },
+    // Blind indexes of the (encrypted) normalized phone and email for exact lookups
+    phoneIndex: {
+        type: String,
+        select: false
+    },
+    emailIndex: {
+        type: String,
+        select: false
+    },
     address: {
         street: String,
         city: String,
@@ -75,13 +115,23 @@ const patientSchema = new mongoose.Schema({
             enum: ['mild', 'moderate', 'severe'],
             default: 'mild'
         },
-        notes: String
+        reaction: String,
+        notes: String,
+        status: {
+            type: String,
+            enum: ['active', 'inactive'],
+            default: 'active'
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        recordedAt: Date
     }],
 
-    // Current visit information
+    // Current visit information (imported records may not have any yet)
     currentSymptoms: {
         type: String,
-        required: [true, 'Current symptoms are required'],
         maxlength: [1000, 'Symptoms description cannot exceed 1000 characters']
     },
     medicalHistory: {
@@ -92,7 +142,34 @@ const patientSchema = new mongoose.Schema({
         name: String,
         dosage: String,
         frequency: String,
-        startDate: Date
+        route: String,
+        startDate: Date,
+        endDate: Date,
+        notes: String,
+        status: {
+            type: String,
+            enum: ['active', 'discontinued'],
+            default: 'active'
+        },
+        discontinuedAt: Date,
+        discontinuedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        discontinuedReason: String,
+        prescribedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        encounterId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Encounter'
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        recordedAt: Date
     }],
 
     // Insurance information
@@ -140,6 +217,82 @@ const patientSchema = new mongoose.Schema({
     totalVisits: {
         type: Number,
         default: 0
+    },
+
+    // Guardians of a minor: another patient record, a patient user account, or both
+    guardians: [{
+        patientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        relationship: {
+            type: String,
+            enum: GUARDIAN_RELATIONSHIPS,
+            required: [true, 'Relationship to the patient is required']
+        },
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Identifiers assigned by other systems (e.g. a partner EHR's MRN, see /api/fhir)
+    identifiers: [{
+        _id: false,
+        system: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        value: {
+            type: String,
+            required: true,
+            trim: true
+        }
+    }],
+
+    // Duplicate handling
+    possibleDuplicates: [{
+        _id: false,
+        patientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        score: Number
+    }],
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    },
+    mergedAt: Date,
+    mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // 'pending' until every step of the merge has run (a failed merge is run
+    // again), with the portal account on its way to the surviving record
+    mergeStatus: {
+        type: String,
+        enum: ['pending', 'completed']
+    },
+    mergeUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Erasure (right to be forgotten, see services/patientData.js)
+    erasedAt: Date,
+    erasureRequestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PatientDataRequest'
     }
 }, {
     timestamps: true
@@ -147,10 +300,55 @@ const patientSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 patientSchema.index({ firstName: 1, lastName: 1 });
-patientSchema.index({ phone: 1 });
-patientSchema.index({ email: 1 });
+patientSchema.index({ phoneIndex: 1 });
+patientSchema.index({ dateOfBirth: 1 });
+patientSchema.index({ emailIndex: 1 });
 patientSchema.index({ 'qrCode.isActive': 1 });
 patientSchema.index({ status: 1 });
+patientSchema.index({ 'identifiers.system': 1, 'identifiers.value': 1 });
+// One patient record per user account
+patientSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { userId: { $type: 'objectId' } } });
+patientSchema.index({ linkCodeHash: 1 }, { sparse: true });
+patientSchema.index({ 'guardians.patientId': 1 });
+patientSchema.index({ 'guardians.userId': 1 });
+// Name search (no stemming or stop words, names are not prose)
+patientSchema.index(
+    { lastName: 'text', firstName: 'text', searchTokens: 'text' },
+    { name: 'patient_name_search', weights: { lastName: 10, firstName: 8, searchTokens: 3 }, default_language: 'none' }
+);
+
+// Encrypt sensitive fields at rest (see services/fieldEncryption.js)
+patientSchema.plugin(fieldEncryptionPlugin, {
+    fields: [
+        'phone',
+        'email',
+        'medicalHistory',
+        'insurance.policyNumber',
+        'currentSymptoms',
+        'allergies.name',
+        'allergies.reaction',
+        'allergies.notes',
+        'currentMedications.name',
+        'currentMedications.dosage',
+        'currentMedications.frequency',
+        'currentMedications.route',
+        'currentMedications.notes',
+        'currentMedications.discontinuedReason'
+    ]
+});
+
+// Pre-validate middleware to keep the blind indexes in sync (records
+// written before encryption get theirs the first time they are saved)
+patientSchema.pre('validate', function (next) {
+    const outdated = this.needsEncryptionUpdate() && this.isSelected('phone') && this.isSelected('email');
+    if (this.isModified('phone') || this.isModified('email') || outdated) {
+        this.refreshBlindIndexes();
+    }
+    if (this.isNew || this.isModified('firstName') || this.isModified('lastName')) {
+        this.refreshSearchTokens();
+    }
+    next();
+});
 
 // Virtual for full name
 patientSchema.virtual('fullName').get(function () {
@@ -172,6 +370,25 @@ patientSchema.virtual('age').get(function () {
     return age;
 });
 
+// Virtual for minors (under PATIENT_ADULT_AGE), who need a guardian on record
+patientSchema.virtual('isMinor').get(function () {
+    const age = this.age;
+    return age !== null && age < getAdultAge();
+});
+
+// Method to recompute the blind indexes from the plaintext contact details
+patientSchema.methods.refreshBlindIndexes = function () {
+    this.phoneIndex = blindIndex(normalizePhone(this.phone));
+    this.emailIndex = blindIndex(normalizeEmail(this.email));
+};
+
+// Method to recompute the name search tokens
+patientSchema.methods.refreshSearchTokens = function () {
+    const words = `${this.firstName || ''} ${this.lastName || ''}`.split(/[\s-]+/);
+    const tokens = words.flatMap(word => [normalizeName(word), phoneticKey(word)]).filter(Boolean);
+    this.searchTokens = [...new Set(tokens)];
+};
+
 // Method to check if QR code is expired
 patientSchema.methods.isQRCodeExpired = function () {
     if (!this.qrCode || !this.qrCode.expiresAt) return true;
@@ -206,6 +423,81 @@ patientSchema.methods.generateQRCode = function () {
     return this.qrCode;
 };
 
+// Method to issue a link code for claiming the record (returns the raw code)
+patientSchema.methods.createLinkCode = function () {
+    const code = generateSecureToken(5).toUpperCase();
+    const expiresInHours = parseInt(process.env.PATIENT_LINK_CODE_EXPIRE_HOURS) || 72;
+
+    this.linkCodeHash = hashToken(code);
+    this.linkCodeExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+    return code;
+};
+
+// Method to link the record to a user account
+patientSchema.methods.linkToUser = function (userId) {
+    this.userId = userId;
+    this.linkedAt = new Date();
+    this.linkCodeHash = undefined;
+    this.linkCodeExpires = undefined;
+};
+
+// Method to find the guardian entry of a patient record or patient user account
+patientSchema.methods.findGuardian = function ({ patientId, userId } = {}) {
+    return this.guardians.find(guardian =>
+        (patientId && guardian.patientId?.equals(patientId)) ||
+        (userId && guardian.userId?.equals(userId))
+    ) || null;
+};
+
+// Static method to find the record linked to a user account
+patientSchema.statics.findByUser = function (userId) {
+    return this.findOne({ userId });
+};
+
+// Static method to find the dependents of a guardian, by their user account
+// and/or their own patient record. Guardianship ends when the dependent comes
+// of age, so only minors are returned.
+patientSchema.statics.findDependents = function ({ userId, patientId } = {}) {
+    const guardianConditions = [];
+    if (userId) guardianConditions.push({ 'guardians.userId': userId });
+    if (patientId) guardianConditions.push({ 'guardians.patientId': patientId });
+    if (guardianConditions.length === 0) return this.find({ _id: null });
+
+    // Born after this day means under the adult age today
+    const adultBirthDate = new Date();
+    adultBirthDate.setHours(0, 0, 0, 0);
+    adultBirthDate.setFullYear(adultBirthDate.getFullYear() - getAdultAge());
+
+    return this.find({
+        $or: guardianConditions,
+        dateOfBirth: { $gt: adultBirthDate },
+        mergedInto: null,
+        erasedAt: null
+    });
+};
+
+// Static method to find an unclaimed record by link code
+patientSchema.statics.findByLinkCode = function (code) {
+    return this.findOne({
+        linkCodeHash: hashToken(code.trim().toUpperCase()),
+        linkCodeExpires: { $gt: new Date() },
+        userId: null,
+        mergedInto: null,
+        erasedAt: null
+    });
+};
+
+// Static method to build blind index conditions for a phone number and/or email
+patientSchema.statics.contactConditions = function ({ phone, email } = {}) {
+    const conditions = [];
+    const phoneIndex = blindIndex(normalizePhone(phone));
+    if (phoneIndex) conditions.push({ phoneIndex });
+    const emailIndex = blindIndex(normalizeEmail(email));
+    if (emailIndex) conditions.push({ emailIndex });
+    return conditions;
+};
+
 // Static method to find active patients
 patientSchema.statics.findActive = function () {
     return this.find({ status: 'active' });
@@ -223,6 +515,11 @@ patientSchema.statics.findByName = function (firstName, lastName) {
 patientSchema.set('toJSON', {
     virtuals: true,
     transform: function (doc, ret) {
+        delete ret.linkCodeHash;
+        delete ret.linkCodeExpires;
+        delete ret.phoneIndex;
+        delete ret.emailIndex;
+        delete ret.searchTokens;
         delete ret.__v;
         return ret;
     }
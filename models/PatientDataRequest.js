@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+const patientDataRequestSchema = new mongoose.Schema({
+    // Patient the request is about
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+
+    // Right of access (export) or right to be forgotten (erasure)
+    type: {
+        type: String,
+        enum: ['export', 'erasure'],
+        required: true
+    },
+
+    // Exports complete right away, erasures wait for an admin
+    status: {
+        type: String,
+        enum: ['pending', 'rejected', 'completed'],
+        default: 'pending'
+    },
+
+    // Who asked (staff on behalf of the patient, or the patient in the portal)
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    requestedVia: {
+        type: String,
+        enum: ['staff', 'patient-portal'],
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+
+    // Admin decision (erasures)
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNotes: {
+        type: String,
+        maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+    },
+
+    // Outcome: record counts only, never patient data
+    completedAt: Date,
+    summary: {
+        type: mongoose.Schema.Types.Mixed
+    },
+
+    // Client information
+    ipAddress: String,
+    userAgent: {
+        type: String,
+        maxlength: [500, 'User agent cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+patientDataRequestSchema.index({ patientId: 1, createdAt: -1 });
+patientDataRequestSchema.index({ type: 1, status: 1, createdAt: -1 });
+// One open erasure request per patient
+patientDataRequestSchema.index({ patientId: 1 }, { unique: true, partialFilterExpression: { type: 'erasure', status: 'pending' } });
+
+// Ensure virtual fields are serialized
+patientDataRequestSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const PatientDataRequest = mongoose.model('PatientDataRequest', patientDataRequestSchema);
+
+export default PatientDataRequest;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const patientImportSchema = new mongoose.Schema({
+    // Uploaded file
+    fileName: {
+        type: String,
+        required: true
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'jsonl'],
+        required: true
+    },
+
+    // Dry runs validate every row without creating patients
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+
+    // Counts per row status
+    totals: {
+        rows: { type: Number, default: 0 },
+        created: { type: Number, default: 0 },
+        valid: { type: Number, default: 0 },
+        flagged: { type: Number, default: 0 },
+        invalid: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+
+    // Columns that could not be mapped to a patient field
+    unmappedColumns: [String],
+
+    // Outcome of every row (no patient data, rows are identified by number)
+    results: [{
+        _id: false,
+        row: Number,
+        status: {
+            type: String,
+            enum: ['created', 'valid', 'flagged', 'invalid', 'failed']
+        },
+        patientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        possibleDuplicates: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Patient'
+        }],
+        messages: [String]
+    }],
+
+    importedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+patientImportSchema.index({ importedBy: 1, createdAt: -1 });
+
+// Ensure virtual fields are serialized
+patientImportSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const PatientImport = mongoose.model('PatientImport', patientImportSchema);
+
+export default PatientImport;
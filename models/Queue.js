@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import { fieldEncryptionPlugin } from '../services/fieldEncryption.js';
+
+// Queue priorities, least urgent first
+export const QUEUE_PRIORITIES = ['low', 'medium', 'high', 'emergency'];
+
+// Order in which waiting patients are called: most urgent first, then first come
+// (priorityRank, as the priority strings do not sort by urgency)
+export const QUEUE_ORDER = { priorityRank: -1, checkedInAt: 1 };
 
 const queueSchema = new mongoose.Schema({
     // Patient reference
@@ -20,6 +28,11 @@ const queueSchema = new mongoose.Schema({
         ref: 'User',
         required: false
     },
+    checkedInByDevice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        required: false
+    },
     checkedInAt: {
         type: Date,
         default: Date.now
@@ -35,9 +48,11 @@ const queueSchema = new mongoose.Schema({
     // Priority and severity
     priority: {
         type: String,
-        enum: ['low', 'medium', 'high', 'emergency'],
+        enum: QUEUE_PRIORITIES,
         default: 'medium'
     },
+    // Position of priority in QUEUE_PRIORITIES, kept in sync on save
+    priorityRank: Number,
     severity: {
         type: String,
         enum: ['low', 'medium', 'high'],
@@ -74,10 +89,35 @@ const queueSchema = new mongoose.Schema({
         default: 'walk-in'
     },
 
-    // Symptoms (copied from patient for quick access)
+    // Chief complaint of this visit (copied from the encounter for quick access)
     symptoms: {
         type: String,
         required: true
+    },
+
+    // Encounter opened at check-in
+    encounterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Encounter'
+    },
+
+    // Guardian who brought a minor in (copied from the patient's guardians at check-in)
+    accompanyingGuardian: {
+        guardianId: mongoose.Schema.Types.ObjectId,
+        patientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        relationship: String
+    },
+    // Minor checked in without a guardian (emergencies only)
+    unaccompaniedMinor: {
+        type: Boolean,
+        default: false
     }
 }, {
     timestamps: true
@@ -85,10 +125,14 @@ const queueSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 queueSchema.index({ status: 1, priority: 1 });
+queueSchema.index({ status: 1, priorityRank: -1, checkedInAt: 1 });
 queueSchema.index({ checkedInAt: 1 });
 queueSchema.index({ patientId: 1 });
 queueSchema.index({ assignedDoctor: 1 });
 
+// Encrypt the complaint like the patient's symptoms
+queueSchema.plugin(fieldEncryptionPlugin, { fields: ['symptoms'] });
+
 // Virtual for wait time
 queueSchema.virtual('waitTime').get(function () {
     if (!this.checkedInAt) return 0;
@@ -109,6 +153,14 @@ queueSchema.virtual('formattedWaitTime').get(function () {
     }
 });
 
+// Pre-validate middleware to keep the priority rank in sync
+queueSchema.pre('validate', function (next) {
+    if (this.isNew || this.isModified('priority')) {
+        this.priorityRank = QUEUE_PRIORITIES.indexOf(this.priority);
+    }
+    next();
+});
+
 // Pre-save middleware to generate queue number
 queueSchema.pre('save', async function (next) {
     if (this.isNew) {
@@ -138,7 +190,7 @@ queueSchema.statics.getCurrentQueue = function () {
     })
         .populate('patientId', 'firstName lastName phone currentSymptoms')
         .populate('assignedDoctor', 'firstName lastName')
-        .sort({ priority: -1, checkedInAt: 1 });
+        .sort(QUEUE_ORDER);
 };
 
 // Static method to get queue statistics
@@ -195,6 +247,7 @@ queueSchema.methods.cancel = function (reason) {
 queueSchema.set('toJSON', {
     virtuals: true,
     transform: function (doc, ret) {
+        delete ret.priorityRank;
         delete ret.__v;
         return ret;
     }
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const rolePermissionSchema = new mongoose.Schema({
+    // Role the permission set applies to
+    role: {
+        type: String,
+        enum: ['patient', 'reception', 'doctor', 'admin'],
+        required: true,
+        unique: true
+    },
+
+    // Granted permissions (e.g. 'patient:read', 'queue:delete')
+    permissions: [{
+        type: String,
+        trim: true
+    }],
+
+    // Permissions that existed when the entry was saved. Defaults for
+    // permissions added to the API later are granted on top of the entry
+    knownPermissions: [{
+        type: String,
+        trim: true
+    }],
+
+    // Last editor
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Ensure virtual fields are serialized
+rolePermissionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
+
+export default RolePermission;
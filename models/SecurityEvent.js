@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+export const SECURITY_EVENT_TYPES = [
+    'login-success',
+    'login-failed',
+    'logout',
+    'session-revoked',
+    'sessions-revoked',
+    'token-reuse-detected',
+    'password-changed',
+    'password-reset-requested',
+    'password-reset',
+    'role-changed',
+    'two-factor-enabled',
+    'two-factor-disabled',
+    'two-factor-reset',
+    'account-locked',
+    'account-unlocked',
+    'break-the-glass'
+];
+
+const securityEventSchema = new mongoose.Schema({
+    // Event type
+    type: {
+        type: String,
+        enum: SECURITY_EVENT_TYPES,
+        required: true
+    },
+
+    // Affected account (may be missing for unknown emails)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+
+    // Who triggered the event (admin actions)
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Client information
+    ipAddress: String,
+    userAgent: {
+        type: String,
+        maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+
+    // Additional event details
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+securityEventSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Static method to record an event from a request
+securityEventSchema.statics.record = function (type, { req, user, email, actor, details } = {}) {
+    return this.create({
+        type,
+        userId: user?._id,
+        email: email || user?.email,
+        actorId: actor?._id,
+        ipAddress: req?.ip,
+        userAgent: req?.get('user-agent')?.slice(0, 500),
+        details
+    });
+};
+
+// Ensure virtual fields are serialized
+securityEventSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+export default SecurityEvent;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const securityPolicySchema = new mongoose.Schema({
+    // Singleton key - there is only ever one policy document
+    key: {
+        type: String,
+        default: 'default',
+        unique: true,
+        immutable: true
+    },
+
+    // Roles that must enrol in two-factor authentication
+    twoFactorRequiredRoles: [{
+        type: String,
+        enum: ['patient', 'reception', 'doctor', 'admin']
+    }],
+
+    // Last editor
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Cached copy so protected routes don't hit the database on every request
+const CACHE_TTL_MS = 60 * 1000;
+let cachedPolicy = null;
+let cachedAt = 0;
+
+// Static method to get (or lazily create) the policy
+securityPolicySchema.statics.getPolicy = async function () {
+    if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cachedPolicy;
+    }
+
+    cachedPolicy = await this.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { new: true, upsert: true }
+    );
+    cachedAt = Date.now();
+
+    return cachedPolicy;
+};
+
+// Static method to drop the cached policy after an update
+securityPolicySchema.statics.clearCache = function () {
+    cachedPolicy = null;
+    cachedAt = 0;
+};
+
+// Method to check if a role must use two-factor authentication
+securityPolicySchema.methods.requiresTwoFactor = function (role) {
+    return (this.twoFactorRequiredRoles || []).includes(role);
+};
+
+// Ensure virtual fields are serialized
+securityPolicySchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+export default SecurityPolicy;
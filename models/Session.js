@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+    // Owner of the session
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // SHA-256 hash of the current refresh token (the raw token is never stored)
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+
+    // Client information captured at login
+    userAgent: {
+        type: String,
+        maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+    ipAddress: String,
+
+    // Lifetime
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Rotation tracking
+    rotationCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Revocation
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'user', 'admin', 'deactivated', 'password-change', 'password-reset', 'token-reuse']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function (reason = 'logout') {
+    if (!this.revokedAt) {
+        this.revokedAt = new Date();
+        this.revokedReason = reason;
+    }
+    return this.save();
+};
+
+// Static method to find active sessions for a user
+sessionSchema.statics.findActiveByUser = function (userId) {
+    return this.find({
+        userId,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null) {
+    const query = { userId, revokedAt: { $exists: false } };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Ensure virtual fields are serialized
+sessionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.refreshTokenHash;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
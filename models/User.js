@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { generateSecureToken, hashToken } from '../services/tokens.js';
+import { getPasswordPolicy } from '../services/passwordPolicy.js';
 
 const userSchema = new mongoose.Schema({
     // Basic user information
@@ -26,7 +28,7 @@ const userSchema = new mongoose.Schema({
     password: {
         type: String,
         required: [true, 'Password is required'],
-        minlength: [6, 'Password must be at least 6 characters'],
+        minlength: [8, 'Password must be at least 8 characters'],
         select: false // Don't include password in queries by default
     },
 
@@ -80,6 +82,82 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    verifiedAt: {
+        type: Date
+    },
+
+    // Email verification
+    emailVerificationTokenHash: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    emailVerificationSentAt: {
+        type: Date
+    },
+
+    // Password reset
+    passwordResetTokenHash: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    passwordChangedAt: {
+        type: Date
+    },
+
+    // Hashes of recent passwords, newest first (reuse prevention)
+    passwordHistory: {
+        type: [String],
+        select: false
+    },
+
+    // Login throttling
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date
+    },
+    lockUntil: {
+        type: Date
+    },
+    lockCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Two-factor authentication (TOTP)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        enabledAt: Date
+    },
 
     // Timestamps
     lastLogin: {
@@ -103,6 +181,11 @@ userSchema.virtual('fullName').get(function () {
     return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for lockout state
+userSchema.virtual('isLocked').get(function () {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function (next) {
     // Only hash the password if it has been modified (or is new)
@@ -112,6 +195,28 @@ userSchema.pre('save', async function (next) {
         // Hash password with cost of 12
         const salt = await bcrypt.genSalt(12);
         this.password = await bcrypt.hash(this.password, salt);
+        if (!this.isNew) this.passwordChangedAt = new Date();
+        this.$locals.newPasswordHash = this.password;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Post-save middleware to record the new password in the history.
+// Done with an update so documents loaded without passwordHistory don't overwrite it.
+userSchema.post('save', async function (doc, next) {
+    const passwordHash = this.$locals.newPasswordHash;
+    if (!passwordHash) return next();
+    delete this.$locals.newPasswordHash;
+
+    try {
+        const { historyCount } = getPasswordPolicy();
+        if (historyCount > 0) {
+            await this.constructor.updateOne({ _id: this._id }, {
+                $push: { passwordHistory: { $each: [passwordHash], $position: 0, $slice: historyCount } }
+            });
+        }
         next();
     } catch (error) {
         next(error);
@@ -123,6 +228,43 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Instance method to issue a single-use password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function () {
+    const token = generateSecureToken();
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+    this.passwordResetTokenHash = hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    return token;
+};
+
+// Instance method to invalidate any outstanding password reset token
+userSchema.methods.clearPasswordResetToken = function () {
+    this.passwordResetTokenHash = undefined;
+    this.passwordResetExpires = undefined;
+};
+
+// Instance method to issue an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function () {
+    const token = generateSecureToken();
+    const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 48;
+
+    this.emailVerificationTokenHash = hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    this.emailVerificationSentAt = new Date();
+
+    return token;
+};
+
+// Instance method to mark the email address as verified
+userSchema.methods.markEmailVerified = function () {
+    this.isVerified = true;
+    this.verifiedAt = new Date();
+    this.emailVerificationTokenHash = undefined;
+    this.emailVerificationExpires = undefined;
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function (email) {
     return this.findOne({ email: email.toLowerCase() });
@@ -132,6 +274,17 @@ userSchema.statics.findByEmail = function (email) {
 userSchema.methods.getPublicProfile = function () {
     const userObject = this.toObject();
     delete userObject.password;
+    delete userObject.passwordHistory;
+    delete userObject.passwordResetTokenHash;
+    delete userObject.passwordResetExpires;
+    delete userObject.emailVerificationTokenHash;
+    delete userObject.emailVerificationExpires;
+    if (userObject.twoFactor) {
+        userObject.twoFactor = {
+            enabled: userObject.twoFactor.enabled,
+            enabledAt: userObject.twoFactor.enabledAt
+        };
+    }
     delete userObject.__v;
     return userObject;
 };
@@ -141,6 +294,17 @@ userSchema.set('toJSON', {
     virtuals: true,
     transform: function (doc, ret) {
         delete ret.password;
+        delete ret.passwordHistory;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpires;
+        delete ret.emailVerificationTokenHash;
+        delete ret.emailVerificationExpires;
+        if (ret.twoFactor) {
+            ret.twoFactor = {
+                enabled: ret.twoFactor.enabled,
+                enabledAt: ret.twoFactor.enabledAt
+            };
+        }
         delete ret.__v;
         return ret;
     }
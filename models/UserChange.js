@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const userChangeSchema = new mongoose.Schema({
+    // Account that was changed
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Who made the change
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // What happened
+    action: {
+        type: String,
+        enum: ['update', 'password-reset', 'unlock', 'two-factor-reset'],
+        required: true
+    },
+
+    // Field level changes (for 'update')
+    changes: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+
+    // Optional reason entered by the admin
+    reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+userChangeSchema.index({ userId: 1, createdAt: -1 });
+userChangeSchema.index({ changedBy: 1, createdAt: -1 });
+
+// Static method to record a change
+userChangeSchema.statics.record = function (user, admin, action, { changes = [], reason } = {}) {
+    return this.create({
+        userId: user._id,
+        changedBy: admin._id,
+        action,
+        changes,
+        reason
+    });
+};
+
+// Ensure virtual fields are serialized
+userChangeSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const UserChange = mongoose.model('UserChange', userChangeSchema);
+
+export default UserChange;
@@ -3,14 +3,15 @@ import { body, validationResult } from 'express-validator';
 import Appointment from '../models/Appointment.js';
 import Patient from '../models/Patient.js';
 import User from '../models/User.js';
-import { protect, requireStaff } from '../middleware/auth.js';
+import { protect, requirePermission, userCan } from '../middleware/auth.js';
+import { resolvePatientAccess, toPatientView } from '../services/patientAccess.js';
 
 const router = express.Router();
 
 // @desc    Create new appointment
 // @route   POST /api/appointments
 // @access  Private/Staff
-router.post('/', protect, requireStaff, [
+router.post('/', protect, requirePermission('appointment:create'), [
     body('patientId').isMongoId().withMessage('Valid patient ID is required'),
     body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
     body('appointmentDate').isISO8601().withMessage('Valid appointment date is required'),
@@ -99,7 +100,7 @@ router.post('/', protect, requireStaff, [
 // @desc    Get all appointments
 // @route   GET /api/appointments
 // @access  Private/Staff
-router.get('/', protect, requireStaff, async (req, res) => {
+router.get('/', protect, requirePermission('appointment:read'), async (req, res) => {
     try {
         const {
             page = 1,
@@ -158,7 +159,7 @@ router.get('/', protect, requireStaff, async (req, res) => {
 // @desc    Get today's appointments
 // @route   GET /api/appointments/today
 // @access  Private/Staff
-router.get('/today', protect, requireStaff, async (req, res) => {
+router.get('/today', protect, requirePermission('appointment:read'), async (req, res) => {
     try {
         const { doctorId } = req.query;
         const today = new Date();
@@ -189,7 +190,7 @@ router.get('/today', protect, requireStaff, async (req, res) => {
 // @desc    Get upcoming appointments
 // @route   GET /api/appointments/upcoming
 // @access  Private/Staff
-router.get('/upcoming', protect, requireStaff, async (req, res) => {
+router.get('/upcoming', protect, requirePermission('appointment:read'), async (req, res) => {
     try {
         const { patientId, doctorId, limit = 10 } = req.query;
         const now = new Date();
@@ -225,7 +226,7 @@ router.get('/upcoming', protect, requireStaff, async (req, res) => {
 // @desc    Get appointment by ID
 // @route   GET /api/appointments/:id
 // @access  Private/Staff
-router.get('/:id', protect, requireStaff, async (req, res) => {
+router.get('/:id', protect, requirePermission('appointment:read'), async (req, res) => {
     try {
         const appointment = await Appointment.findById(req.params.id)
             .populate('patientId')
@@ -239,9 +240,15 @@ router.get('/:id', protect, requireStaff, async (req, res) => {
             });
         }
 
+        // The full patient record is only shown to users with clinical access to it
+        const access = appointment.patientId ? await resolvePatientAccess(req, appointment.patientId) : null;
+
         res.json({
             success: true,
-            data: appointment
+            data: {
+                ...appointment.toJSON(),
+                patientId: appointment.patientId && toPatientView(appointment.patientId, access?.level)
+            }
         });
     } catch (error) {
         console.error('Get appointment error:', error);
@@ -255,7 +262,7 @@ router.get('/:id', protect, requireStaff, async (req, res) => {
 // @desc    Update appointment
 // @route   PUT /api/appointments/:id
 // @access  Private/Staff
-router.put('/:id', protect, requireStaff, [
+router.put('/:id', protect, requirePermission('appointment:update'), [
     body('appointmentDate').optional().isISO8601(),
     body('startTime').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
     body('endTime').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
@@ -323,7 +330,7 @@ router.put('/:id', protect, requireStaff, [
 // @desc    Update appointment status
 // @route   PUT /api/appointments/:id/status
 // @access  Private/Staff
-router.put('/:id/status', protect, requireStaff, [
+router.put('/:id/status', protect, requirePermission('appointment:update-status'), [
     body('status').isIn(['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show']).withMessage('Invalid status'),
     body('notes').optional().trim().isLength({ max: 1000 })
 ], async (req, res) => {
@@ -339,6 +346,13 @@ router.put('/:id/status', protect, requireStaff, [
 
         const { status, notes } = req.body;
 
+        if (status === 'cancelled' && !userCan(req, 'appointment:cancel')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel appointments'
+            });
+        }
+
         const appointment = await Appointment.findById(req.params.id);
         if (!appointment) {
             return res.status(404).json({
@@ -388,7 +402,7 @@ router.put('/:id/status', protect, requireStaff, [
 // @desc    Get appointment statistics
 // @route   GET /api/appointments/stats
 // @access  Private/Staff
-router.get('/stats/overview', protect, requireStaff, async (req, res) => {
+router.get('/stats/overview', protect, requirePermission('appointment:stats'), async (req, res) => {
     try {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
@@ -456,7 +470,7 @@ router.get('/stats/overview', protect, requireStaff, async (req, res) => {
 // @desc    Cancel appointment
 // @route   DELETE /api/appointments/:id
 // @access  Private/Staff
-router.delete('/:id', protect, requireStaff, [
+router.delete('/:id', protect, requirePermission('appointment:cancel'), [
     body('reason').optional().trim().isLength({ max: 500 })
 ], async (req, res) => {
     try {
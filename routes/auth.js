@@ -1,19 +1,99 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { protect, generateToken, authorize } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { protect, protectAllowAccountSetup, requirePermission, isEmailVerificationRequired } from '../middleware/auth.js';
+import { createSession, rotateRefreshToken, revokeUserSessions } from '../services/sessions.js';
+import { hashToken } from '../services/tokens.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../services/emails.js';
+import { checkLoginAllowed, registerFailedLogin, resetFailedLogins } from '../services/loginThrottle.js';
+import { getPasswordPolicy, checkPasswordPolicy, isPasswordExpired } from '../services/passwordPolicy.js';
+import {
+    TWO_FACTOR_SECRET_FIELDS,
+    isTwoFactorRequired,
+    createLoginChallenge,
+    verifyLoginChallenge,
+    verifySecondFactor
+} from '../services/twoFactor.js';
 
 const router = express.Router();
 
-// @desc    Register user
+// Respond to a throttled or locked login attempt
+const sendLoginThrottled = (res, throttle) => {
+    res.set('Retry-After', String(throttle.retryAfterSeconds));
+    return res.status(throttle.locked ? 423 : 429).json({
+        success: false,
+        message: throttle.locked
+            ? 'Account is temporarily locked due to too many failed login attempts'
+            : 'Too many failed login attempts, please wait before trying again',
+        retryAfter: throttle.retryAfterSeconds
+    });
+};
+
+// Respond to a password that fails the password policy
+const sendPasswordPolicyErrors = (res, passwordErrors) => {
+    return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        passwordErrors
+    });
+};
+
+// Record a failed login attempt in the security log
+const recordFailedLogin = (req, { user, email, reason, details }) => {
+    return SecurityEvent.record('login-failed', {
+        req,
+        user,
+        email,
+        details: { reason, ...details }
+    });
+};
+
+// Finish a successful login: reset counters, open a session and build the response
+const completeLogin = async (user, req, method = 'password') => {
+    resetFailedLogins(user);
+    user.lastLogin = new Date();
+    await user.save();
+
+    const tokens = await createSession(user, req);
+
+    await SecurityEvent.record('login-success', {
+        req,
+        user,
+        details: { method, sessionId: tokens.sessionId }
+    });
+
+    return {
+        _id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        department: user.department,
+        isActive: user.isActive,
+        isVerified: user.isVerified,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        twoFactorSetupRequired: !user.twoFactor?.enabled && await isTwoFactorRequired(user),
+        passwordChangeRequired: isPasswordExpired(user),
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+    };
+};
+
+// @desc    Register patient user (staff accounts are created via invitations)
 // @route   POST /api/auth/register
 // @access  Public
 router.post('/register', [
     body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
     body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
     body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('role').isIn(['patient', 'reception', 'doctor', 'admin']).withMessage('Invalid role'),
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    body('role').optional().equals('patient').withMessage('Only patient accounts can self-register'),
     body('phone').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please enter a valid phone number')
 ], async (req, res) => {
     try {
@@ -26,7 +106,12 @@ router.post('/register', [
             });
         }
 
-        const { firstName, lastName, email, password, role, phone, dateOfBirth, employeeId, department } = req.body;
+        const { firstName, lastName, email, password, phone, dateOfBirth } = req.body;
+
+        const passwordErrors = await checkPasswordPolicy(password, { email, firstName, lastName });
+        if (passwordErrors.length > 0) {
+            return sendPasswordPolicyErrors(res, passwordErrors);
+        }
 
         // Check if user already exists
         const userExists = await User.findByEmail(email);
@@ -43,15 +128,38 @@ router.post('/register', [
             lastName,
             email,
             password,
-            role,
+            role: 'patient',
             phone,
-            dateOfBirth,
-            employeeId,
-            department,
-            specializations: department ? [department] : []
+            dateOfBirth
         });
 
         if (user) {
+            // Send the verification link (registration still succeeds if mail fails)
+            try {
+                const verificationToken = user.createEmailVerificationToken();
+                await user.save();
+                await sendVerificationEmail(user, verificationToken);
+            } catch (mailError) {
+                console.error('Verification email failed:', mailError);
+            }
+
+            // No session until the email is confirmed when login requires verification
+            if (isEmailVerificationRequired('login')) {
+                return res.status(201).json({
+                    success: true,
+                    message: 'Registration successful. Please check your email to verify your account',
+                    data: {
+                        _id: user._id,
+                        email: user.email,
+                        role: user.role,
+                        isVerified: user.isVerified,
+                        emailVerificationRequired: true
+                    }
+                });
+            }
+
+            const tokens = await createSession(user, req);
+
             res.status(201).json({
                 success: true,
                 data: {
@@ -63,9 +171,12 @@ router.post('/register', [
                     phone: user.phone,
                     department: user.department,
                     isActive: user.isActive,
+                    isVerified: user.isVerified,
                     createdAt: user.createdAt,
                     updatedAt: user.updatedAt,
-                    token: generateToken(user._id)
+                    token: tokens.token,
+                    refreshToken: tokens.refreshToken,
+                    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
                 }
             });
         }
@@ -100,6 +211,7 @@ router.post('/login', [
         // Check for user
         const user = await User.findByEmail(email).select('+password');
         if (!user) {
+            await recordFailedLogin(req, { email, reason: 'unknown-email' });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -108,43 +220,147 @@ router.post('/login', [
 
         // Check if user is active
         if (!user.isActive) {
+            await recordFailedLogin(req, { user, reason: 'account-deactivated' });
             return res.status(401).json({
                 success: false,
                 message: 'Account is deactivated'
             });
         }
 
+        // Check per-account throttling and lockout
+        const throttle = checkLoginAllowed(user);
+        if (!throttle.allowed) {
+            await recordFailedLogin(req, { user, reason: throttle.locked ? 'account-locked' : 'throttled' });
+            return sendLoginThrottled(res, throttle);
+        }
+
         // Check password
         const isMatch = await user.matchPassword(password);
         if (!isMatch) {
+            const failure = await registerFailedLogin(user, req);
+            await recordFailedLogin(req, { user, reason: 'invalid-password', details: { attempts: failure.attempts } });
+            if (failure.locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+        // Optionally block accounts that never confirmed their email
+        if (!user.isVerified && isEmailVerificationRequired('login')) {
+            await recordFailedLogin(req, { user, reason: 'email-unverified' });
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email address before logging in',
+                emailVerificationRequired: true
+            });
+        }
+
+        // Enrolled users must complete the second step first
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication code required',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: createLoginChallenge(user)
+                }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await completeLogin(user, req)
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+    body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('Code or recovery code is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const userId = verifyLoginChallenge(challengeToken);
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge is invalid or has expired'
+            });
+        }
+
+        const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+        if (!user || !user.isActive) {
+            if (user) await recordFailedLogin(req, { user, reason: 'account-deactivated' });
+            return res.status(401).json({
+                success: false,
+                message: 'Account is deactivated'
+            });
+        }
+
+        // Second factor attempts share the per-account throttle
+        const throttle = checkLoginAllowed(user);
+        if (!throttle.allowed) {
+            await recordFailedLogin(req, { user, reason: throttle.locked ? 'account-locked' : 'throttled' });
+            return sendLoginThrottled(res, throttle);
+        }
+
+        const method = verifySecondFactor(user, { code, recoveryCode });
+        if (!method) {
+            const failure = await registerFailedLogin(user, req);
+            await recordFailedLogin(req, { user, reason: 'invalid-two-factor-code', details: { attempts: failure.attempts } });
+            if (failure.locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid two-factor code'
+            });
+        }
+
+        const data = await completeLogin(user, req, `two-factor:${method}`);
 
         res.json({
             success: true,
             data: {
-                _id: user._id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                email: user.email,
-                role: user.role,
-                phone: user.phone,
-                department: user.department,
-                isActive: user.isActive,
-                createdAt: user.createdAt,
-                updatedAt: user.updatedAt,
-                token: generateToken(user._id)
+                ...data,
+                twoFactorMethod: method,
+                recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
             }
         });
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Two-factor login error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error during login'
@@ -152,10 +368,363 @@ router.post('/login', [
     }
 });
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await rotateRefreshToken(req.body.refreshToken, req);
+        if (result.error) {
+            return res.status(401).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        // Make sure the account is still allowed to sign in
+        const user = await User.findById(result.session.userId);
+        if (!user || !user.isActive) {
+            await result.session.revoke('deactivated');
+            return res.status(401).json({
+                success: false,
+                message: 'User account is deactivated'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                token: result.token,
+                refreshToken: result.refreshToken,
+                refreshTokenExpiresAt: result.refreshTokenExpiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh'
+        });
+    }
+});
+
+// @desc    Logout (revoke current session)
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protectAllowAccountSetup, async (req, res) => {
+    try {
+        await req.authSession.revoke('logout');
+        await SecurityEvent.record('logout', {
+            req,
+            user: req.user,
+            details: { sessionId: req.authSession._id }
+        });
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+// @desc    List my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await Session.findActiveByUser(req.user._id);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => ({
+                ...session.toJSON(),
+                isCurrent: session._id.equals(req.authSession._id)
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Revoke all my sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+    try {
+        const revokedCount = await revokeUserSessions(req.user._id, 'user', req.authSession._id, { req });
+
+        res.json({
+            success: true,
+            message: 'Other sessions revoked successfully',
+            data: { revokedCount }
+        });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Revoke one of my sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await session.revoke('user');
+        await SecurityEvent.record('session-revoked', {
+            req,
+            user: req.user,
+            details: { sessionId: session._id }
+        });
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+    body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findByEmail(req.body.email);
+
+        // Only active accounts can reset, but never reveal whether the email exists
+        if (user && user.isActive) {
+            const token = user.createPasswordResetToken();
+            await user.save();
+
+            try {
+                await sendPasswordResetEmail(user, token);
+                await SecurityEvent.record('password-reset-requested', { req, user });
+            } catch (mailError) {
+                console.error('Password reset email failed:', mailError);
+                user.clearPasswordResetToken();
+                await user.save();
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('newPassword').isString().notEmpty().withMessage('New password is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { token, newPassword } = req.body;
+
+        const user = await User.findOne({
+            passwordResetTokenHash: hashToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        }).select('+password +passwordHistory');
+
+        if (!user || !user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password reset token is invalid or has expired'
+            });
+        }
+
+        const passwordErrors = await checkPasswordPolicy(newPassword, user);
+        if (passwordErrors.length > 0) {
+            return sendPasswordPolicyErrors(res, passwordErrors);
+        }
+
+        // Update password, burn the token and lift any lockout
+        user.password = newPassword;
+        user.clearPasswordResetToken();
+        resetFailedLogins(user);
+        await user.save();
+
+        await SecurityEvent.record('password-reset', { req, user });
+
+        // Sign out every device that may be using the old password
+        await revokeUserSessions(user._id, 'password-reset', null, { req });
+
+        res.json({
+            success: true,
+            message: 'Password has been reset successfully'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+    body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOne({
+            emailVerificationTokenHash: hashToken(req.body.token),
+            emailVerificationExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification token is invalid or has expired'
+            });
+        }
+
+        user.markEmailVerified();
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Email address verified successfully'
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post('/resend-verification', [
+    body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findByEmail(req.body.email);
+        const cooldownMs = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+
+        // Never reveal whether the email exists or is already verified
+        if (user && user.isActive && !user.isVerified) {
+            const recentlySent = user.emailVerificationSentAt &&
+                Date.now() - user.emailVerificationSentAt.getTime() < cooldownMs;
+
+            if (!recentlySent) {
+                const token = user.createEmailVerificationToken();
+                await user.save();
+
+                try {
+                    await sendVerificationEmail(user, token);
+                } catch (mailError) {
+                    console.error('Verification email failed:', mailError);
+                }
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If an unverified account exists for this email, a verification link has been sent'
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @desc    Get current user profile
 // @route   GET /api/auth/me
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.get('/me', protectAllowAccountSetup, async (req, res) => {
     try {
         const user = await User.findById(req.user._id);
         res.json({
@@ -221,12 +790,32 @@ router.put('/me', protect, [
     }
 });
 
+// @desc    Get the password policy (for showing the rules on password forms)
+// @route   GET /api/auth/password-policy
+// @access  Public
+router.get('/password-policy', (req, res) => {
+    const { minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, historyCount, maxAgeDays } = getPasswordPolicy();
+
+    res.json({
+        success: true,
+        data: {
+            minLength,
+            requireUppercase,
+            requireLowercase,
+            requireNumber,
+            requireSymbol,
+            historyCount,
+            maxAgeDays
+        }
+    });
+});
+
 // @desc    Change password
 // @route   PUT /api/auth/change-password
 // @access  Private
-router.put('/change-password', protect, [
+router.put('/change-password', protectAllowAccountSetup, [
     body('currentPassword').notEmpty().withMessage('Current password is required'),
-    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+    body('newPassword').isString().notEmpty().withMessage('New password is required')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -240,7 +829,7 @@ router.put('/change-password', protect, [
 
         const { currentPassword, newPassword } = req.body;
 
-        const user = await User.findById(req.user._id).select('+password');
+        const user = await User.findById(req.user._id).select('+password +passwordHistory');
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -257,10 +846,20 @@ router.put('/change-password', protect, [
             });
         }
 
+        const passwordErrors = await checkPasswordPolicy(newPassword, user);
+        if (passwordErrors.length > 0) {
+            return sendPasswordPolicyErrors(res, passwordErrors);
+        }
+
         // Update password
         user.password = newPassword;
         await user.save();
 
+        await SecurityEvent.record('password-changed', { req, user });
+
+        // Sign out every other device
+        await revokeUserSessions(user._id, 'password-change', req.authSession._id, { req });
+
         res.json({
             success: true,
             message: 'Password updated successfully'
@@ -274,54 +873,44 @@ router.put('/change-password', protect, [
     }
 });
 
-// @desc    Get all users (Admin only)
-// @route   GET /api/auth/users
-// @access  Private/Admin
-router.get('/users', protect, authorize('admin'), async (req, res) => {
-    try {
-        const users = await User.find({}).select('-password');
-        res.json({
-            success: true,
-            count: users.length,
-            data: users
-        });
-    } catch (error) {
-        console.error('Get users error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
-    }
-});
-
-// @desc    Update user (Admin only)
-// @route   PUT /api/auth/users/:id
+// @desc    Get account lockout events (Admin only)
+// @route   GET /api/auth/lockout-events
 // @access  Private/Admin
-router.put('/users/:id', protect, authorize('admin'), async (req, res) => {
+router.get('/lockout-events', protect, requirePermission('security:manage'), async (req, res) => {
     try {
-        const { isActive, role, department } = req.body;
-
-        const user = await User.findById(req.params.id);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+        const { page = 1, limit = 20, userId, from, to } = req.query;
+
+        // Build query
+        const query = { type: { $in: ['account-locked', 'account-unlocked'] } };
+        if (userId) query.userId = userId;
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
         }
 
-        // Update fields
-        if (typeof isActive === 'boolean') user.isActive = isActive;
-        if (role) user.role = role;
-        if (department) user.department = department;
+        const events = await SecurityEvent.find(query)
+            .populate('userId', 'firstName lastName email role')
+            .populate('actorId', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
 
-        const updatedUser = await user.save();
+        const total = await SecurityEvent.countDocuments(query);
 
         res.json({
             success: true,
-            data: updatedUser
+            data: events,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalEvents: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
         });
     } catch (error) {
-        console.error('Update user error:', error);
+        console.error('Get lockout events error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -0,0 +1,200 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Patient from '../models/Patient.js';
+import Consent, { CONSENT_TYPES, CONSENT_CHANNELS } from '../models/Consent.js';
+import Document from '../models/Document.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { resolvePatientAccess } from '../services/patientAccess.js';
+
+const router = express.Router();
+
+// Loads the patient of the route for anyone who may view the record
+const loadPatient = async (req, res, next) => {
+    try {
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        if (!await resolvePatientAccess(req, patient)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this patient record'
+            });
+        }
+
+        req.patient = patient;
+        next();
+    } catch (error) {
+        console.error('Load patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get a patient's consents (current state and history)
+// @route   GET /api/patients/:id/consents
+// @access  Private/Staff
+router.get('/:id/consents', protect, requirePermission('patient:read'), loadPatient, [
+    query('type').optional().isIn(CONSENT_TYPES).withMessage('Invalid consent type')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const filter = { patientId: req.patient._id };
+        if (req.query.type) filter.type = req.query.type;
+
+        const [state, history] = await Promise.all([
+            Consent.getState(req.patient._id),
+            Consent.find(filter)
+                .populate('capturedBy', 'firstName lastName role')
+                .populate('revokedBy', 'firstName lastName role')
+                .sort({ grantedAt: -1 })
+        ]);
+
+        res.json({
+            success: true,
+            state,
+            count: history.length,
+            data: history
+        });
+    } catch (error) {
+        console.error('Get consents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Record a consent
+// @route   POST /api/patients/:id/consents
+// @access  Private/Staff
+router.post('/:id/consents', protect, requirePermission('patient:consent:manage'), loadPatient, [
+    body('type').isIn(CONSENT_TYPES).withMessage('Invalid consent type'),
+    body('textVersion').trim().isLength({ min: 1, max: 50 }).withMessage('The version of the consent text is required'),
+    body('channel').isIn(CONSENT_CHANNELS.filter(channel => channel !== 'patient-portal')).withMessage('Invalid capture channel'),
+    body('documentId').optional().isMongoId().withMessage('Invalid document ID'),
+    body('notes').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        if (req.patient.erasedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'This patient record has been erased'
+            });
+        }
+
+        // The signed form must be one of this patient's consent forms
+        if (req.body.documentId) {
+            const document = await Document.exists({
+                _id: req.body.documentId,
+                patientId: req.patient._id,
+                category: 'consent-form',
+                status: 'active'
+            });
+            if (!document) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The document is not a consent form of this patient'
+                });
+            }
+        }
+
+        const { consent, previous } = await Consent.grant(req.patient._id, {
+            type: req.body.type,
+            textVersion: req.body.textVersion,
+            channel: req.body.channel,
+            user: req.user,
+            documentId: req.body.documentId,
+            notes: req.body.notes
+        });
+
+        res.status(201).json({
+            success: true,
+            message: previous ? 'Consent recorded, it replaces the previous one' : 'Consent recorded',
+            data: consent
+        });
+    } catch (error) {
+        console.error('Record consent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Revoke a consent
+// @route   POST /api/patients/:id/consents/:consentId/revoke
+// @access  Private/Staff
+router.post('/:id/consents/:consentId/revoke', protect, requirePermission('patient:consent:manage'), loadPatient, [
+    body('channel').isIn(CONSENT_CHANNELS.filter(channel => channel !== 'patient-portal')).withMessage('Invalid channel'),
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const consent = await Consent.findOne({ _id: req.params.consentId, patientId: req.patient._id });
+        if (!consent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Consent not found'
+            });
+        }
+
+        if (consent.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: `This consent has already been ${consent.status}`
+            });
+        }
+
+        const revokedConsent = await consent.revoke({
+            user: req.user,
+            channel: req.body.channel,
+            reason: req.body.reason
+        });
+
+        res.json({
+            success: true,
+            message: 'Consent revoked',
+            data: revokedConsent
+        });
+    } catch (error) {
+        console.error('Revoke consent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
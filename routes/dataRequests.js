@@ -0,0 +1,190 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import PatientDataRequest from '../models/PatientDataRequest.js';
+import Patient from '../models/Patient.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { getErasureBlocker, erasePatient } from '../services/patientData.js';
+
+const router = express.Router();
+
+// @desc    List patient data requests (exports and erasures)
+// @route   GET /api/data-requests
+// @access  Private/Admin
+router.get('/', protect, requirePermission('patient:erasure:approve'), [
+    query('type').optional().isIn(['export', 'erasure']).withMessage('Invalid request type'),
+    query('status').optional().isIn(['pending', 'rejected', 'completed']).withMessage('Invalid status'),
+    query('patientId').optional().isMongoId().withMessage('Invalid patient ID'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, type, status, patientId } = req.query;
+
+        // Build query
+        const filter = {};
+        if (type) filter.type = type;
+        if (status) filter.status = status;
+        if (patientId) filter.patientId = patientId;
+
+        const dataRequests = await PatientDataRequest.find(filter)
+            .populate('patientId', 'firstName lastName dateOfBirth erasedAt')
+            .populate('requestedBy', 'firstName lastName email role')
+            .populate('reviewedBy', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await PatientDataRequest.countDocuments(filter);
+        const pendingErasures = await PatientDataRequest.countDocuments({ type: 'erasure', status: 'pending' });
+
+        res.json({
+            success: true,
+            data: dataRequests,
+            pendingErasures,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalRequests: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get data requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get a patient data request
+// @route   GET /api/data-requests/:id
+// @access  Private/Admin
+router.get('/:id', protect, requirePermission('patient:erasure:approve'), async (req, res) => {
+    try {
+        const dataRequest = await PatientDataRequest.findById(req.params.id)
+            .populate('patientId', 'firstName lastName dateOfBirth status erasedAt')
+            .populate('requestedBy', 'firstName lastName email role')
+            .populate('reviewedBy', 'firstName lastName');
+        if (!dataRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Data request not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: dataRequest
+        });
+    } catch (error) {
+        console.error('Get data request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Approve (and carry out) or reject an erasure request
+// @route   PUT /api/data-requests/:id/review
+// @access  Private/Admin
+router.put('/:id/review', protect, requirePermission('patient:erasure:approve'), [
+    body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+    body('reviewNotes').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const dataRequest = await PatientDataRequest.findById(req.params.id);
+        if (!dataRequest || dataRequest.type !== 'erasure') {
+            return res.status(404).json({
+                success: false,
+                message: 'Erasure request not found'
+            });
+        }
+
+        if (dataRequest.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `This request has already been ${dataRequest.status === 'rejected' ? 'rejected' : 'carried out'}`
+            });
+        }
+
+        // Erasure cannot be undone, so it always takes a second person
+        if (dataRequest.requestedBy.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot review your own erasure request'
+            });
+        }
+
+        dataRequest.reviewedBy = req.user._id;
+        dataRequest.reviewedAt = new Date();
+        dataRequest.reviewNotes = req.body.reviewNotes;
+
+        if (req.body.decision === 'reject') {
+            dataRequest.status = 'rejected';
+            const rejectedRequest = await dataRequest.save();
+
+            return res.json({
+                success: true,
+                message: 'Erasure request rejected',
+                data: rejectedRequest
+            });
+        }
+
+        const patient = await Patient.findById(dataRequest.patientId);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const blocker = await getErasureBlocker(patient);
+        if (blocker) {
+            return res.status(409).json({
+                success: false,
+                message: blocker
+            });
+        }
+
+        // The request stays pending if erasure fails part way, approving it again finishes the job
+        dataRequest.summary = await erasePatient(patient, dataRequest);
+        dataRequest.status = 'completed';
+        dataRequest.completedAt = new Date();
+        const completedRequest = await dataRequest.save();
+
+        res.json({
+            success: true,
+            message: 'Patient record erased',
+            data: completedRequest
+        });
+    } catch (error) {
+        console.error('Review erasure request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,255 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Device, { DEVICE_SCOPES } from '../models/Device.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { generateDeviceKey } from '../services/deviceKeys.js';
+
+const router = express.Router();
+
+// @desc    Register a device and issue its API key (Admin only)
+// @route   POST /api/devices
+// @access  Private/Admin
+router.post('/', protect, requirePermission('device:manage'), [
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('type').isIn(['qr-scanner', 'kiosk', 'display-board']).withMessage('Invalid device type'),
+    body('location').optional().trim().isLength({ max: 200 }),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(DEVICE_SCOPES).withMessage('Invalid scope')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, type, location, scopes } = req.body;
+        const { apiKey, keyPrefix, keyHash } = generateDeviceKey();
+
+        const device = await Device.create({
+            name,
+            type,
+            location,
+            scopes: [...new Set(scopes)],
+            keyPrefix,
+            keyHash,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Device registered. Store the API key now, it is only shown once',
+            data: {
+                device,
+                apiKey
+            }
+        });
+    } catch (error) {
+        console.error('Create device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error registering device'
+        });
+    }
+});
+
+// @desc    List devices (Admin only)
+// @route   GET /api/devices
+// @access  Private/Admin
+router.get('/', protect, requirePermission('device:manage'), async (req, res) => {
+    try {
+        const { type, isActive } = req.query;
+
+        // Build query
+        const query = {};
+        if (type) query.type = type;
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const devices = await Device.find(query)
+            .populate('createdBy', 'firstName lastName')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: devices.length,
+            data: devices
+        });
+    } catch (error) {
+        console.error('Get devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get device by ID (Admin only)
+// @route   GET /api/devices/:id
+// @access  Private/Admin
+router.get('/:id', protect, requirePermission('device:manage'), async (req, res) => {
+    try {
+        const device = await Device.findById(req.params.id)
+            .populate('createdBy', 'firstName lastName')
+            .populate('revokedBy', 'firstName lastName');
+
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: device
+        });
+    } catch (error) {
+        console.error('Get device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update device (Admin only)
+// @route   PUT /api/devices/:id
+// @access  Private/Admin
+router.put('/:id', protect, requirePermission('device:manage'), [
+    body('name').optional().trim().isLength({ min: 2, max: 100 }),
+    body('location').optional().trim().isLength({ max: 200 }),
+    body('scopes').optional().isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').optional().isIn(DEVICE_SCOPES).withMessage('Invalid scope'),
+    body('isActive').optional().isBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const device = await Device.findById(req.params.id);
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        if (device.revokedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot update a revoked device'
+            });
+        }
+
+        const { name, location, scopes, isActive } = req.body;
+        if (name) device.name = name;
+        if (location !== undefined) device.location = location;
+        if (scopes) device.scopes = [...new Set(scopes)];
+        if (typeof isActive === 'boolean') device.isActive = isActive;
+
+        const updatedDevice = await device.save();
+
+        res.json({
+            success: true,
+            data: updatedDevice
+        });
+    } catch (error) {
+        console.error('Update device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Rotate a device API key (Admin only)
+// @route   POST /api/devices/:id/rotate-key
+// @access  Private/Admin
+router.post('/:id/rotate-key', protect, requirePermission('device:manage'), async (req, res) => {
+    try {
+        const device = await Device.findById(req.params.id);
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        if (device.revokedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot rotate the key of a revoked device'
+            });
+        }
+
+        const { apiKey, keyPrefix, keyHash } = generateDeviceKey();
+        device.keyPrefix = keyPrefix;
+        device.keyHash = keyHash;
+        device.keyRotatedAt = new Date();
+        await device.save();
+
+        res.json({
+            success: true,
+            message: 'API key rotated, the previous key no longer works',
+            data: {
+                device,
+                apiKey
+            }
+        });
+    } catch (error) {
+        console.error('Rotate device key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Revoke device (Admin only)
+// @route   DELETE /api/devices/:id
+// @access  Private/Admin
+router.delete('/:id', protect, requirePermission('device:manage'), async (req, res) => {
+    try {
+        const device = await Device.findById(req.params.id);
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        if (device.revokedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Device is already revoked'
+            });
+        }
+
+        device.isActive = false;
+        device.revokedAt = new Date();
+        device.revokedBy = req.user._id;
+        await device.save();
+
+        res.json({
+            success: true,
+            message: 'Device revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,338 @@
+import express from 'express';
+import multer from 'multer';
+import fs from 'fs';
+import { body, query, validationResult } from 'express-validator';
+import Document from '../models/Document.js';
+import Patient from '../models/Patient.js';
+import Encounter from '../models/Encounter.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { resolvePatientAccess } from '../services/patientAccess.js';
+import {
+    DOCUMENT_CATEGORIES,
+    getMaxDocumentSize,
+    createDocumentUpload,
+    matchesFileSignature,
+    hashFile,
+    getStoredFilePath,
+    removeStoredFile,
+    canAccessDocumentCategory
+} from '../services/documents.js';
+
+const router = express.Router();
+
+const documentUpload = createDocumentUpload();
+
+// Runs the multer upload and turns its errors into 400 responses
+const uploadDocumentFile = (req, res, next) => {
+    documentUpload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `File is too large (maximum ${Math.round(getMaxDocumentSize() / (1024 * 1024))} MB)`
+                    : error.message
+            });
+        }
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next();
+    });
+};
+
+// Loads the document of the route with its patient and checks access to it
+const loadDocument = async (req, res, next) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.id, status: 'active' }).select('+storedName');
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        const patient = await Patient.findById(document.patientId);
+        const access = patient ? await resolvePatientAccess(req, patient) : null;
+        if (!access || !canAccessDocumentCategory(access.level, document.category)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this document'
+            });
+        }
+
+        req.document = document;
+        next();
+    } catch (error) {
+        console.error('Load document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Upload a patient document
+// @route   POST /api/documents/patient/:patientId
+// @access  Private/Staff
+router.post('/patient/:patientId', protect, requirePermission('document:upload'), uploadDocumentFile, [
+    body('category').isIn(DOCUMENT_CATEGORIES).withMessage(`Category must be one of: ${DOCUMENT_CATEGORIES.join(', ')}`),
+    body('title').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Title must be between 2 and 200 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }),
+    body('encounterId').optional().isMongoId().withMessage('Invalid encounter ID')
+], async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'A file is required (form field "file")'
+            });
+        }
+
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await removeStoredFile(req.file.path);
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patient = await Patient.findById(req.params.patientId);
+        if (!patient) {
+            await removeStoredFile(req.file.path);
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const { category, title, description, encounterId } = req.body;
+
+        const access = await resolvePatientAccess(req, patient);
+        if (!access || !canAccessDocumentCategory(access.level, category)) {
+            await removeStoredFile(req.file.path);
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to add this kind of document to this patient record'
+            });
+        }
+
+        if (encounterId && !await Encounter.exists({ _id: encounterId, patientId: patient._id })) {
+            await removeStoredFile(req.file.path);
+            return res.status(404).json({
+                success: false,
+                message: 'Encounter not found for this patient'
+            });
+        }
+
+        // The content has to match the declared type, not just the file name
+        if (!await matchesFileSignature(req.file.path, req.file.mimetype)) {
+            await removeStoredFile(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: 'File content does not match its type'
+            });
+        }
+
+        const document = await Document.create({
+            patientId: patient._id,
+            encounterId,
+            category,
+            title: title || req.file.originalname,
+            description,
+            originalName: req.file.originalname,
+            storedName: req.file.filename,
+            mimeType: req.file.mimetype,
+            size: req.file.size,
+            checksum: await hashFile(req.file.path),
+            uploadedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Document uploaded successfully',
+            data: document
+        });
+    } catch (error) {
+        if (req.file) await removeStoredFile(req.file.path).catch(() => {});
+        console.error('Upload document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    List a patient's documents
+// @route   GET /api/documents/patient/:patientId
+// @access  Private/Staff
+router.get('/patient/:patientId', protect, requirePermission('document:read'), [
+    query('category').optional().isIn(DOCUMENT_CATEGORIES),
+    query('encounterId').optional().isMongoId(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patient = await Patient.findById(req.params.patientId);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const access = await resolvePatientAccess(req, patient);
+        if (!access) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this patient record'
+            });
+        }
+
+        const { page = 1, limit = 20, category, encounterId } = req.query;
+
+        // Build query, without clinical documents for demographics-only access
+        const filter = { patientId: patient._id, status: 'active' };
+        const categories = DOCUMENT_CATEGORIES.filter(entry => canAccessDocumentCategory(access.level, entry));
+        filter.category = category
+            ? (categories.includes(category) ? category : { $in: [] })
+            : { $in: categories };
+        if (encounterId) filter.encounterId = encounterId;
+
+        const documents = await Document.find(filter)
+            .populate('uploadedBy', 'firstName lastName role')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Document.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: documents,
+            access: { level: access.level },
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalDocuments: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get patient documents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get document metadata
+// @route   GET /api/documents/:id
+// @access  Private/Staff
+router.get('/:id', protect, requirePermission('document:read'), loadDocument, async (req, res) => {
+    try {
+        await req.document.populate('uploadedBy', 'firstName lastName role');
+
+        res.json({
+            success: true,
+            data: req.document
+        });
+    } catch (error) {
+        console.error('Get document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Download a document
+// @route   GET /api/documents/:id/download
+// @access  Private/Staff
+router.get('/:id/download', protect, requirePermission('document:read'), loadDocument, async (req, res) => {
+    try {
+        const filePath = getStoredFilePath(req.document.storedName);
+        if (!fs.existsSync(filePath)) {
+            console.error(`Document file missing for document ${req.document._id}`);
+            return res.status(404).json({
+                success: false,
+                message: 'Document file not found'
+            });
+        }
+
+        await req.document.recordDownload();
+
+        res.set({
+            'Content-Type': req.document.mimeType,
+            'Cache-Control': 'private, no-store'
+        });
+        res.attachment(req.document.originalName);
+        fs.createReadStream(filePath)
+            .on('error', (streamError) => {
+                console.error('Document stream error:', streamError);
+                res.destroy(streamError);
+            })
+            .pipe(res);
+    } catch (error) {
+        console.error('Download document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete a document (metadata is kept, the file is removed)
+// @route   DELETE /api/documents/:id
+// @access  Private/Admin
+router.delete('/:id', protect, requirePermission('document:delete'), loadDocument, [
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const document = req.document;
+        await removeStoredFile(getStoredFilePath(document.storedName));
+
+        document.status = 'deleted';
+        document.deletedAt = new Date();
+        document.deletedBy = req.user._id;
+        document.deleteReason = req.body.reason;
+        await document.save();
+
+        res.json({
+            success: true,
+            message: 'Document deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import EmergencyAccess from '../models/EmergencyAccess.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @desc    List break-the-glass grants for review
+// @route   GET /api/emergency-access
+// @access  Private/Admin
+router.get('/', protect, requirePermission('patient:access:review'), [
+    query('reviewStatus').optional().isIn(['pending', 'justified', 'unjustified']).withMessage('Invalid review status'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, reviewStatus, userId, patientId } = req.query;
+
+        // Build query
+        const filter = {};
+        if (reviewStatus) filter.reviewStatus = reviewStatus;
+        if (userId) filter.userId = userId;
+        if (patientId) filter.patientId = patientId;
+
+        const grants = await EmergencyAccess.find(filter)
+            .populate('userId', 'firstName lastName email role department')
+            .populate('patientId', 'firstName lastName dateOfBirth')
+            .populate('reviewedBy', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await EmergencyAccess.countDocuments(filter);
+        const pendingReview = await EmergencyAccess.countDocuments({ reviewStatus: 'pending' });
+
+        res.json({
+            success: true,
+            data: grants,
+            pendingReview,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalGrants: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get emergency access grants error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Review a break-the-glass grant
+// @route   PUT /api/emergency-access/:id/review
+// @access  Private/Admin
+router.put('/:id/review', protect, requirePermission('patient:access:review'), [
+    body('reviewStatus').isIn(['justified', 'unjustified']).withMessage('Review status must be justified or unjustified'),
+    body('reviewNotes').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const grant = await EmergencyAccess.findById(req.params.id);
+        if (!grant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Emergency access grant not found'
+            });
+        }
+
+        // Nobody reviews their own emergency access
+        if (grant.userId.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot review your own emergency access'
+            });
+        }
+
+        grant.reviewStatus = req.body.reviewStatus;
+        grant.reviewNotes = req.body.reviewNotes;
+        grant.reviewedBy = req.user._id;
+        grant.reviewedAt = new Date();
+
+        // An unjustified grant is closed right away
+        if (grant.reviewStatus === 'unjustified' && grant.isActive) {
+            grant.expiresAt = new Date();
+        }
+
+        const reviewedGrant = await grant.save();
+
+        res.json({
+            success: true,
+            data: reviewedGrant
+        });
+    } catch (error) {
+        console.error('Review emergency access error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,221 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Encounter from '../models/Encounter.js';
+import Patient from '../models/Patient.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { resolvePatientAccess } from '../services/patientAccess.js';
+import { toEncounterView } from '../services/encounters.js';
+import { addMedication } from '../services/patientMedications.js';
+
+const router = express.Router();
+
+// @desc    Get encounter by ID
+// @route   GET /api/encounters/:id
+// @access  Private/Staff
+router.get('/:id', protect, requirePermission('encounter:read'), async (req, res) => {
+    try {
+        const encounter = await Encounter.findById(req.params.id)
+            .populate('patientId', 'firstName lastName dateOfBirth')
+            .populate('assignedDoctor', 'firstName lastName department')
+            .populate('checkedInBy', 'firstName lastName')
+            .populate('outcome.recordedBy', 'firstName lastName');
+
+        if (!encounter) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encounter not found'
+            });
+        }
+
+        const patient = await Patient.findById(encounter.patientId._id);
+        const access = patient ? await resolvePatientAccess(req, patient) : null;
+        if (!access) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this patient record'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: toEncounterView(encounter, access.level)
+        });
+    } catch (error) {
+        console.error('Get encounter error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Record the outcome of an encounter
+// @route   PUT /api/encounters/:id/outcome
+// @access  Private/Doctor
+router.put('/:id/outcome', protect, requirePermission('encounter:update'), [
+    body('disposition').isIn(['discharged', 'follow-up', 'referred', 'admitted', 'left-without-being-seen']).withMessage('Invalid disposition'),
+    body('diagnosis').optional().trim().isLength({ max: 1000 }),
+    body('notes').optional().trim().isLength({ max: 2000 }),
+    body('followUpDate').optional().isISO8601().withMessage('Invalid follow-up date')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const encounter = await Encounter.findById(req.params.id);
+        if (!encounter) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encounter not found'
+            });
+        }
+
+        if (['cancelled', 'no-show'].includes(encounter.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot record an outcome for a ${encounter.status} encounter`
+            });
+        }
+
+        // The outcome is clinical data, so it needs clinical access to the patient
+        const patient = await Patient.findById(encounter.patientId);
+        const access = patient ? await resolvePatientAccess(req, patient) : null;
+        if (access?.level !== 'full') {
+            return res.status(403).json({
+                success: false,
+                message: 'Outcomes can only be recorded by the patient\'s care team or with emergency access'
+            });
+        }
+
+        const { disposition, diagnosis, notes, followUpDate } = req.body;
+
+        if (disposition === 'follow-up' && !followUpDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'A follow-up date is required for follow-up outcomes'
+            });
+        }
+
+        encounter.outcome = {
+            disposition,
+            diagnosis,
+            notes,
+            followUpDate,
+            recordedBy: req.user._id,
+            recordedAt: new Date()
+        };
+        await encounter.save();
+
+        await encounter.populate('assignedDoctor', 'firstName lastName department');
+        await encounter.populate('outcome.recordedBy', 'firstName lastName');
+
+        res.json({
+            success: true,
+            message: 'Encounter outcome recorded',
+            data: toEncounterView(encounter, access.level)
+        });
+    } catch (error) {
+        console.error('Record encounter outcome error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Write a prescription (added to the patient's medications)
+// @route   POST /api/encounters/:id/prescriptions
+// @access  Private/Doctor
+router.post('/:id/prescriptions', protect, requirePermission('prescription:write'), [
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Medication name must be between 2 and 100 characters'),
+    body('dosage').trim().isLength({ min: 1, max: 100 }).withMessage('Dosage is required'),
+    body('frequency').trim().isLength({ min: 1, max: 100 }).withMessage('Frequency is required'),
+    body('route').optional().trim().isLength({ max: 50 }),
+    body('durationDays').optional().isInt({ min: 1, max: 365 }).withMessage('Duration must be between 1 and 365 days').toInt(),
+    body('instructions').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const encounter = await Encounter.findById(req.params.id);
+        if (!encounter) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encounter not found'
+            });
+        }
+
+        if (['cancelled', 'no-show'].includes(encounter.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot prescribe for a ${encounter.status} encounter`
+            });
+        }
+
+        const patient = await Patient.findById(encounter.patientId);
+        const access = patient ? await resolvePatientAccess(req, patient) : null;
+        if (access?.level !== 'full') {
+            return res.status(403).json({
+                success: false,
+                message: 'Prescriptions can only be written by the patient\'s care team or with emergency access'
+            });
+        }
+
+        const { name, dosage, frequency, route, durationDays, instructions } = req.body;
+        const startDate = new Date();
+        const endDate = durationDays ? new Date(startDate.getTime() + durationDays * 24 * 60 * 60 * 1000) : undefined;
+
+        const { medication, warnings } = await addMedication(patient, {
+            name,
+            dosage,
+            frequency,
+            route,
+            startDate,
+            endDate,
+            notes: instructions
+        }, req.user, { encounterId: encounter._id, prescribed: true });
+
+        encounter.prescriptions.push({
+            medicationId: medication._id,
+            name,
+            dosage,
+            frequency,
+            route,
+            durationDays,
+            instructions,
+            warnings,
+            prescribedBy: req.user._id,
+            prescribedAt: startDate
+        });
+        await encounter.save();
+
+        res.status(201).json({
+            success: true,
+            message: warnings.length > 0 ? 'Prescription written with warnings' : 'Prescription written',
+            data: encounter.prescriptions[encounter.prescriptions.length - 1],
+            medication,
+            warnings
+        });
+    } catch (error) {
+        console.error('Write prescription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
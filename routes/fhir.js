@@ -0,0 +1,691 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import Encounter from '../models/Encounter.js';
+import User from '../models/User.js';
+import Consent from '../models/Consent.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { resolvePatientAccess } from '../services/patientAccess.js';
+import { findDuplicateCandidates } from '../services/patientDuplicates.js';
+import { refreshVisitStats } from '../services/encounters.js';
+import {
+    FHIR_CONTENT_TYPE,
+    operationOutcome,
+    parseIdentifierParam,
+    identifierFilter,
+    parseReference,
+    toFhirPatient,
+    fromFhirPatient,
+    toFhirAppointment,
+    fromFhirAppointment,
+    toFhirEncounter,
+    fromFhirEncounter,
+    mergeIdentifiers,
+    toBundle
+} from '../services/fhir.js';
+
+const router = express.Router();
+
+// Search results are not paged
+const MAX_SEARCH_RESULTS = 100;
+
+// Patient fields an update may change; name, birth date and gender are only
+// set when the record is created (as with PUT /api/patients/:id)
+const PATIENT_UPDATE_FIELDS = ['phone', 'email', 'address', 'emergencyContact', 'status'];
+
+const APPOINTMENT_FHIR_STATUSES = [
+    'proposed', 'pending', 'booked', 'arrived', 'fulfilled', 'cancelled',
+    'noshow', 'entered-in-error', 'checked-in', 'waitlist'
+];
+
+// FHIR responses: resources, or an OperationOutcome for errors
+const sendResource = (res, status, resource) => res.status(status).type(FHIR_CONTENT_TYPE).json(resource);
+
+const sendOutcome = (res, status, issues) => sendResource(res, status, operationOutcome(issues));
+
+const sendServerError = (res) => sendOutcome(res, 500, [{ code: 'exception', diagnostics: 'Server error' }]);
+
+// Exports only contain patients with an active data sharing consent
+const sendNoSharingConsent = (res) => sendOutcome(res, 403, [{
+    code: 'forbidden',
+    diagnostics: 'The patient has not consented to sharing their data with partner clinics'
+}]);
+
+// Sends the validation errors of the request, returns whether there were any
+const sendValidationErrors = (req, res, resourceType) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    sendOutcome(res, 400, errors.array().map(error => ({
+        code: 'invalid',
+        diagnostics: error.msg,
+        expression: resourceType ? `${resourceType}.${error.path}` : error.path
+    })));
+    return true;
+};
+
+// Sends the mapping issues of an incoming resource, returns whether there were any
+const sendMappingIssues = (res, issues) => {
+    if (issues.length === 0) return false;
+    sendOutcome(res, 422, issues);
+    return true;
+};
+
+// Turns a failed save into a 422 OperationOutcome
+const sendSaveValidationError = (res, error) => {
+    const messages = error.errors ? Object.values(error.errors).map(entry => entry.message) : [error.message];
+    return sendOutcome(res, 422, messages.map(message => ({ code: 'processing', diagnostics: message })));
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+const getRequestUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+// Loads the record behind a literal (`Patient/<id>`) or identifier reference
+const resolveReference = async (Model, type, reference) => {
+    const id = parseReference(reference, type);
+    if (id) return Model.findById(id);
+
+    const identifier = reference?.identifier;
+    const filter = identifier?.value && identifierFilter(type, identifier);
+    return filter ? Model.findOne(filter) : null;
+};
+
+// Resolves a Practitioner reference to a doctor
+const resolvePractitioner = async (reference) => {
+    const id = parseReference(reference, 'Practitioner');
+    const doctor = id ? await User.findById(id) : null;
+    return doctor?.role === 'doctor' ? doctor : null;
+};
+
+// Finds another record that already holds one of the incoming identifiers
+const findIdentifierConflict = async (Model, identifiers, excludeId) => {
+    if (identifiers.length === 0) return null;
+
+    const filter = {
+        $or: identifiers.map(({ system, value }) => ({ identifiers: { $elemMatch: { system, value } } }))
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    return Model.findOne(filter).select('_id identifiers');
+};
+
+const sendIdentifierConflict = (res, type, existing) => sendOutcome(res, 409, [{
+    code: 'duplicate',
+    diagnostics: `${type}/${existing._id} already has one of these identifiers, update that resource instead`,
+    expression: `${type}.identifier`
+}]);
+
+// Reads the patient search parameter (`Patient/<id>` or `<id>`)
+const parsePatientParam = (param) => parseReference({ reference: String(param).includes('/') ? param : `Patient/${param}` }, 'Patient');
+
+const patientResourceValidation = [
+    body('resourceType').equals('Patient').withMessage('resourceType must be Patient'),
+    body('name').isArray({ min: 1 }).withMessage('At least one name is required'),
+    body('gender').isIn(['male', 'female', 'other', 'unknown']).withMessage('gender must be male, female, other or unknown'),
+    body('birthDate').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('birthDate must be a date (YYYY-MM-DD)'),
+    body('telecom').optional().isArray().withMessage('telecom must be an array'),
+    body('address').optional().isArray().withMessage('address must be an array'),
+    body('contact').optional().isArray().withMessage('contact must be an array'),
+    body('identifier').optional().isArray().withMessage('identifier must be an array')
+];
+
+const appointmentResourceValidation = [
+    body('resourceType').equals('Appointment').withMessage('resourceType must be Appointment'),
+    body('status').isIn(APPOINTMENT_FHIR_STATUSES).withMessage('Invalid appointment status'),
+    body('start').isISO8601().withMessage('start must be an instant'),
+    body('end').isISO8601().withMessage('end must be an instant'),
+    body('participant').isArray({ min: 1 }).withMessage('participant must list the patient and the practitioner'),
+    body('priority').optional().isInt({ min: 0 }).withMessage('priority must be an unsigned integer').toInt(),
+    body('identifier').optional().isArray().withMessage('identifier must be an array')
+];
+
+const encounterResourceValidation = [
+    body('resourceType').equals('Encounter').withMessage('resourceType must be Encounter'),
+    body('status').isString().withMessage('status is required'),
+    body('subject').isObject().withMessage('subject must reference the patient'),
+    body('period.start').isISO8601().withMessage('period.start must be an instant'),
+    body('period.end').optional().isISO8601().withMessage('period.end must be an instant'),
+    body('participant').optional().isArray().withMessage('participant must be an array'),
+    body('reasonCode').optional().isArray().withMessage('reasonCode must be an array'),
+    body('identifier').optional().isArray().withMessage('identifier must be an array')
+];
+
+const searchValidation = [
+    query('identifier').optional().isString(),
+    query('patient').optional().isString()
+];
+
+// @desc    Search patients by identifier
+// @route   GET /api/fhir/Patient?identifier=[system|]value
+// @access  Private/Staff
+router.get('/Patient', protect, requirePermission('fhir:export', 'patient:read'), searchValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const identifier = parseIdentifierParam(req.query.identifier);
+        if (!identifier) {
+            return sendOutcome(res, 400, [{ code: 'required', diagnostics: 'Search by identifier ([system|]value)' }]);
+        }
+
+        const filter = identifierFilter('Patient', identifier);
+        const patients = filter ? await Patient.find(filter).limit(MAX_SEARCH_RESULTS) : [];
+
+        const sharing = await Consent.findConsentingPatientIds(patients.map(patient => patient._id), 'data-sharing');
+        const resources = [];
+        for (const patient of patients) {
+            if (sharing.has(patient._id.toString()) && await resolvePatientAccess(req, patient)) {
+                resources.push(toFhirPatient(patient));
+            }
+        }
+
+        sendResource(res, 200, toBundle('searchset', getBaseUrl(req), resources, getRequestUrl(req)));
+    } catch (error) {
+        console.error('FHIR patient search error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Read a patient
+// @route   GET /api/fhir/Patient/:id
+// @access  Private/Staff
+router.get('/Patient/:id', protect, requirePermission('fhir:export', 'patient:read'), async (req, res) => {
+    try {
+        const patient = await resolveReference(Patient, 'Patient', { reference: `Patient/${req.params.id}` });
+        if (!patient) {
+            return sendOutcome(res, 404, [{ code: 'not-found', diagnostics: `Patient/${req.params.id} not found` }]);
+        }
+
+        if (!await resolvePatientAccess(req, patient)) {
+            return sendOutcome(res, 403, [{ code: 'forbidden', diagnostics: 'Not authorized to view this patient record' }]);
+        }
+
+        if (!await Consent.isGranted(patient._id, 'data-sharing')) {
+            return sendNoSharingConsent(res);
+        }
+
+        sendResource(res, 200, toFhirPatient(patient));
+    } catch (error) {
+        console.error('FHIR patient read error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Export a patient with their appointments and encounters as a Bundle
+// @route   GET /api/fhir/Patient/:id/$everything
+// @access  Private/Staff
+router.get('/Patient/:id/[$]everything', protect, requirePermission('fhir:export', 'patient:read', 'appointment:read', 'encounter:read'), async (req, res) => {
+    try {
+        const patient = await resolveReference(Patient, 'Patient', { reference: `Patient/${req.params.id}` });
+        if (!patient) {
+            return sendOutcome(res, 404, [{ code: 'not-found', diagnostics: `Patient/${req.params.id} not found` }]);
+        }
+
+        const access = await resolvePatientAccess(req, patient);
+        if (!access) {
+            return sendOutcome(res, 403, [{ code: 'forbidden', diagnostics: 'Not authorized to view this patient record' }]);
+        }
+
+        if (!await Consent.isGranted(patient._id, 'data-sharing')) {
+            return sendNoSharingConsent(res);
+        }
+
+        const [appointments, encounters] = await Promise.all([
+            Appointment.find({ patientId: patient._id })
+                .populate('doctorId', 'firstName lastName')
+                .sort({ appointmentDate: 1, startTime: 1 }),
+            Encounter.findByPatient(patient._id)
+        ]);
+
+        const resources = [
+            toFhirPatient(patient),
+            ...appointments.map(appointment => toFhirAppointment(appointment, access.level)),
+            ...encounters.map(encounter => toFhirEncounter(encounter, access.level))
+        ];
+
+        sendResource(res, 200, toBundle('searchset', getBaseUrl(req), resources, getRequestUrl(req)));
+    } catch (error) {
+        console.error('FHIR patient export error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Import a patient
+// @route   POST /api/fhir/Patient
+// @access  Private/Staff
+router.post('/Patient', protect, requirePermission('fhir:import', 'patient:update:demographics'), patientResourceValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res, 'Patient')) return;
+
+        const { values, issues } = fromFhirPatient(req.body);
+        if (sendMappingIssues(res, issues)) return;
+
+        const existing = await findIdentifierConflict(Patient, values.identifiers);
+        if (existing) return sendIdentifierConflict(res, 'Patient', existing);
+
+        // Imports are not blocked by probable duplicates, they are flagged for review
+        const candidates = await findDuplicateCandidates(values);
+
+        const patient = new Patient({
+            ...values,
+            possibleDuplicates: candidates.map(({ patient: candidate, score }) => ({ patientId: candidate._id, score }))
+        });
+        patient.generateQRCode();
+        await patient.save();
+
+        res.location(`${getBaseUrl(req)}/Patient/${patient._id}`);
+        sendResource(res, 201, toFhirPatient(patient));
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendSaveValidationError(res, error);
+        console.error('FHIR patient import error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Update a patient from a FHIR Patient
+// @route   PUT /api/fhir/Patient/:id
+// @access  Private/Staff
+router.put('/Patient/:id', protect, requirePermission('fhir:import', 'patient:update:demographics'), patientResourceValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res, 'Patient')) return;
+
+        if (req.body.id && req.body.id !== req.params.id) {
+            return sendOutcome(res, 400, [{ diagnostics: 'Resource id does not match the URL', expression: 'Patient.id' }]);
+        }
+
+        const patient = await resolveReference(Patient, 'Patient', { reference: `Patient/${req.params.id}` });
+        if (!patient) {
+            return sendOutcome(res, 404, [{ code: 'not-found', diagnostics: `Patient/${req.params.id} not found` }]);
+        }
+
+        if (patient.mergedInto) {
+            return sendOutcome(res, 422, [{ code: 'business-rule', diagnostics: `This record was merged into Patient/${patient.mergedInto}` }]);
+        }
+
+        if (!await resolvePatientAccess(req, patient)) {
+            return sendOutcome(res, 403, [{ code: 'forbidden', diagnostics: 'Not authorized to update this patient record' }]);
+        }
+
+        const { values, issues } = fromFhirPatient(req.body);
+        if (sendMappingIssues(res, issues)) return;
+
+        const existing = await findIdentifierConflict(Patient, values.identifiers, patient._id);
+        if (existing) return sendIdentifierConflict(res, 'Patient', existing);
+
+        PATIENT_UPDATE_FIELDS.forEach(field => {
+            patient[field] = values[field];
+        });
+        patient.identifiers = mergeIdentifiers(patient.identifiers, values.identifiers);
+        await patient.save();
+
+        sendResource(res, 200, toFhirPatient(patient));
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendSaveValidationError(res, error);
+        console.error('FHIR patient update error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Search appointments by identifier or patient
+// @route   GET /api/fhir/Appointment?identifier=[system|]value&patient=Patient/:id
+// @access  Private/Staff
+router.get('/Appointment', protect, requirePermission('fhir:export', 'appointment:read'), searchValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const identifier = parseIdentifierParam(req.query.identifier);
+        if (!identifier && !req.query.patient) {
+            return sendOutcome(res, 400, [{ code: 'required', diagnostics: 'Search by identifier or patient' }]);
+        }
+
+        const filters = [];
+        if (identifier) filters.push(identifierFilter('Appointment', identifier));
+        if (req.query.patient) {
+            const patientId = parsePatientParam(req.query.patient);
+            filters.push(patientId && { patientId });
+        }
+
+        const appointments = filters.every(Boolean)
+            ? await Appointment.find({ $and: filters })
+                .populate('patientId', 'firstName lastName assignedDoctor')
+                .populate('doctorId', 'firstName lastName')
+                .sort({ appointmentDate: 1, startTime: 1 })
+                .limit(MAX_SEARCH_RESULTS)
+            : [];
+
+        // Each appointment is shown at the access level of its patient
+        const sharing = await Consent.findConsentingPatientIds(appointments.map(appointment => appointment.patientId?._id), 'data-sharing');
+        const accessByPatient = new Map();
+        const resources = [];
+        for (const appointment of appointments) {
+            const patient = appointment.patientId;
+            if (!patient || !sharing.has(patient._id.toString())) continue;
+            const patientId = patient._id.toString();
+            if (!accessByPatient.has(patientId)) {
+                accessByPatient.set(patientId, await resolvePatientAccess(req, patient));
+            }
+            const access = accessByPatient.get(patientId);
+            if (access) resources.push(toFhirAppointment(appointment, access.level));
+        }
+
+        sendResource(res, 200, toBundle('searchset', getBaseUrl(req), resources, getRequestUrl(req)));
+    } catch (error) {
+        console.error('FHIR appointment search error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Read an appointment
+// @route   GET /api/fhir/Appointment/:id
+// @access  Private/Staff
+router.get('/Appointment/:id', protect, requirePermission('fhir:export', 'appointment:read'), async (req, res) => {
+    try {
+        const appointment = await resolveReference(Appointment, 'Appointment', { reference: `Appointment/${req.params.id}` });
+        if (!appointment) {
+            return sendOutcome(res, 404, [{ code: 'not-found', diagnostics: `Appointment/${req.params.id} not found` }]);
+        }
+
+        const patient = await Patient.findById(appointment.patientId);
+        const access = patient ? await resolvePatientAccess(req, patient) : null;
+        if (!access) {
+            return sendOutcome(res, 403, [{ code: 'forbidden', diagnostics: 'Not authorized to view this patient record' }]);
+        }
+
+        if (!await Consent.isGranted(patient._id, 'data-sharing')) {
+            return sendNoSharingConsent(res);
+        }
+
+        await appointment.populate('patientId', 'firstName lastName');
+        await appointment.populate('doctorId', 'firstName lastName');
+
+        sendResource(res, 200, toFhirAppointment(appointment, access.level));
+    } catch (error) {
+        console.error('FHIR appointment read error:', error);
+        sendServerError(res);
+    }
+});
+
+// Resolves the references of an incoming Appointment and applies it to `appointment`,
+// returns the patient (or false when a response has been sent)
+const applyAppointmentResource = async (req, res, appointment) => {
+    const { values, patientReference, practitionerReference, issues } = fromFhirAppointment(req.body);
+    if (sendMappingIssues(res, issues)) return false;
+
+    const patient = await resolveReference(Patient, 'Patient', patientReference);
+    if (!patient) {
+        sendOutcome(res, 422, [{ code: 'not-found', diagnostics: 'participant must reference an existing Patient', expression: 'Appointment.participant' }]);
+        return false;
+    }
+    if (!appointment.isNew && !appointment.patientId.equals(patient._id)) {
+        sendOutcome(res, 422, [{ code: 'business-rule', diagnostics: 'An appointment cannot be moved to another patient', expression: 'Appointment.participant' }]);
+        return false;
+    }
+
+    const doctor = await resolvePractitioner(practitionerReference);
+    if (!doctor) {
+        sendOutcome(res, 422, [{ code: 'not-found', diagnostics: 'participant must reference an existing doctor (Practitioner)', expression: 'Appointment.participant' }]);
+        return false;
+    }
+
+    const existing = await findIdentifierConflict(Appointment, values.identifiers, appointment._id);
+    if (existing) {
+        sendIdentifierConflict(res, 'Appointment', existing);
+        return false;
+    }
+
+    const { identifiers, cancellationReason, ...fields } = values;
+    if (fields.status === 'cancelled' && appointment.status !== 'cancelled') {
+        appointment.cancelledAt = new Date();
+        appointment.cancelledBy = req.user._id;
+        appointment.cancellationReason = cancellationReason;
+    }
+    appointment.set({
+        ...fields,
+        patientId: patient._id,
+        doctorId: doctor._id,
+        identifiers: mergeIdentifiers(appointment.identifiers, identifiers)
+    });
+    return patient;
+};
+
+// @desc    Import an appointment
+// @route   POST /api/fhir/Appointment
+// @access  Private/Staff
+router.post('/Appointment', protect, requirePermission('fhir:import', 'appointment:create'), appointmentResourceValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res, 'Appointment')) return;
+
+        const appointment = new Appointment({ createdBy: req.user._id });
+        const patient = await applyAppointmentResource(req, res, appointment);
+        if (!patient) return;
+        await appointment.save();
+
+        const access = await resolvePatientAccess(req, patient);
+        res.location(`${getBaseUrl(req)}/Appointment/${appointment._id}`);
+        sendResource(res, 201, toFhirAppointment(appointment, access?.level));
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendSaveValidationError(res, error);
+        console.error('FHIR appointment import error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Update an appointment from a FHIR Appointment
+// @route   PUT /api/fhir/Appointment/:id
+// @access  Private/Staff
+router.put('/Appointment/:id', protect, requirePermission('fhir:import', 'appointment:update'), appointmentResourceValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res, 'Appointment')) return;
+
+        if (req.body.id && req.body.id !== req.params.id) {
+            return sendOutcome(res, 400, [{ diagnostics: 'Resource id does not match the URL', expression: 'Appointment.id' }]);
+        }
+
+        const appointment = await resolveReference(Appointment, 'Appointment', { reference: `Appointment/${req.params.id}` });
+        if (!appointment) {
+            return sendOutcome(res, 404, [{ code: 'not-found', diagnostics: `Appointment/${req.params.id} not found` }]);
+        }
+
+        const patient = await applyAppointmentResource(req, res, appointment);
+        if (!patient) return;
+        await appointment.save();
+
+        const access = await resolvePatientAccess(req, patient);
+        sendResource(res, 200, toFhirAppointment(appointment, access?.level));
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendSaveValidationError(res, error);
+        console.error('FHIR appointment update error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Search encounters by identifier or patient
+// @route   GET /api/fhir/Encounter?identifier=[system|]value&patient=Patient/:id
+// @access  Private/Staff
+router.get('/Encounter', protect, requirePermission('fhir:export', 'encounter:read'), searchValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const identifier = parseIdentifierParam(req.query.identifier);
+        if (!identifier && !req.query.patient) {
+            return sendOutcome(res, 400, [{ code: 'required', diagnostics: 'Search by identifier or patient' }]);
+        }
+
+        const filters = [];
+        if (identifier) filters.push(identifierFilter('Encounter', identifier));
+        if (req.query.patient) {
+            const patientId = parsePatientParam(req.query.patient);
+            filters.push(patientId && { patientId });
+        }
+
+        const encounters = filters.every(Boolean)
+            ? await Encounter.find({ $and: filters }).sort({ checkedInAt: -1 }).limit(MAX_SEARCH_RESULTS)
+            : [];
+
+        // Each encounter is shown at the access level of its patient
+        const sharing = await Consent.findConsentingPatientIds(encounters.map(encounter => encounter.patientId), 'data-sharing');
+        const accessByPatient = new Map();
+        const resources = [];
+        for (const encounter of encounters) {
+            const patientId = encounter.patientId.toString();
+            if (!sharing.has(patientId)) continue;
+            if (!accessByPatient.has(patientId)) {
+                const patient = await Patient.findById(patientId);
+                accessByPatient.set(patientId, patient ? await resolvePatientAccess(req, patient) : null);
+            }
+            const access = accessByPatient.get(patientId);
+            if (access) resources.push(toFhirEncounter(encounter, access.level));
+        }
+
+        sendResource(res, 200, toBundle('searchset', getBaseUrl(req), resources, getRequestUrl(req)));
+    } catch (error) {
+        console.error('FHIR encounter search error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Read an encounter
+// @route   GET /api/fhir/Encounter/:id
+// @access  Private/Staff
+router.get('/Encounter/:id', protect, requirePermission('fhir:export', 'encounter:read'), async (req, res) => {
+    try {
+        const encounter = await resolveReference(Encounter, 'Encounter', { reference: `Encounter/${req.params.id}` });
+        if (!encounter) {
+            return sendOutcome(res, 404, [{ code: 'not-found', diagnostics: `Encounter/${req.params.id} not found` }]);
+        }
+
+        const patient = await Patient.findById(encounter.patientId);
+        const access = patient ? await resolvePatientAccess(req, patient) : null;
+        if (!access) {
+            return sendOutcome(res, 403, [{ code: 'forbidden', diagnostics: 'Not authorized to view this patient record' }]);
+        }
+
+        if (!await Consent.isGranted(patient._id, 'data-sharing')) {
+            return sendNoSharingConsent(res);
+        }
+
+        sendResource(res, 200, toFhirEncounter(encounter, access.level));
+    } catch (error) {
+        console.error('FHIR encounter read error:', error);
+        sendServerError(res);
+    }
+});
+
+// Resolves the references of an incoming Encounter and applies it to `encounter`
+const applyEncounterResource = async (req, res, encounter) => {
+    const { values, patientReference, practitionerReference, appointmentReference, issues } = fromFhirEncounter(req.body);
+    if (sendMappingIssues(res, issues)) return null;
+
+    const patient = await resolveReference(Patient, 'Patient', patientReference);
+    if (!patient) {
+        sendOutcome(res, 422, [{ code: 'not-found', diagnostics: 'subject must reference an existing Patient', expression: 'Encounter.subject' }]);
+        return null;
+    }
+    if (!encounter.isNew && !encounter.patientId.equals(patient._id)) {
+        sendOutcome(res, 422, [{ code: 'business-rule', diagnostics: 'An encounter cannot be moved to another patient', expression: 'Encounter.subject' }]);
+        return null;
+    }
+
+    // Encounters carry the complaint and diagnosis, so they need clinical access
+    const access = await resolvePatientAccess(req, patient);
+    if (access?.level !== 'full') {
+        sendOutcome(res, 403, [{ code: 'forbidden', diagnostics: 'Encounters can only be imported by the patient\'s care team or with emergency access' }]);
+        return null;
+    }
+
+    let doctor;
+    if (practitionerReference) {
+        doctor = await resolvePractitioner(practitionerReference);
+        if (!doctor) {
+            sendOutcome(res, 422, [{ code: 'not-found', diagnostics: 'participant must reference an existing doctor (Practitioner)', expression: 'Encounter.participant' }]);
+            return null;
+        }
+    }
+
+    let appointment;
+    if (appointmentReference) {
+        appointment = await resolveReference(Appointment, 'Appointment', appointmentReference);
+        if (!appointment || !appointment.patientId.equals(patient._id)) {
+            sendOutcome(res, 422, [{ code: 'not-found', diagnostics: 'appointment must reference an appointment of this patient', expression: 'Encounter.appointment' }]);
+            return null;
+        }
+    }
+
+    const existing = await findIdentifierConflict(Encounter, values.identifiers, encounter._id);
+    if (existing) {
+        sendIdentifierConflict(res, 'Encounter', existing);
+        return null;
+    }
+
+    const { identifiers, outcome, ...fields } = values;
+    encounter.set({
+        ...fields,
+        patientId: patient._id,
+        assignedDoctor: doctor?._id,
+        appointmentId: appointment?._id,
+        identifiers: mergeIdentifiers(encounter.identifiers, identifiers),
+        outcome: outcome.disposition || outcome.diagnosis
+            ? { ...outcome, recordedBy: req.user._id, recordedAt: new Date() }
+            : undefined
+    });
+    return access;
+};
+
+// @desc    Import a past encounter
+// @route   POST /api/fhir/Encounter
+// @access  Private/Staff
+router.post('/Encounter', protect, requirePermission('fhir:import', 'encounter:update'), encounterResourceValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res, 'Encounter')) return;
+
+        const encounter = new Encounter();
+        const access = await applyEncounterResource(req, res, encounter);
+        if (!access) return;
+        await encounter.save();
+        await refreshVisitStats(encounter.patientId);
+
+        res.location(`${getBaseUrl(req)}/Encounter/${encounter._id}`);
+        sendResource(res, 201, toFhirEncounter(encounter, access.level));
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendSaveValidationError(res, error);
+        console.error('FHIR encounter import error:', error);
+        sendServerError(res);
+    }
+});
+
+// @desc    Update an imported encounter from a FHIR Encounter
+// @route   PUT /api/fhir/Encounter/:id
+// @access  Private/Staff
+router.put('/Encounter/:id', protect, requirePermission('fhir:import', 'encounter:update'), encounterResourceValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res, 'Encounter')) return;
+
+        if (req.body.id && req.body.id !== req.params.id) {
+            return sendOutcome(res, 400, [{ diagnostics: 'Resource id does not match the URL', expression: 'Encounter.id' }]);
+        }
+
+        const encounter = await resolveReference(Encounter, 'Encounter', { reference: `Encounter/${req.params.id}` });
+        if (!encounter) {
+            return sendOutcome(res, 404, [{ code: 'not-found', diagnostics: `Encounter/${req.params.id} not found` }]);
+        }
+
+        // Visits at this clinic follow their queue entry
+        if (encounter.queueId) {
+            return sendOutcome(res, 422, [{ code: 'business-rule', diagnostics: 'Only imported encounters can be updated, this one follows a queue entry' }]);
+        }
+
+        const access = await applyEncounterResource(req, res, encounter);
+        if (!access) return;
+        await encounter.save();
+        await refreshVisitStats(encounter.patientId);
+
+        sendResource(res, 200, toFhirEncounter(encounter, access.level));
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendSaveValidationError(res, error);
+        console.error('FHIR encounter update error:', error);
+        sendServerError(res);
+    }
+});
+
+export default router;
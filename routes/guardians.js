@@ -0,0 +1,222 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Patient, { GUARDIAN_RELATIONSHIPS } from '../models/Patient.js';
+import User from '../models/User.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { resolvePatientAccess } from '../services/patientAccess.js';
+
+const router = express.Router();
+
+const GUARDIAN_PATIENT_FIELDS = 'firstName lastName dateOfBirth gender phone status';
+const GUARDIAN_USER_FIELDS = 'firstName lastName email';
+
+// Loads the patient of the route for anyone who may view the record
+const loadPatient = async (req, res, next) => {
+    try {
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        if (!await resolvePatientAccess(req, patient)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this patient record'
+            });
+        }
+
+        req.patient = patient;
+        next();
+    } catch (error) {
+        console.error('Load patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get a patient's guardians and dependents
+// @route   GET /api/patients/:id/guardians
+// @access  Private/Staff
+router.get('/:id/guardians', protect, requirePermission('patient:read'), loadPatient, async (req, res) => {
+    try {
+        const patient = req.patient;
+        await patient.populate([
+            { path: 'guardians.patientId', select: GUARDIAN_PATIENT_FIELDS },
+            { path: 'guardians.userId', select: GUARDIAN_USER_FIELDS },
+            { path: 'guardians.addedBy', select: 'firstName lastName role' }
+        ]);
+
+        // Records this patient (or their portal account) is a guardian of
+        const dependents = await Patient.findDependents({ patientId: patient._id, userId: patient.userId })
+            .select('firstName lastName dateOfBirth gender status guardians');
+
+        res.json({
+            success: true,
+            data: {
+                isMinor: patient.isMinor,
+                guardians: patient.guardians,
+                dependents: dependents.map(dependent => ({
+                    _id: dependent._id,
+                    firstName: dependent.firstName,
+                    lastName: dependent.lastName,
+                    dateOfBirth: dependent.dateOfBirth,
+                    age: dependent.age,
+                    isMinor: dependent.isMinor,
+                    gender: dependent.gender,
+                    status: dependent.status,
+                    relationship: dependent.findGuardian({ patientId: patient._id, userId: patient.userId }).relationship
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get guardians error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Add a guardian (a patient record and/or a patient user account)
+// @route   POST /api/patients/:id/guardians
+// @access  Private/Staff
+router.post('/:id/guardians', protect, requirePermission('patient:guardian:manage'), loadPatient, [
+    body('guardianPatientId').optional().isMongoId().withMessage('Invalid guardian patient ID'),
+    body('guardianUserId').optional().isMongoId().withMessage('Invalid guardian user ID'),
+    body('guardianPatientId').if(body('guardianUserId').not().exists())
+        .exists().withMessage('A guardian patient record or user account is required'),
+    body('relationship').isIn(GUARDIAN_RELATIONSHIPS).withMessage('Invalid relationship')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patient = req.patient;
+        const { guardianPatientId, guardianUserId, relationship } = req.body;
+
+        if (patient.erasedAt || patient.mergedInto) {
+            return res.status(400).json({
+                success: false,
+                message: patient.erasedAt
+                    ? 'This patient record has been erased'
+                    : 'This record was merged into another patient record, add the guardian there'
+            });
+        }
+
+        if (guardianPatientId) {
+            if (patient._id.equals(guardianPatientId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A patient cannot be their own guardian'
+                });
+            }
+
+            const guardianPatient = await Patient.findOne({ _id: guardianPatientId, mergedInto: null, erasedAt: null });
+            if (!guardianPatient) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Guardian patient record not found'
+                });
+            }
+
+            if (guardianPatient.findGuardian({ patientId: patient._id })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This patient is a guardian of the other record'
+                });
+            }
+        }
+
+        if (guardianUserId) {
+            const guardianUser = await User.findOne({ _id: guardianUserId, role: 'patient', isActive: true });
+            if (!guardianUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Patient user account not found'
+                });
+            }
+
+            if (patient.userId?.equals(guardianUserId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A patient cannot be their own guardian'
+                });
+            }
+        }
+
+        if (patient.findGuardian({ patientId: guardianPatientId, userId: guardianUserId })) {
+            return res.status(409).json({
+                success: false,
+                message: 'This guardian is already on record for the patient'
+            });
+        }
+
+        patient.guardians.push({
+            patientId: guardianPatientId,
+            userId: guardianUserId,
+            relationship,
+            addedBy: req.user._id
+        });
+        await patient.save();
+
+        await patient.populate([
+            { path: 'guardians.patientId', select: GUARDIAN_PATIENT_FIELDS },
+            { path: 'guardians.userId', select: GUARDIAN_USER_FIELDS }
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Guardian added',
+            data: patient.guardians
+        });
+    } catch (error) {
+        console.error('Add guardian error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Remove a guardian
+// @route   DELETE /api/patients/:id/guardians/:guardianId
+// @access  Private/Staff
+router.delete('/:id/guardians/:guardianId', protect, requirePermission('patient:guardian:manage'), loadPatient, async (req, res) => {
+    try {
+        const patient = req.patient;
+        if (!patient.guardians.id(req.params.guardianId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Guardian not found'
+            });
+        }
+
+        patient.guardians.pull(req.params.guardianId);
+        await patient.save();
+
+        res.json({
+            success: true,
+            message: 'Guardian removed',
+            data: patient.guardians
+        });
+    } catch (error) {
+        console.error('Remove guardian error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,315 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { createSession } from '../services/sessions.js';
+import { generateSecureToken, hashToken } from '../services/tokens.js';
+import { checkPasswordPolicy } from '../services/passwordPolicy.js';
+
+const router = express.Router();
+
+// @desc    Invite a staff member (Admin only)
+// @route   POST /api/invitations
+// @access  Private/Admin
+router.post('/', protect, requirePermission('user:invite'), [
+    body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+    body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
+    body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
+    body('role').isIn(['reception', 'doctor', 'admin']).withMessage('Invalid role'),
+    body('department').optional().trim().isLength({ max: 100 }),
+    body('specializations').optional().isArray().withMessage('Specializations must be an array'),
+    body('specializations.*').optional().isString().trim(),
+    body('employeeId').optional().trim().notEmpty(),
+    body('licenseNumber').optional().trim(),
+    body('yearsOfExperience').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const {
+            email,
+            firstName,
+            lastName,
+            role,
+            department,
+            specializations,
+            employeeId,
+            licenseNumber,
+            yearsOfExperience
+        } = req.body;
+
+        // Check if user already exists
+        const userExists = await User.findByEmail(email);
+        if (userExists) {
+            return res.status(400).json({
+                success: false,
+                message: 'User already exists with this email'
+            });
+        }
+
+        // Only one pending invitation per email
+        const pending = await Invitation.findPendingByEmail(email);
+        if (pending.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A pending invitation already exists for this email'
+            });
+        }
+
+        const token = generateSecureToken();
+        const expiresAt = new Date();
+        expiresAt.setHours(expiresAt.getHours() + (parseInt(process.env.INVITE_EXPIRE_HOURS) || 72));
+
+        const invitation = await Invitation.create({
+            email,
+            firstName,
+            lastName,
+            role,
+            department,
+            specializations: specializations || (department ? [department] : []),
+            employeeId,
+            licenseNumber,
+            yearsOfExperience,
+            tokenHash: hashToken(token),
+            expiresAt,
+            invitedBy: req.user._id
+        });
+
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation created successfully',
+            data: {
+                invitation,
+                // The raw token is only returned once, share it with the invitee
+                token,
+                inviteUrl: `${frontendUrl}/accept-invite?token=${token}`
+            }
+        });
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating invitation'
+        });
+    }
+});
+
+// @desc    List invitations (Admin only)
+// @route   GET /api/invitations
+// @access  Private/Admin
+router.get('/', protect, requirePermission('user:invite'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const now = new Date();
+
+        // Build query
+        const query = {};
+        switch (status) {
+            case 'pending':
+                Object.assign(query, {
+                    acceptedAt: { $exists: false },
+                    revokedAt: { $exists: false },
+                    expiresAt: { $gt: now }
+                });
+                break;
+            case 'accepted':
+                query.acceptedAt = { $exists: true };
+                break;
+            case 'revoked':
+                query.revokedAt = { $exists: true };
+                break;
+            case 'expired':
+                Object.assign(query, {
+                    acceptedAt: { $exists: false },
+                    revokedAt: { $exists: false },
+                    expiresAt: { $lte: now }
+                });
+                break;
+        }
+
+        const invitations = await Invitation.find(query)
+            .populate('invitedBy', 'firstName lastName')
+            .populate('acceptedUser', 'firstName lastName email')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: invitations.length,
+            data: invitations
+        });
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Revoke invitation (Admin only)
+// @route   DELETE /api/invitations/:id
+// @access  Private/Admin
+router.delete('/:id', protect, requirePermission('user:invite'), async (req, res) => {
+    try {
+        const invitation = await Invitation.findById(req.params.id);
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation not found'
+            });
+        }
+
+        if (!invitation.isUsable()) {
+            return res.status(400).json({
+                success: false,
+                message: `Invitation is already ${invitation.status}`
+            });
+        }
+
+        invitation.revokedAt = new Date();
+        invitation.revokedBy = req.user._id;
+        await invitation.save();
+
+        res.json({
+            success: true,
+            message: 'Invitation revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Accept invitation and set password
+// @route   POST /api/invitations/accept
+// @access  Public
+router.post('/accept', [
+    body('token').isString().notEmpty().withMessage('Invitation token is required'),
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    body('phone').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please enter a valid phone number')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { token, password, phone } = req.body;
+
+        const invitation = await Invitation.findOne({ tokenHash: hashToken(token) });
+        if (!invitation || !invitation.isUsable()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        const passwordErrors = await checkPasswordPolicy(password, {
+            email: invitation.email,
+            firstName: invitation.firstName,
+            lastName: invitation.lastName
+        });
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password does not meet the password policy',
+                passwordErrors
+            });
+        }
+
+        // Check if user already exists
+        const userExists = await User.findByEmail(invitation.email);
+        if (userExists) {
+            return res.status(400).json({
+                success: false,
+                message: 'User already exists with this email'
+            });
+        }
+
+        // Claim the invitation first so it cannot be used twice
+        const claimed = await Invitation.findOneAndUpdate(
+            { _id: invitation._id, acceptedAt: { $exists: false } },
+            { acceptedAt: new Date() },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation has already been used'
+            });
+        }
+
+        let user;
+        try {
+            user = await User.create({
+                firstName: invitation.firstName,
+                lastName: invitation.lastName,
+                email: invitation.email,
+                password,
+                role: invitation.role,
+                phone,
+                employeeId: invitation.employeeId,
+                department: invitation.department,
+                specializations: invitation.specializations,
+                licenseNumber: invitation.licenseNumber,
+                yearsOfExperience: invitation.yearsOfExperience,
+                // The invite link was delivered to this address
+                isVerified: true
+            });
+        } catch (createError) {
+            // Release the invitation so it can be retried
+            await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+            throw createError;
+        }
+
+        claimed.acceptedUser = user._id;
+        await claimed.save();
+
+        const tokens = await createSession(user, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation accepted successfully',
+            data: {
+                _id: user._id,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                email: user.email,
+                role: user.role,
+                phone: user.phone,
+                department: user.department,
+                isActive: user.isActive,
+                createdAt: user.createdAt,
+                updatedAt: user.updatedAt,
+                token: tokens.token,
+                refreshToken: tokens.refreshToken,
+                refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error accepting invitation'
+        });
+    }
+});
+
+export default router;
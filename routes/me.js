@@ -0,0 +1,854 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import QRCode from 'qrcode';
+import { body, param, query, validationResult } from 'express-validator';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import User from '../models/User.js';
+import Queue, { QUEUE_ORDER } from '../models/Queue.js';
+import Encounter from '../models/Encounter.js';
+import PatientDataRequest from '../models/PatientDataRequest.js';
+import Consent, { CONSENT_TYPES } from '../models/Consent.js';
+import { protect, requirePatient } from '../middleware/auth.js';
+import { buildPatientExport, getErasureBlocker } from '../services/patientData.js';
+
+const router = express.Router();
+
+// Fields a patient may change on their own record
+const SELF_EDITABLE_FIELDS = ['phone', 'email', 'address', 'emergencyContact', 'currentSymptoms'];
+
+const QR_IMAGE_OPTIONS = {
+    errorCorrectionLevel: 'M',
+    type: 'image/png',
+    quality: 0.92,
+    margin: 1,
+    color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+    },
+    width: 256
+};
+
+// Load the patient record linked to the signed-in user into req.patient
+const loadLinkedPatient = async (req, res, next) => {
+    try {
+        req.patient = await Patient.findByUser(req.user._id);
+        if (!req.patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'No patient record is linked to your account',
+                patientLinked: false
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Load linked patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Compare dates by calendar day (UTC, as stored for dates of birth)
+const isSameDay = (a, b) => new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+// Guardian keys of a patient user: their account and the patient record linked to it
+const getGuardianKeys = async (user) => {
+    const guardianPatient = await Patient.findByUser(user._id).select('_id');
+    return { userId: user._id, patientId: guardianPatient?._id };
+};
+
+// Load a dependent of the signed-in user into req.patient: a record that lists
+// the user's account, or the patient record linked to it, as a guardian
+const loadDependent = async (req, res, next) => {
+    try {
+        const dependent = mongoose.isValidObjectId(req.params.dependentId)
+            ? await Patient.findDependents(await getGuardianKeys(req.user)).findOne({ _id: req.params.dependentId })
+            : null;
+        if (!dependent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dependent not found'
+            });
+        }
+
+        req.patient = dependent;
+        next();
+    } catch (error) {
+        console.error('Load dependent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+const appointmentListValidation = [
+    query('status').optional().isIn(['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show']),
+    query('upcoming').optional().isBoolean(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+// Lists the appointments of req.patient
+const getAppointments = async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 10, status, upcoming } = req.query;
+
+        // Build query
+        const filter = { patientId: req.patient._id };
+        if (status) filter.status = status;
+        if (upcoming === 'true') {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            filter.appointmentDate = { $gte: today };
+        }
+
+        const appointments = await Appointment.find(filter)
+            .select('-notes')
+            .populate('doctorId', 'firstName lastName department specializations')
+            .sort({ appointmentDate: upcoming === 'true' ? 1 : -1, startTime: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Appointment.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: appointments,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalAppointments: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get appointments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Sends the active QR code of req.patient
+const getQRCode = async (req, res) => {
+    try {
+        const patient = req.patient;
+        if (!patient.qrCode || !patient.qrCode.code || !patient.qrCode.isActive || patient.isQRCodeExpired()) {
+            return res.status(404).json({
+                success: false,
+                message: 'There is no active QR code for this record',
+                canRenew: true
+            });
+        }
+
+        const qrCodeImage = await QRCode.toDataURL(patient.qrCode.code, QR_IMAGE_OPTIONS);
+
+        res.json({
+            success: true,
+            data: {
+                qrCode: patient.qrCode.code,
+                qrCodeImage,
+                expiresAt: patient.qrCode.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Get QR code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Issues a new QR code for req.patient
+const renewQRCode = async (req, res) => {
+    try {
+        const patient = req.patient;
+        if (patient.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'QR codes can only be issued for active patient records'
+            });
+        }
+
+        const qrCode = patient.generateQRCode();
+        await patient.save();
+
+        const qrCodeImage = await QRCode.toDataURL(qrCode.code, QR_IMAGE_OPTIONS);
+
+        res.json({
+            success: true,
+            data: {
+                qrCode: qrCode.code,
+                qrCodeImage,
+                expiresAt: qrCode.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Renew QR code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+const bookingValidation = [
+    body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+    body('appointmentDate').isISO8601().withMessage('Valid appointment date is required'),
+    body('startTime').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time is required (HH:MM)'),
+    body('endTime').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time is required (HH:MM)'),
+    body('reason').trim().isLength({ min: 10, max: 500 }).withMessage('Reason must be between 10 and 500 characters'),
+    // Emergencies go through reception, not the portal
+    body('type').optional().isIn(['consultation', 'follow-up', 'routine-checkup', 'specialist'])
+];
+
+// Books an appointment for req.patient
+const bookAppointment = async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { doctorId, appointmentDate, startTime, endTime, reason, type } = req.body;
+        const patient = req.patient;
+
+        if (patient.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'Appointments can only be booked for active patient records'
+            });
+        }
+
+        const appointment = new Appointment({
+            patientId: patient._id,
+            doctorId,
+            appointmentDate,
+            startTime,
+            endTime,
+            reason,
+            type: type || 'consultation',
+            symptoms: patient.currentSymptoms,
+            createdBy: req.user._id
+        });
+
+        if (!appointment.appointmentDateTime || appointment.appointmentDateTime <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Appointments can only be booked in the future'
+            });
+        }
+
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        try {
+            await appointment.save();
+        } catch (error) {
+            // Taken time slots are reported by the model as a validation error
+            if (error.name === 'ValidationError') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        await appointment.populate('doctorId', 'firstName lastName department specializations');
+
+        res.status(201).json({
+            success: true,
+            message: 'Appointment booked successfully',
+            data: appointment
+        });
+    } catch (error) {
+        console.error('Book appointment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+const cancelValidation = [
+    param('appointmentId').isMongoId().withMessage('Invalid appointment ID'),
+    body('reason').optional().trim().isLength({ max: 500 })
+];
+
+// Cancels an upcoming appointment of req.patient
+const cancelAppointment = async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const appointment = await Appointment.findOne({ _id: req.params.appointmentId, patientId: req.patient._id });
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        // Only appointments that have not started can be cancelled online
+        const start = appointment.appointmentDateTime;
+        if (!['scheduled', 'confirmed'].includes(appointment.status) || !start || start <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only upcoming appointments can be cancelled, please contact reception'
+            });
+        }
+
+        await appointment.cancel(req.user._id, req.body.reason || 'Cancelled by patient');
+
+        res.json({
+            success: true,
+            message: 'Appointment cancelled successfully'
+        });
+    } catch (error) {
+        console.error('Cancel appointment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get my patient record
+// @route   GET /api/me/patient
+// @access  Private/Patient
+router.get('/patient', protect, requirePatient, loadLinkedPatient, async (req, res) => {
+    try {
+        await req.patient.populate('assignedDoctor', 'firstName lastName department');
+
+        res.json({
+            success: true,
+            data: req.patient
+        });
+    } catch (error) {
+        console.error('Get my patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update my contact information and symptoms
+// @route   PUT /api/me/patient
+// @access  Private/Patient
+router.put('/patient', protect, requirePatient, loadLinkedPatient, [
+    body('phone').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please enter a valid phone number'),
+    body('email').optional().isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+    body('address').optional().isObject(),
+    body('emergencyContact').optional().isObject(),
+    body('currentSymptoms').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Symptoms must be between 10 and 1000 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patient = req.patient;
+        SELF_EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                patient[field] = req.body[field];
+            }
+        });
+
+        // Symptoms are part of what staff see on scan, so issue a fresh QR code
+        if (req.body.currentSymptoms) {
+            patient.generateQRCode();
+        }
+
+        const updatedPatient = await patient.save();
+
+        res.json({
+            success: true,
+            data: updatedPatient
+        });
+    } catch (error) {
+        console.error('Update my patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Claim an existing patient record with a link code
+// @route   POST /api/me/patient/claim
+// @access  Private/Patient
+router.post('/patient/claim', protect, requirePatient, [
+    body('code').trim().notEmpty().withMessage('Link code is required'),
+    body('dateOfBirth').isISO8601().withMessage('Please enter a valid date of birth')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        if (await Patient.exists({ userId: req.user._id })) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your account is already linked to a patient record'
+            });
+        }
+
+        // Same response for unknown codes and wrong birth dates
+        const patient = await Patient.findByLinkCode(req.body.code);
+        if (!patient || !isSameDay(patient.dateOfBirth, req.body.dateOfBirth)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired link code'
+            });
+        }
+
+        patient.linkToUser(req.user._id);
+        const linkedPatient = await patient.save();
+
+        res.json({
+            success: true,
+            message: 'Patient record linked to your account',
+            data: linkedPatient
+        });
+    } catch (error) {
+        console.error('Claim patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get my appointments
+// @route   GET /api/me/appointments
+// @access  Private/Patient
+router.get('/appointments', protect, requirePatient, loadLinkedPatient, appointmentListValidation, getAppointments);
+
+// @desc    Book an appointment for myself
+// @route   POST /api/me/appointments
+// @access  Private/Patient
+router.post('/appointments', protect, requirePatient, loadLinkedPatient, bookingValidation, bookAppointment);
+
+// @desc    Cancel one of my upcoming appointments
+// @route   POST /api/me/appointments/:appointmentId/cancel
+// @access  Private/Patient
+router.post('/appointments/:appointmentId/cancel', protect, requirePatient, loadLinkedPatient, cancelValidation, cancelAppointment);
+
+// @desc    Get my current queue status
+// @route   GET /api/me/queue
+// @access  Private/Patient
+router.get('/queue', protect, requirePatient, loadLinkedPatient, async (req, res) => {
+    try {
+        const entries = await Queue.find({
+            patientId: req.patient._id,
+            status: { $in: ['waiting', 'in-progress'] }
+        })
+            .select('-notes')
+            .populate('assignedDoctor', 'firstName lastName')
+            .sort({ checkedInAt: 1 });
+
+        // Position among waiting patients, in the order staff call them
+        const waiting = entries.some(entry => entry.status === 'waiting')
+            ? await Queue.find({ status: 'waiting' })
+                .select('_id')
+                .sort(QUEUE_ORDER)
+            : [];
+        const waitingIds = waiting.map(entry => entry._id.toString());
+
+        const data = entries.map(entry => {
+            const index = waitingIds.indexOf(entry._id.toString());
+            return {
+                ...entry.toJSON(),
+                position: index === -1 ? null : index + 1,
+                patientsAhead: index === -1 ? 0 : index
+            };
+        });
+
+        res.json({
+            success: true,
+            inQueue: data.length > 0,
+            data
+        });
+    } catch (error) {
+        console.error('Get my queue status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get my visit history
+// @route   GET /api/me/encounters
+// @access  Private/Patient
+router.get('/encounters', protect, requirePatient, loadLinkedPatient, [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 10 } = req.query;
+        const filter = { patientId: req.patient._id };
+
+        // Staff notes stay internal
+        const encounters = await Encounter.find(filter)
+            .select('-outcome.notes -prescriptions.warnings -checkedInBy -checkedInByDevice')
+            .populate('assignedDoctor', 'firstName lastName department specializations')
+            .sort({ checkedInAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Encounter.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: encounters,
+            visits: {
+                lastVisit: req.patient.lastVisit,
+                totalVisits: req.patient.totalVisits
+            },
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalEncounters: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get my encounters error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get my consents
+// @route   GET /api/me/consents
+// @access  Private/Patient
+router.get('/consents', protect, requirePatient, loadLinkedPatient, async (req, res) => {
+    try {
+        const [state, history] = await Promise.all([
+            Consent.getState(req.patient._id),
+            Consent.find({ patientId: req.patient._id })
+                .select('-capturedBy -revokedBy -notes')
+                .sort({ grantedAt: -1 })
+        ]);
+
+        res.json({
+            success: true,
+            state,
+            data: history
+        });
+    } catch (error) {
+        console.error('Get my consents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Give a consent
+// @route   POST /api/me/consents
+// @access  Private/Patient
+router.post('/consents', protect, requirePatient, loadLinkedPatient, [
+    body('type').isIn(CONSENT_TYPES).withMessage('Invalid consent type'),
+    body('textVersion').trim().isLength({ min: 1, max: 50 }).withMessage('The version of the consent text is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { consent } = await Consent.grant(req.patient._id, {
+            type: req.body.type,
+            textVersion: req.body.textVersion,
+            channel: 'patient-portal',
+            user: req.user
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Consent recorded',
+            data: consent
+        });
+    } catch (error) {
+        console.error('Give my consent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Revoke one of my consents
+// @route   POST /api/me/consents/:consentId/revoke
+// @access  Private/Patient
+router.post('/consents/:consentId/revoke', protect, requirePatient, loadLinkedPatient, [
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const consent = await Consent.findOne({ _id: req.params.consentId, patientId: req.patient._id });
+        if (!consent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Consent not found'
+            });
+        }
+
+        if (consent.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: `This consent has already been ${consent.status}`
+            });
+        }
+
+        const revokedConsent = await consent.revoke({
+            user: req.user,
+            channel: 'patient-portal',
+            reason: req.body.reason
+        });
+
+        res.json({
+            success: true,
+            message: 'Consent revoked',
+            data: revokedConsent
+        });
+    } catch (error) {
+        console.error('Revoke my consent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Download everything held about me (right of access)
+// @route   GET /api/me/patient/export
+// @access  Private/Patient
+router.get('/patient/export', protect, requirePatient, loadLinkedPatient, async (req, res) => {
+    try {
+        const { archive, summary } = await buildPatientExport(req.patient);
+
+        await PatientDataRequest.create({
+            patientId: req.patient._id,
+            type: 'export',
+            status: 'completed',
+            requestedBy: req.user._id,
+            requestedVia: 'patient-portal',
+            completedAt: archive.exportedAt,
+            summary,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')?.slice(0, 500)
+        });
+
+        res.set('Cache-Control', 'private, no-store');
+        res.attachment('my-health-record.json');
+        res.type('application/json').send(JSON.stringify(archive, null, 2));
+    } catch (error) {
+        console.error('Export my patient record error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Ask for my patient record to be erased (right to be forgotten)
+// @route   POST /api/me/patient/erasure-request
+// @access  Private/Patient
+router.post('/patient/erasure-request', protect, requirePatient, loadLinkedPatient, [
+    body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const blocker = await getErasureBlocker(req.patient);
+        if (blocker) {
+            return res.status(400).json({
+                success: false,
+                message: blocker
+            });
+        }
+
+        const pending = await PatientDataRequest.exists({ patientId: req.patient._id, type: 'erasure', status: 'pending' });
+        if (pending) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your erasure request is already waiting for review'
+            });
+        }
+
+        const dataRequest = await PatientDataRequest.create({
+            patientId: req.patient._id,
+            type: 'erasure',
+            requestedBy: req.user._id,
+            requestedVia: 'patient-portal',
+            reason: req.body.reason,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')?.slice(0, 500)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Your request has been received, the clinic will review it',
+            data: {
+                _id: dataRequest._id,
+                status: dataRequest.status,
+                createdAt: dataRequest.createdAt
+            }
+        });
+    } catch (error) {
+        console.error('Request my erasure error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get my QR code
+// @route   GET /api/me/qr-code
+// @access  Private/Patient
+router.get('/qr-code', protect, requirePatient, loadLinkedPatient, getQRCode);
+
+// @desc    Issue a new QR code for my record
+// @route   POST /api/me/qr-code
+// @access  Private/Patient
+router.post('/qr-code', protect, requirePatient, loadLinkedPatient, renewQRCode);
+
+// @desc    Get the dependents I am a guardian of
+// @route   GET /api/me/dependents
+// @access  Private/Patient
+router.get('/dependents', protect, requirePatient, async (req, res) => {
+    try {
+        const guardianKeys = await getGuardianKeys(req.user);
+        const dependents = await Patient.findDependents(guardianKeys)
+            .select('firstName lastName dateOfBirth gender status qrCode guardians')
+            .sort({ firstName: 1 });
+
+        res.json({
+            success: true,
+            count: dependents.length,
+            data: dependents.map(dependent => ({
+                _id: dependent._id,
+                firstName: dependent.firstName,
+                lastName: dependent.lastName,
+                dateOfBirth: dependent.dateOfBirth,
+                age: dependent.age,
+                isMinor: dependent.isMinor,
+                gender: dependent.gender,
+                status: dependent.status,
+                relationship: dependent.findGuardian(guardianKeys).relationship,
+                hasActiveQRCode: Boolean(dependent.qrCode?.isActive && !dependent.isQRCodeExpired())
+            }))
+        });
+    } catch (error) {
+        console.error('Get my dependents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get a dependent's appointments
+// @route   GET /api/me/dependents/:dependentId/appointments
+// @access  Private/Patient
+router.get('/dependents/:dependentId/appointments', protect, requirePatient, loadDependent, appointmentListValidation, getAppointments);
+
+// @desc    Book an appointment for a dependent
+// @route   POST /api/me/dependents/:dependentId/appointments
+// @access  Private/Patient
+router.post('/dependents/:dependentId/appointments', protect, requirePatient, loadDependent, bookingValidation, bookAppointment);
+
+// @desc    Cancel an upcoming appointment of a dependent
+// @route   POST /api/me/dependents/:dependentId/appointments/:appointmentId/cancel
+// @access  Private/Patient
+router.post('/dependents/:dependentId/appointments/:appointmentId/cancel', protect, requirePatient, loadDependent, cancelValidation, cancelAppointment);
+
+// @desc    Get a dependent's QR code
+// @route   GET /api/me/dependents/:dependentId/qr-code
+// @access  Private/Patient
+router.get('/dependents/:dependentId/qr-code', protect, requirePatient, loadDependent, getQRCode);
+
+// @desc    Issue a new QR code for a dependent
+// @route   POST /api/me/dependents/:dependentId/qr-code
+// @access  Private/Patient
+router.post('/dependents/:dependentId/qr-code', protect, requirePatient, loadDependent, renewQRCode);
+
+export default router;
@@ -0,0 +1,457 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Patient from '../models/Patient.js';
+import MedicalRecordChange from '../models/MedicalRecordChange.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { resolvePatientAccess } from '../services/patientAccess.js';
+import { getPatientMedicationWarnings } from '../services/medicationConflicts.js';
+import {
+    ALLERGY_FIELDS,
+    MEDICATION_FIELDS,
+    applyEntryUpdates,
+    addAllergy,
+    addMedication
+} from '../services/patientMedications.js';
+
+const router = express.Router();
+
+// Loads the patient of the route and requires clinical access to it
+const loadPatientWithClinicalAccess = async (req, res, next) => {
+    try {
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const access = await resolvePatientAccess(req, patient);
+        if (access?.level !== 'full') {
+            return res.status(403).json({
+                success: false,
+                message: 'Allergies and medications are only available to the patient\'s care team or with emergency access'
+            });
+        }
+
+        req.patient = patient;
+        next();
+    } catch (error) {
+        console.error('Load patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+const allergyValidation = (required) => [
+    (required ? body('name') : body('name').optional()).trim().isLength({ min: 2, max: 100 }).withMessage('Allergy name must be between 2 and 100 characters'),
+    body('severity').optional().isIn(['mild', 'moderate', 'severe']).withMessage('Invalid severity'),
+    body('reaction').optional().trim().isLength({ max: 200 }),
+    body('notes').optional().trim().isLength({ max: 500 })
+];
+
+const medicationValidation = (required) => [
+    (required ? body('name') : body('name').optional()).trim().isLength({ min: 2, max: 100 }).withMessage('Medication name must be between 2 and 100 characters'),
+    body('dosage').optional().trim().isLength({ max: 100 }),
+    body('frequency').optional().trim().isLength({ max: 100 }),
+    body('route').optional().trim().isLength({ max: 50 }),
+    body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    body('notes').optional().trim().isLength({ max: 500 })
+];
+
+// @desc    Get a patient's allergies
+// @route   GET /api/patients/:id/allergies
+// @access  Private/Staff
+router.get('/:id/allergies', protect, requirePermission('patient:read'), loadPatientWithClinicalAccess, async (req, res) => {
+    const allergies = req.query.includeInactive === 'true'
+        ? req.patient.allergies
+        : req.patient.allergies.filter(allergy => allergy.status !== 'inactive');
+
+    res.json({
+        success: true,
+        count: allergies.length,
+        data: allergies
+    });
+});
+
+// @desc    Add an allergy
+// @route   POST /api/patients/:id/allergies
+// @access  Private/Staff
+router.post('/:id/allergies', protect, requirePermission('patient:update:clinical'), loadPatientWithClinicalAccess, allergyValidation(true), async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const name = req.body.name.toLowerCase();
+        const existing = req.patient.allergies
+            .find(allergy => allergy.status !== 'inactive' && allergy.name?.toLowerCase() === name);
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'This allergy is already recorded',
+                data: existing
+            });
+        }
+
+        const allergy = await addAllergy(req.patient, req.body, req.user);
+
+        // New allergies may conflict with what the patient is already taking
+        const warnings = req.patient.currentMedications
+            .filter(medication => medication.status !== 'discontinued')
+            .flatMap(medication => getPatientMedicationWarnings(req.patient, medication.name, { excludeMedicationId: medication._id })
+                .filter(warning => warning.type === 'allergy' && warning.conflictsWith === allergy.name)
+                .map(warning => ({ ...warning, medication: medication.name })));
+
+        res.status(201).json({
+            success: true,
+            message: 'Allergy recorded',
+            data: allergy,
+            warnings
+        });
+    } catch (error) {
+        console.error('Add allergy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update an allergy
+// @route   PUT /api/patients/:id/allergies/:allergyId
+// @access  Private/Staff
+router.put('/:id/allergies/:allergyId', protect, requirePermission('patient:update:clinical'), loadPatientWithClinicalAccess, [
+    ...allergyValidation(false),
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const allergy = req.patient.allergies.id(req.params.allergyId);
+        if (!allergy) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allergy not found'
+            });
+        }
+
+        const changes = applyEntryUpdates(allergy, req.body, ALLERGY_FIELDS);
+        if (changes.length > 0) {
+            await req.patient.save();
+            await MedicalRecordChange.record(req.patient, req.user, 'allergy', allergy, 'update', {
+                changes,
+                reason: req.body.reason
+            });
+        }
+
+        res.json({
+            success: true,
+            message: changes.length > 0 ? 'Allergy updated' : 'No changes',
+            data: allergy
+        });
+    } catch (error) {
+        console.error('Update allergy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Mark an allergy as inactive (kept in history)
+// @route   DELETE /api/patients/:id/allergies/:allergyId
+// @access  Private/Staff
+router.delete('/:id/allergies/:allergyId', protect, requirePermission('patient:update:clinical'), loadPatientWithClinicalAccess, [
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const allergy = req.patient.allergies.id(req.params.allergyId);
+        if (!allergy || allergy.status === 'inactive') {
+            return res.status(404).json({
+                success: false,
+                message: 'Active allergy not found'
+            });
+        }
+
+        allergy.status = 'inactive';
+        await req.patient.save();
+        await MedicalRecordChange.record(req.patient, req.user, 'allergy', allergy, 'deactivate', {
+            changes: [{ field: 'status', from: 'active', to: 'inactive' }],
+            reason: req.body.reason
+        });
+
+        res.json({
+            success: true,
+            message: 'Allergy marked as inactive',
+            data: allergy
+        });
+    } catch (error) {
+        console.error('Deactivate allergy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get a patient's medications
+// @route   GET /api/patients/:id/medications
+// @access  Private/Staff
+router.get('/:id/medications', protect, requirePermission('patient:read'), loadPatientWithClinicalAccess, async (req, res) => {
+    const medications = req.query.includeDiscontinued === 'true'
+        ? req.patient.currentMedications
+        : req.patient.currentMedications.filter(medication => medication.status !== 'discontinued');
+
+    res.json({
+        success: true,
+        count: medications.length,
+        data: medications
+    });
+});
+
+// @desc    Check a medication for conflicts without adding it
+// @route   GET /api/patients/:id/medications/check
+// @access  Private/Staff
+router.get('/:id/medications/check', protect, requirePermission('patient:read'), loadPatientWithClinicalAccess, [
+    query('name').trim().isLength({ min: 2, max: 100 }).withMessage('Medication name is required')
+], async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    const warnings = getPatientMedicationWarnings(req.patient, req.query.name);
+
+    res.json({
+        success: true,
+        hasConflicts: warnings.length > 0,
+        warnings
+    });
+});
+
+// @desc    Add a medication
+// @route   POST /api/patients/:id/medications
+// @access  Private/Staff
+router.post('/:id/medications', protect, requirePermission('patient:update:clinical'), loadPatientWithClinicalAccess, medicationValidation(true), async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { medication, warnings } = await addMedication(req.patient, req.body, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: warnings.length > 0 ? 'Medication added with warnings' : 'Medication added',
+            data: medication,
+            warnings
+        });
+    } catch (error) {
+        console.error('Add medication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update a medication
+// @route   PUT /api/patients/:id/medications/:medicationId
+// @access  Private/Staff
+router.put('/:id/medications/:medicationId', protect, requirePermission('patient:update:clinical'), loadPatientWithClinicalAccess, [
+    ...medicationValidation(false),
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const medication = req.patient.currentMedications.id(req.params.medicationId);
+        if (!medication) {
+            return res.status(404).json({
+                success: false,
+                message: 'Medication not found'
+            });
+        }
+
+        if (medication.status === 'discontinued') {
+            return res.status(400).json({
+                success: false,
+                message: 'Discontinued medications cannot be edited, add a new medication instead'
+            });
+        }
+
+        const changes = applyEntryUpdates(medication, req.body, MEDICATION_FIELDS);
+        const warnings = changes.some(change => change.field === 'name')
+            ? getPatientMedicationWarnings(req.patient, medication.name, { excludeMedicationId: medication._id })
+            : [];
+
+        if (changes.length > 0) {
+            await req.patient.save();
+            await MedicalRecordChange.record(req.patient, req.user, 'medication', medication, 'update', {
+                changes,
+                warnings,
+                reason: req.body.reason
+            });
+        }
+
+        res.json({
+            success: true,
+            message: changes.length > 0 ? 'Medication updated' : 'No changes',
+            data: medication,
+            warnings
+        });
+    } catch (error) {
+        console.error('Update medication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Discontinue a medication (kept in history)
+// @route   POST /api/patients/:id/medications/:medicationId/discontinue
+// @access  Private/Staff
+router.post('/:id/medications/:medicationId/discontinue', protect, requirePermission('patient:update:clinical'), loadPatientWithClinicalAccess, [
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('A reason is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const medication = req.patient.currentMedications.id(req.params.medicationId);
+        if (!medication || medication.status === 'discontinued') {
+            return res.status(404).json({
+                success: false,
+                message: 'Active medication not found'
+            });
+        }
+
+        medication.status = 'discontinued';
+        medication.endDate = medication.endDate || new Date();
+        medication.discontinuedAt = new Date();
+        medication.discontinuedBy = req.user._id;
+        medication.discontinuedReason = req.body.reason;
+        await req.patient.save();
+
+        await MedicalRecordChange.record(req.patient, req.user, 'medication', medication, 'discontinue', {
+            changes: [{ field: 'status', from: 'active', to: 'discontinued' }],
+            reason: req.body.reason
+        });
+
+        res.json({
+            success: true,
+            message: 'Medication discontinued',
+            data: medication
+        });
+    } catch (error) {
+        console.error('Discontinue medication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get the change history of a patient's allergies and medications
+// @route   GET /api/patients/:id/medical-changes
+// @access  Private/Staff
+router.get('/:id/medical-changes', protect, requirePermission('patient:read'), loadPatientWithClinicalAccess, [
+    query('recordType').optional().isIn(['allergy', 'medication']),
+    query('entryId').optional().isMongoId(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, recordType, entryId } = req.query;
+
+        // Build query
+        const filter = { patientId: req.patient._id };
+        if (recordType) filter.recordType = recordType;
+        if (entryId) filter.entryId = entryId;
+
+        const history = await MedicalRecordChange.find(filter)
+            .populate('changedBy', 'firstName lastName role')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await MedicalRecordChange.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: history,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalChanges: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get medical record changes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
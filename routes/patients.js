@@ -1,22 +1,116 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import Patient from '../models/Patient.js';
-import { protect, requireStaff } from '../middleware/auth.js';
+import multer from 'multer';
+import path from 'path';
+import { body, query, validationResult } from 'express-validator';
+import Patient, { GUARDIAN_RELATIONSHIPS } from '../models/Patient.js';
+import Encounter from '../models/Encounter.js';
+import PatientImport from '../models/PatientImport.js';
+import PatientDataRequest from '../models/PatientDataRequest.js';
+import Consent from '../models/Consent.js';
+import { protect, optionalAuth, requirePermission, requireAnyPermission, protectUserOrDevice, userCan } from '../middleware/auth.js';
+import { sendPatientLinkCodeEmail } from '../services/emails.js';
+import { CLINICAL_FIELDS, resolvePatientAccess, toPatientView, breakTheGlass } from '../services/patientAccess.js';
+import { findDuplicateCandidates, mergePatients } from '../services/patientDuplicates.js';
+import { toEncounterView } from '../services/encounters.js';
+import { searchPatients, decodeCursor } from '../services/patientSearch.js';
+import { buildPatientExport, getErasureBlocker } from '../services/patientData.js';
+import {
+    IMPORT_FORMATS,
+    getImportMaxRows,
+    getImportMaxSize,
+    createImportUpload,
+    parseImportFile,
+    importPatients,
+    buildImportReport
+} from '../services/patientImport.js';
 
 const router = express.Router();
 
-// @desc    Register a new patient
-// @route   POST /api/patients
-// @access  Public (for patient self-registration)
-router.post('/', [
+// Fields editable through PUT /api/patients/:id, grouped by required permission
+const DEMOGRAPHIC_FIELDS = [
+    'firstName', 'lastName', 'phone', 'email', 'address',
+    'emergencyContact', 'insurance', 'status'
+];
+
+// Lists with their own endpoints (and change history) in routes/patientMedications.js
+const MANAGED_LIST_FIELDS = ['allergies', 'currentMedications'];
+
+// Merged and erased records are kept as they are, changes go to the surviving record
+const sendRecordClosed = (res, patient) => res.status(409).json({
+    success: false,
+    message: patient.erasedAt
+        ? 'This patient record has been erased'
+        : 'This record was merged into another patient record, use that record instead',
+    mergedInto: patient.mergedInto
+});
+
+// Summary of a duplicate candidate shown to staff
+const toCandidateView = ({ patient, score, matchedOn }) => ({
+    patient: {
+        _id: patient._id,
+        firstName: patient.firstName,
+        lastName: patient.lastName,
+        dateOfBirth: patient.dateOfBirth,
+        phone: patient.phone,
+        email: patient.email,
+        status: patient.status,
+        lastVisit: patient.lastVisit,
+        createdAt: patient.createdAt
+    },
+    score,
+    matchedOn
+});
+
+// Registration rules, also applied to every row of a bulk import (where
+// symptoms are optional, they are asked for at check-in)
+const registrationValidation = ({ requireSymptoms = true } = {}) => [
     body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
     body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
     body('dateOfBirth').isISO8601().withMessage('Please enter a valid date of birth'),
     body('gender').isIn(['male', 'female', 'other', 'prefer-not-to-say']).withMessage('Please select a valid gender'),
     body('phone').matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please enter a valid phone number'),
     body('email').optional().isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-    body('currentSymptoms').trim().isLength({ min: 10, max: 1000 }).withMessage('Symptoms must be between 10 and 1000 characters'),
+    (requireSymptoms ? body('currentSymptoms') : body('currentSymptoms').optional())
+        .trim().isLength({ min: 10, max: 1000 }).withMessage('Symptoms must be between 10 and 1000 characters'),
     body('medicalHistory').optional().trim().isLength({ max: 2000 }).withMessage('Medical history cannot exceed 2000 characters')
+];
+
+const importRowValidation = registrationValidation({ requireSymptoms: false });
+
+const importUpload = createImportUpload();
+
+// Runs the multer upload of an import file and turns its errors into 400 responses
+const uploadImportFile = (req, res, next) => {
+    importUpload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `File is too large (maximum ${Math.round(getImportMaxSize() / (1024 * 1024))} MB)`
+                    : error.message
+            });
+        }
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next();
+    });
+};
+
+// @desc    Register a new patient
+// @route   POST /api/patients
+// @access  Public (for patient self-registration)
+router.post('/', optionalAuth, [
+    ...registrationValidation(),
+    body('confirmNew').optional().isBoolean().toBoolean(),
+    body('asDependent').optional().isBoolean().toBoolean(),
+    body('guardianPatientId').optional().isMongoId().withMessage('Invalid guardian patient ID'),
+    body('guardianRelationship')
+        .if((value, { req }) => req.body.guardianPatientId || req.body.asDependent === true)
+        .isIn(GUARDIAN_RELATIONSHIPS).withMessage('Please select the relationship of the guardian to the patient')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -42,10 +136,79 @@ router.post('/', [
             currentSymptoms,
             medicalHistory,
             currentMedications,
-            insurance,
-            userId
+            insurance
         } = req.body;
 
+        const { asDependent, guardianPatientId, guardianRelationship } = req.body;
+        const isPatientUser = Boolean(req.user && req.user.role === 'patient');
+
+        // Guardian of a dependent: patient users register their children as
+        // themselves, staff can name the guardian's patient record
+        let guardian;
+        if (asDependent) {
+            if (!isPatientUser) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only patient accounts can register a dependent'
+                });
+            }
+            const guardianPatient = await Patient.findByUser(req.user._id);
+            guardian = {
+                userId: req.user._id,
+                patientId: guardianPatient?._id,
+                relationship: guardianRelationship,
+                addedBy: req.user._id
+            };
+        } else if (guardianPatientId) {
+            if (!req.user || isPatientUser) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only staff can name the guardian of a new patient'
+                });
+            }
+            if (!await Patient.exists({ _id: guardianPatientId, mergedInto: null, erasedAt: null })) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Guardian patient record not found'
+                });
+            }
+            guardian = {
+                patientId: guardianPatientId,
+                relationship: guardianRelationship,
+                addedBy: req.user._id
+            };
+        }
+
+        // Signed-in patient users register their own record, which links it to
+        // their account. Anyone else goes through the link code flow.
+        let userId;
+        if (isPatientUser && !asDependent) {
+            if (await Patient.exists({ userId: req.user._id })) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Your account is already linked to a patient record'
+                });
+            }
+            userId = req.user._id;
+        }
+
+        // Probable duplicates must be confirmed by staff before another record is
+        // created. Self-registration gets the same response either way (it must
+        // not tell whether someone is registered), the matches are kept for review
+        const isStaff = Boolean(req.user && req.user.role !== 'patient');
+        const candidates = await findDuplicateCandidates({ firstName, lastName, dateOfBirth, phone, email });
+        if (isStaff && candidates.length > 0 && req.body.confirmNew !== true) {
+            return res.status(409).json({
+                success: false,
+                message: 'Possible duplicate patient records found. Review them or resubmit with confirmNew to register anyway',
+                duplicateCheck: {
+                    possibleDuplicate: true,
+                    candidateCount: candidates.length,
+                    candidates: candidates.map(toCandidateView)
+                }
+            });
+        }
+
         // Create patient
         const patient = new Patient({
             firstName,
@@ -62,7 +225,11 @@ router.post('/', [
             medicalHistory,
             currentMedications,
             insurance,
-            userId
+            userId,
+            linkedAt: userId ? new Date() : undefined,
+            guardians: guardian ? [guardian] : [],
+            // Confirmed despite matches or self-registered: keep them for staff to review
+            possibleDuplicates: candidates.map(({ patient, score }) => ({ patientId: patient._id, score }))
         });
 
         // Generate QR code
@@ -71,9 +238,12 @@ router.post('/', [
         // Save patient first
         await patient.save();
 
+        const data = patient.toJSON();
+        if (!isStaff) delete data.possibleDuplicates;
+
         res.status(201).json({
             success: true,
-            data: patient,
+            data,
             message: 'Patient registered successfully.'
         });
     } catch (error) {
@@ -85,29 +255,69 @@ router.post('/', [
     }
 });
 
-// @desc    Get all patients (Staff only)
+// @desc    Search patients (Staff only)
 // @route   GET /api/patients
 // @access  Private/Staff
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requirePermission('patient:list'), [
+    query('search').optional().isString().isLength({ max: 200 }).withMessage('Search cannot exceed 200 characters'),
+    query('status').optional().isIn(['active', 'inactive', 'deceased']).withMessage('Invalid status'),
+    query('assignedDoctor').optional().isMongoId().withMessage('Invalid doctor ID'),
+    query('lastVisitFrom').optional().isISO8601().withMessage('lastVisitFrom must be a date'),
+    query('lastVisitTo').optional().isISO8601().withMessage('lastVisitTo must be a date'),
+    query('cursor').optional().custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor'),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
     try {
-        const { page = 1, limit = 10, search, status } = req.query;
-
-        // Build query
-        const query = {};
-        if (search) {
-            query.$or = [
-                { firstName: { $regex: search, $options: 'i' } },
-                { lastName: { $regex: search, $options: 'i' } },
-                { phone: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } }
-            ];
-        }
-        if (status) {
-            query.status = status;
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
         }
 
+        const { search, status, assignedDoctor, lastVisitFrom, lastVisitTo, cursor, limit = 10 } = req.query;
+
+        const { patients, total, nextCursor } = await searchPatients(
+            { search, status, assignedDoctor, lastVisitFrom, lastVisitTo },
+            { cursor, limit: parseInt(limit) }
+        );
+
+        // Listings only include clinical details for roles that may see every record
+        const level = userCan(req, 'patient:read:clinical:any') ? 'full' : 'demographics';
+
+        res.json({
+            success: true,
+            data: patients.map(patient => toPatientView(patient, level)),
+            pagination: {
+                limit: parseInt(limit),
+                totalPatients: total,
+                hasNextPage: Boolean(nextCursor),
+                nextCursor
+            }
+        });
+    } catch (error) {
+        console.error('Get patients error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get patients flagged as possible duplicates
+// @route   GET /api/patients/duplicates/flagged
+// @access  Private/Admin
+router.get('/duplicates/flagged', protect, requirePermission('patient:merge'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const query = { 'possibleDuplicates.0': { $exists: true }, mergedInto: null };
+
         const patients = await Patient.find(query)
-            .populate('userId', 'firstName lastName email')
+            .select('firstName lastName dateOfBirth phone email status possibleDuplicates createdAt')
+            .populate('possibleDuplicates.patientId', 'firstName lastName dateOfBirth phone email status createdAt')
             .sort({ createdAt: -1 })
             .limit(limit * 1)
             .skip((page - 1) * limit);
@@ -126,7 +336,140 @@ router.get('/', protect, async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Get patients error:', error);
+        console.error('Get flagged duplicates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Bulk import patients from a CSV or JSON lines file
+// @route   POST /api/patients/imports
+// @access  Private/Admin
+router.post('/imports', protect, requirePermission('patient:import'), uploadImportFile, [
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+    body('mapping').optional().isJSON().withMessage('mapping must be a JSON object of column name to patient field')
+], async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'A file is required (form field "file")'
+            });
+        }
+
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const format = IMPORT_FORMATS[path.extname(req.file.originalname).toLowerCase()];
+        const { rows, error: parseError } = parseImportFile(req.file.buffer, format);
+        if (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: parseError
+            });
+        }
+
+        if (rows.length > getImportMaxRows()) {
+            return res.status(400).json({
+                success: false,
+                message: `Too many rows (${rows.length}), split the file into imports of at most ${getImportMaxRows()} patients`
+            });
+        }
+
+        const dryRun = req.body.dryRun === true;
+        const { results, totals, unmappedColumns } = await importPatients(rows, {
+            validation: importRowValidation,
+            dryRun,
+            mapping: req.body.mapping ? JSON.parse(req.body.mapping) : {}
+        });
+
+        const patientImport = await PatientImport.create({
+            fileName: req.file.originalname,
+            format,
+            dryRun,
+            totals,
+            unmappedColumns,
+            results,
+            importedBy: req.user._id
+        });
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${totals.valid + totals.flagged} of ${totals.rows} patients can be imported`
+                : `${totals.created + totals.flagged} of ${totals.rows} patients imported`,
+            data: {
+                _id: patientImport._id,
+                dryRun,
+                totals,
+                unmappedColumns,
+                // Rows that need attention; every row is in the report
+                issues: results.filter(result => !['created', 'valid'].includes(result.status)),
+                reportUrl: `/api/patients/imports/${patientImport._id}/report`
+            }
+        });
+    } catch (error) {
+        console.error('Patient import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get a patient import
+// @route   GET /api/patients/imports/:importId
+// @access  Private/Admin
+router.get('/imports/:importId', protect, requirePermission('patient:import'), async (req, res) => {
+    try {
+        const patientImport = await PatientImport.findById(req.params.importId)
+            .populate('importedBy', 'firstName lastName');
+        if (!patientImport) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: patientImport
+        });
+    } catch (error) {
+        console.error('Get patient import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Download the per-row report of a patient import (CSV)
+// @route   GET /api/patients/imports/:importId/report
+// @access  Private/Admin
+router.get('/imports/:importId/report', protect, requirePermission('patient:import'), async (req, res) => {
+    try {
+        const patientImport = await PatientImport.findById(req.params.importId);
+        if (!patientImport) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import not found'
+            });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        res.attachment(`patient-import-${patientImport._id}-report.csv`);
+        res.type('text/csv').send(buildImportReport(patientImport));
+    } catch (error) {
+        console.error('Get patient import report error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -137,7 +480,7 @@ router.get('/', protect, async (req, res) => {
 // @desc    Get patient by ID
 // @route   GET /api/patients/:id
 // @access  Private/Staff
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, requirePermission('patient:read'), async (req, res) => {
     try {
         const patient = await Patient.findById(req.params.id)
             .populate('userId', 'firstName lastName email');
@@ -149,9 +492,25 @@ router.get('/:id', protect, async (req, res) => {
             });
         }
 
+        const access = await resolvePatientAccess(req, patient);
+        if (!access) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this patient record'
+            });
+        }
+
+        const consents = await Consent.getState(patient._id);
+
         res.json({
             success: true,
-            data: patient
+            data: toPatientView(patient, access.level),
+            access: {
+                level: access.level,
+                basis: access.basis,
+                expiresAt: access.grant?.expiresAt
+            },
+            consents
         });
     } catch (error) {
         console.error('Get patient error:', error);
@@ -165,7 +524,7 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Update patient
 // @route   PUT /api/patients/:id
 // @access  Private/Staff
-router.put('/:id', protect, requireStaff, [
+router.put('/:id', protect, requireAnyPermission('patient:update:demographics', 'patient:update:clinical'), [
     body('firstName').optional().trim().isLength({ min: 2, max: 50 }),
     body('lastName').optional().trim().isLength({ min: 2, max: 50 }),
     body('phone').optional().matches(/^[\+]?[1-9][\d]{0,15}$/),
@@ -191,13 +550,43 @@ router.put('/:id', protect, requireStaff, [
             });
         }
 
-        // Update fields
+        if (patient.erasedAt || patient.mergedInto) {
+            return sendRecordClosed(res, patient);
+        }
+
+        const listFields = MANAGED_LIST_FIELDS.filter(field => req.body[field] !== undefined);
+        if (listFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${listFields.join(', ')} cannot be replaced here, use /api/patients/${patient._id}/allergies and /medications`
+            });
+        }
+
+        // Only allow the field groups the user has permission to edit
         const updateFields = [
-            'firstName', 'lastName', 'phone', 'email', 'address',
-            'emergencyContact', 'bloodType', 'allergies', 'currentSymptoms',
-            'medicalHistory', 'currentMedications', 'insurance', 'status'
+            ...(userCan(req, 'patient:update:demographics') ? DEMOGRAPHIC_FIELDS : []),
+            ...(userCan(req, 'patient:update:clinical') ? CLINICAL_FIELDS : [])
         ];
 
+        const forbiddenFields = [...DEMOGRAPHIC_FIELDS, ...CLINICAL_FIELDS]
+            .filter(field => req.body[field] !== undefined && !updateFields.includes(field));
+        if (forbiddenFields.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `Not authorized to update: ${forbiddenFields.join(', ')}`
+            });
+        }
+
+        // Clinical changes also need clinical access to this particular patient
+        const access = await resolvePatientAccess(req, patient);
+        const changesClinical = CLINICAL_FIELDS.some(field => req.body[field] !== undefined);
+        if (changesClinical && access?.level !== 'full') {
+            return res.status(403).json({
+                success: false,
+                message: 'Clinical details can only be updated by the patient\'s care team or with emergency access'
+            });
+        }
+
         updateFields.forEach(field => {
             if (req.body[field] !== undefined) {
                 patient[field] = req.body[field];
@@ -213,7 +602,7 @@ router.put('/:id', protect, requireStaff, [
 
         res.json({
             success: true,
-            data: updatedPatient
+            data: toPatientView(updatedPatient, access?.level)
         });
     } catch (error) {
         console.error('Update patient error:', error);
@@ -227,7 +616,7 @@ router.put('/:id', protect, requireStaff, [
 // @desc    Generate new QR code for patient
 // @route   POST /api/patients/:id/qr-code
 // @access  Private/Staff
-router.post('/:id/qr-code', protect, async (req, res) => {
+router.post('/:id/qr-code', protect, requirePermission('patient:qr:generate'), async (req, res) => {
     try {
         const patient = await Patient.findById(req.params.id);
         if (!patient) {
@@ -237,6 +626,10 @@ router.post('/:id/qr-code', protect, async (req, res) => {
             });
         }
 
+        if (patient.erasedAt || patient.mergedInto) {
+            return sendRecordClosed(res, patient);
+        }
+
         // Generate new QR code
         const qrCode = patient.generateQRCode();
         await patient.save();
@@ -257,10 +650,483 @@ router.post('/:id/qr-code', protect, async (req, res) => {
     }
 });
 
+// @desc    Find probable duplicates of a patient
+// @route   GET /api/patients/:id/duplicates
+// @access  Private/Staff
+router.get('/:id/duplicates', protect, requirePermission('patient:list'), async (req, res) => {
+    try {
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const candidates = await findDuplicateCandidates(patient, { excludeId: patient._id });
+
+        res.json({
+            success: true,
+            count: candidates.length,
+            data: candidates.map(toCandidateView)
+        });
+    } catch (error) {
+        console.error('Find patient duplicates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get a patient's encounter history
+// @route   GET /api/patients/:id/encounters
+// @access  Private/Staff
+router.get('/:id/encounters', protect, requirePermission('encounter:read'), [
+    query('status').optional().isIn(['waiting', 'in-progress', 'completed', 'cancelled', 'no-show']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const access = await resolvePatientAccess(req, patient);
+        if (!access) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this patient record'
+            });
+        }
+
+        const { page = 1, limit = 20, status } = req.query;
+
+        // Build query
+        const filter = { patientId: patient._id };
+        if (status) filter.status = status;
+
+        const encounters = await Encounter.find(filter)
+            .populate('assignedDoctor', 'firstName lastName department')
+            .populate('checkedInBy', 'firstName lastName')
+            .sort({ checkedInAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Encounter.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: encounters.map(encounter => toEncounterView(encounter, access.level)),
+            visits: {
+                lastVisit: patient.lastVisit,
+                totalVisits: patient.totalVisits
+            },
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalEncounters: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get patient encounters error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Merge a duplicate record into this patient (Admin only)
+// @route   POST /api/patients/:id/merge
+// @access  Private/Admin
+router.post('/:id/merge', protect, requirePermission('patient:merge'), [
+    body('duplicateId').isMongoId().withMessage('Duplicate patient ID is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        if (req.params.id === req.body.duplicateId) {
+            return res.status(400).json({
+                success: false,
+                message: 'A patient record cannot be merged into itself'
+            });
+        }
+
+        const [survivor, duplicate] = await Promise.all([
+            Patient.findById(req.params.id),
+            Patient.findById(req.body.duplicateId)
+        ]);
+        if (!survivor || !duplicate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        // A merge that failed halfway is completed by running it again
+        const resumesMerge = duplicate.mergeStatus === 'pending' && duplicate.mergedInto?.equals(survivor._id);
+        if (survivor.mergedInto || (duplicate.mergedInto && !resumesMerge)) {
+            return res.status(400).json({
+                success: false,
+                message: 'One of the records has already been merged'
+            });
+        }
+
+        // Their audit records would end up on the other patient
+        if (survivor.erasedAt || duplicate.erasedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Erased records cannot be merged'
+            });
+        }
+
+        const duplicateUserId = duplicate.userId || duplicate.mergeUserId;
+        if (survivor.userId && duplicateUserId && !survivor.userId.equals(duplicateUserId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Both records are linked to different user accounts. Unlink one of them first'
+            });
+        }
+
+        // Data requests follow the duplicate, and a record can only have one pending erasure
+        const pendingErasures = await PatientDataRequest.countDocuments({
+            patientId: { $in: [survivor._id, duplicate._id] },
+            type: 'erasure',
+            status: 'pending'
+        });
+        if (pendingErasures > 1) {
+            return res.status(409).json({
+                success: false,
+                message: 'Both records have a pending erasure request. Review one of them first'
+            });
+        }
+
+        const result = await mergePatients(survivor, duplicate, req.user);
+
+        res.json({
+            success: true,
+            message: 'Patient records merged successfully',
+            data: {
+                patient: result.survivor,
+                mergedPatientId: duplicate._id,
+                moved: result.moved,
+                filledFields: result.filledFields
+            }
+        });
+    } catch (error) {
+        console.error('Merge patients error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Emergency ("break-the-glass") access to a patient record
+// @route   POST /api/patients/:id/break-glass
+// @access  Private/Staff
+router.post('/:id/break-glass', protect, requirePermission('patient:break-glass'), [
+    body('reason').trim().isLength({ min: 10, max: 500 }).withMessage('Reason must be between 10 and 500 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patient = await Patient.findById(req.params.id)
+            .populate('userId', 'firstName lastName email');
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const grant = await breakTheGlass(req, patient, req.body.reason);
+
+        res.status(201).json({
+            success: true,
+            message: 'Emergency access granted. This access is logged and will be reviewed',
+            data: toPatientView(patient, 'full'),
+            access: {
+                level: 'full',
+                basis: 'break-the-glass',
+                grantId: grant._id,
+                expiresAt: grant.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Break-the-glass error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Issue a code the patient uses to link the record to their account
+// @route   POST /api/patients/:id/link-code
+// @access  Private/Staff
+router.post('/:id/link-code', protect, requirePermission('patient:link'), [
+    body('sendEmail').optional().isBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        if (patient.erasedAt || patient.mergedInto) {
+            return sendRecordClosed(res, patient);
+        }
+
+        if (patient.userId) {
+            return res.status(409).json({
+                success: false,
+                message: 'Patient record is already linked to a user account'
+            });
+        }
+
+        if (req.body.sendEmail && !patient.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient has no email address on file'
+            });
+        }
+
+        const code = patient.createLinkCode();
+        await patient.save();
+
+        if (req.body.sendEmail) {
+            try {
+                await sendPatientLinkCodeEmail(patient, code);
+            } catch (mailError) {
+                console.error('Patient link code email failed:', mailError);
+                return res.status(502).json({
+                    success: false,
+                    message: 'Link code email could not be sent'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Link code sent to the patient',
+                data: {
+                    expiresAt: patient.linkCodeExpires
+                }
+            });
+        }
+
+        // Handed to the patient at the desk
+        res.json({
+            success: true,
+            data: {
+                code,
+                expiresAt: patient.linkCodeExpires
+            }
+        });
+    } catch (error) {
+        console.error('Create patient link code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Unlink a patient record from its user account
+// @route   DELETE /api/patients/:id/link
+// @access  Private/Staff
+router.delete('/:id/link', protect, requirePermission('patient:link'), async (req, res) => {
+    try {
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        if (!patient.userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient record is not linked to a user account'
+            });
+        }
+
+        patient.userId = undefined;
+        patient.linkedAt = undefined;
+        await patient.save();
+
+        res.json({
+            success: true,
+            message: 'Patient record unlinked successfully'
+        });
+    } catch (error) {
+        console.error('Unlink patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Export everything held about a patient (right of access)
+// @route   GET /api/patients/:id/export
+// @access  Private/Staff
+router.get('/:id/export', protect, requirePermission('patient:export'), async (req, res) => {
+    try {
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        // The archive holds the whole clinical record, so demographic access is not enough
+        const access = await resolvePatientAccess(req, patient);
+        if (!access || access.level !== 'full') {
+            return res.status(403).json({
+                success: false,
+                message: 'Exporting a patient record requires access to its clinical details'
+            });
+        }
+
+        const { archive, summary } = await buildPatientExport(patient);
+
+        await PatientDataRequest.create({
+            patientId: patient._id,
+            type: 'export',
+            status: 'completed',
+            requestedBy: req.user._id,
+            requestedVia: 'staff',
+            completedAt: archive.exportedAt,
+            summary,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')?.slice(0, 500)
+        });
+
+        res.set('Cache-Control', 'private, no-store');
+        res.attachment(`patient-${patient._id}-export.json`);
+        res.type('application/json').send(JSON.stringify(archive, null, 2));
+    } catch (error) {
+        console.error('Export patient error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Request erasure of a patient record (right to be forgotten)
+// @route   POST /api/patients/:id/erasure-requests
+// @access  Private/Staff
+router.post('/:id/erasure-requests', protect, requirePermission('patient:erasure:request'), [
+    body('reason').trim().isLength({ min: 10, max: 1000 }).withMessage('Reason must be between 10 and 1000 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const patient = await Patient.findById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const blocker = await getErasureBlocker(patient);
+        if (blocker) {
+            return res.status(400).json({
+                success: false,
+                message: blocker
+            });
+        }
+
+        const pending = await PatientDataRequest.exists({ patientId: patient._id, type: 'erasure', status: 'pending' });
+        if (pending) {
+            return res.status(409).json({
+                success: false,
+                message: 'An erasure request for this patient is already waiting for approval'
+            });
+        }
+
+        const dataRequest = await PatientDataRequest.create({
+            patientId: patient._id,
+            type: 'erasure',
+            requestedBy: req.user._id,
+            requestedVia: 'staff',
+            reason: req.body.reason,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')?.slice(0, 500)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Erasure requested, an admin has to approve it',
+            data: dataRequest
+        });
+    } catch (error) {
+        console.error('Request patient erasure error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @desc    Get patient by QR code
 // @route   POST /api/patients/qr-scan
 // @access  Private/Staff
-router.post('/qr-scan', protect, [
+router.post('/qr-scan', protectUserOrDevice('scan', 'patient:qr:scan'), [
     body('qrCode').notEmpty().withMessage('QR code data is required')
 ], async (req, res) => {
     try {
@@ -289,13 +1155,18 @@ router.post('/qr-scan', protect, [
             if (!patient.qrCode.isActive || patient.isQRCodeExpired()) {
                 return res.status(400).json({
                     success: false,
-                    message: 'QR code is no longer active or expired'
+                    message: patient.mergedInto
+                        ? 'This record was merged into another patient record'
+                        : 'QR code is no longer active or expired',
+                    mergedInto: patient.mergedInto
                 });
             }
 
+            const access = await resolvePatientAccess(req, patient);
+
             res.json({
                 success: true,
-                data: patient
+                data: toPatientView(patient, access?.level)
             });
         } catch (parseError) {
             return res.status(400).json({
@@ -315,7 +1186,7 @@ router.post('/qr-scan', protect, [
 // @desc    Get patient statistics
 // @route   GET /api/patients/stats/overview
 // @access  Private/Staff
-router.get('/stats/overview', protect, requireStaff, async (req, res) => {
+router.get('/stats/overview', protect, requirePermission('patient:stats'), async (req, res) => {
     try {
         const totalPatients = await Patient.countDocuments();
         const activePatients = await Patient.countDocuments({ status: 'active' });
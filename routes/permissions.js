@@ -0,0 +1,151 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import RolePermission from '../models/RolePermission.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+    ROLES,
+    PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS,
+    getPermissionMatrix,
+    getRolePermissions,
+    clearPermissionCache,
+    validateRolePermissions
+} from '../services/permissions.js';
+
+const router = express.Router();
+
+// @desc    Get my permissions
+// @route   GET /api/permissions/me
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+    try {
+        const permissions = await getRolePermissions(req.user.role);
+
+        res.json({
+            success: true,
+            data: {
+                role: req.user.role,
+                permissions
+            }
+        });
+    } catch (error) {
+        console.error('Get my permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get permission catalogue and role matrix (Admin only)
+// @route   GET /api/permissions
+// @access  Private/Admin
+router.get('/', protect, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const matrix = await getPermissionMatrix();
+
+        res.json({
+            success: true,
+            data: {
+                permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+                roles: matrix
+            }
+        });
+    } catch (error) {
+        console.error('Get permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Replace the permissions of a role (Admin only)
+// @route   PUT /api/permissions/roles/:role
+// @access  Private/Admin
+router.put('/roles/:role', protect, requirePermission('security:manage'), [
+    param('role').isIn(ROLES).withMessage('Invalid role'),
+    body('permissions').isArray().withMessage('Permissions must be an array'),
+    body('permissions.*').isString().trim()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { role } = req.params;
+        const permissions = [...new Set(req.body.permissions)];
+
+        const validationError = validateRolePermissions(role, permissions);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const entry = await RolePermission.findOneAndUpdate(
+            { role },
+            { permissions, knownPermissions: Object.keys(PERMISSIONS), updatedBy: req.user._id },
+            { new: true, upsert: true, runValidators: true }
+        );
+        clearPermissionCache();
+
+        res.json({
+            success: true,
+            message: `Permissions for '${role}' updated`,
+            data: entry
+        });
+    } catch (error) {
+        console.error('Update role permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Restore the default permissions of a role (Admin only)
+// @route   DELETE /api/permissions/roles/:role
+// @access  Private/Admin
+router.delete('/roles/:role', protect, requirePermission('security:manage'), [
+    param('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { role } = req.params;
+
+        await RolePermission.deleteOne({ role });
+        clearPermissionCache();
+
+        res.json({
+            success: true,
+            message: `Permissions for '${role}' reset to defaults`,
+            data: {
+                role,
+                permissions: DEFAULT_ROLE_PERMISSIONS[role]
+            }
+        });
+    } catch (error) {
+        console.error('Reset role permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -2,14 +2,15 @@ import express from 'express';
 import QRCode from 'qrcode';
 import { body, validationResult } from 'express-validator';
 import Patient from '../models/Patient.js';
-import { protect, requireStaff } from '../middleware/auth.js';
+import { protect, requirePermission, protectUserOrDevice } from '../middleware/auth.js';
+import { resolvePatientAccess, toPatientView } from '../services/patientAccess.js';
 
 const router = express.Router();
 
 // @desc    Generate QR code image
 // @route   POST /api/qr/generate
 // @access  Private/Staff
-router.post('/generate', protect, requireStaff, [
+router.post('/generate', protect, requirePermission('qr:generate'), [
     body('data').notEmpty().withMessage('QR code data is required')
 ], async (req, res) => {
     try {
@@ -60,7 +61,7 @@ router.post('/generate', protect, requireStaff, [
 // @desc    Generate QR code for patient
 // @route   POST /api/qr/patient/:id
 // @access  Private/Staff
-router.post('/patient/:id', protect, requireStaff, async (req, res) => {
+router.post('/patient/:id', protect, requirePermission('patient:qr:generate'), async (req, res) => {
     try {
         const patient = await Patient.findById(req.params.id);
         if (!patient) {
@@ -70,6 +71,17 @@ router.post('/patient/:id', protect, requireStaff, async (req, res) => {
             });
         }
 
+        // Merged and erased records keep their QR code inactive
+        if (patient.erasedAt || patient.mergedInto) {
+            return res.status(409).json({
+                success: false,
+                message: patient.erasedAt
+                    ? 'This patient record has been erased'
+                    : 'This record was merged into another patient record, use that record instead',
+                mergedInto: patient.mergedInto
+            });
+        }
+
         // Generate new QR code data
         const qrCode = patient.generateQRCode();
         await patient.save();
@@ -88,11 +100,12 @@ router.post('/patient/:id', protect, requireStaff, async (req, res) => {
         };
 
         const qrCodeImage = await QRCode.toDataURL(qrCode.code, qrOptions);
+        const access = await resolvePatientAccess(req, patient);
 
         res.json({
             success: true,
             data: {
-                patient: patient,
+                patient: toPatientView(patient, access?.level),
                 qrCode: qrCode.code,
                 qrCodeImage: qrCodeImage,
                 expiresAt: qrCode.expiresAt
@@ -110,7 +123,7 @@ router.post('/patient/:id', protect, requireStaff, async (req, res) => {
 // @desc    Validate QR code
 // @route   POST /api/qr/validate
 // @access  Private/Staff
-router.post('/validate', protect, requireStaff, [
+router.post('/validate', protectUserOrDevice('scan', 'qr:validate'), [
     body('qrCode').notEmpty().withMessage('QR code data is required')
 ], async (req, res) => {
     try {
@@ -182,12 +195,14 @@ router.post('/validate', protect, requireStaff, [
                 });
             }
 
+            const access = await resolvePatientAccess(req, patient);
+
             res.json({
                 success: true,
                 message: 'QR code is valid',
                 data: {
                     isValid: true,
-                    patient: patient,
+                    patient: toPatientView(patient, access?.level),
                     timeRemaining: Math.floor((expiryDate - now) / (1000 * 60 * 60 * 24)) // days remaining
                 }
             });
@@ -213,7 +228,7 @@ router.post('/validate', protect, requireStaff, [
 // @desc    Get QR code statistics
 // @route   GET /api/qr/stats
 // @access  Private/Staff
-router.get('/stats', protect, requireStaff, async (req, res) => {
+router.get('/stats', protect, requirePermission('qr:stats'), async (req, res) => {
     try {
         const now = new Date();
 
@@ -1,21 +1,64 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Queue from '../models/Queue.js';
+import Queue, { QUEUE_PRIORITIES, QUEUE_ORDER } from '../models/Queue.js';
 import Patient from '../models/Patient.js';
-import { protect, requireStaff } from '../middleware/auth.js';
-import { assignDoctorToPatient } from '../services/doctorAssignment.js';
+import Appointment from '../models/Appointment.js';
+import Encounter from '../models/Encounter.js';
+import { protect, requirePermission, protectUserOrDevice } from '../middleware/auth.js';
+import { assignDoctorToPatient, analyzeSymptoms } from '../services/doctorAssignment.js';
+import { resolvePatientAccess, toPatientView, toDevicePatientView } from '../services/patientAccess.js';
+import { openEncounter, syncEncounterWithQueue } from '../services/encounters.js';
+import { VITAL_LIMITS, extractVitals, recordVitals } from '../services/vitals.js';
 
 const router = express.Router();
 
+// Range checks for vitals fields, optionally nested under a prefix ('vitals.')
+const vitalsValidation = (prefix = '') => Object.entries(VITAL_LIMITS).map(([field, { min, max }]) =>
+    body(`${prefix}${field}`).optional().isFloat({ min, max }).withMessage(`${field} must be between ${min} and ${max}`)
+);
+
+// Serializes a queue entry for staff: the visit's complaint and the patient's
+// clinical fields are only shown with clinical access to that patient
+const toQueueEntryView = async (req, queueEntry) => {
+    const patient = queueEntry.patientId;
+    const access = patient?._id ? await resolvePatientAccess(req, patient) : null;
+
+    const data = queueEntry.toJSON();
+    if (patient?._id) data.patientId = toPatientView(patient, access?.level);
+    if (access?.level !== 'full') delete data.symptoms;
+    return data;
+};
+
+// Positions of the waiting patients in calling order (1 = next), keyed by queue entry ID
+const getWaitingPositions = async () => {
+    const waiting = await Queue.find({ status: 'waiting' }).select('_id').sort(QUEUE_ORDER);
+    return new Map(waiting.map((entry, index) => [entry._id.toString(), index + 1]));
+};
+
+// What kiosks and display boards get of a queue entry: first name, last initial, number, status and position
+const toDeviceQueueView = (queueEntry, patient, positions) => ({
+    displayName: patient
+        ? [patient.firstName, patient.lastName && `${patient.lastName.charAt(0)}.`].filter(Boolean).join(' ')
+        : null,
+    queueNumber: queueEntry.queueNumber,
+    status: queueEntry.status,
+    position: positions.get(queueEntry._id.toString()) || null
+});
+
 // @desc    Add patient to queue (check-in)
 // @route   POST /api/queue/check-in
 // @access  Private/Staff
-router.post('/check-in', protect, requireStaff, [
+router.post('/check-in', protectUserOrDevice('check-in', 'queue:check-in'), [
     body('patientId').isMongoId().withMessage('Valid patient ID is required'),
-    body('priority').optional().isIn(['low', 'medium', 'high', 'emergency']),
+    body('priority').optional().isIn(QUEUE_PRIORITIES),
     body('severity').optional().isIn(['low', 'medium', 'high']),
     body('visitType').optional().isIn(['walk-in', 'appointment', 'emergency', 'follow-up']),
-    body('notes').optional().trim().isLength({ max: 500 })
+    body('chiefComplaint').optional().trim().isLength({ min: 3, max: 1000 }).withMessage('Chief complaint must be between 3 and 1000 characters'),
+    body('appointmentId').optional().isMongoId().withMessage('Invalid appointment ID'),
+    body('guardianId').optional().isMongoId().withMessage('Invalid guardian ID'),
+    body('notes').optional().trim().isLength({ max: 500 }),
+    body('vitals').optional().isObject().withMessage('Vitals must be an object'),
+    ...vitalsValidation('vitals.')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -27,7 +70,7 @@ router.post('/check-in', protect, requireStaff, [
             });
         }
 
-        const { patientId, priority, severity, visitType, notes, estimatedWaitTime } = req.body;
+        const { patientId, priority, severity, visitType, notes, estimatedWaitTime, chiefComplaint, appointmentId, guardianId } = req.body;
 
         // Check if patient exists
         const patient = await Patient.findById(patientId);
@@ -38,6 +81,21 @@ router.post('/check-in', protect, requireStaff, [
             });
         }
 
+        // Merged and erased records stay inactive
+        if (patient.mergedInto) {
+            return res.status(409).json({
+                success: false,
+                message: 'This record was merged into another patient record, check in that record instead',
+                mergedInto: patient.mergedInto
+            });
+        }
+        if (patient.erasedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'This patient record has been erased'
+            });
+        }
+
         // Check if patient is already in queue
         const existingQueue = await Queue.findOne({
             patientId,
@@ -48,22 +106,78 @@ router.post('/check-in', protect, requireStaff, [
             return res.status(400).json({
                 success: false,
                 message: 'Patient is already in queue',
-                data: existingQueue
+                data: req.device
+                    ? toDeviceQueueView(existingQueue, patient, await getWaitingPositions())
+                    : existingQueue
+            });
+        }
+
+        if (appointmentId) {
+            const appointment = await Appointment.exists({ _id: appointmentId, patientId });
+            if (!appointment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Appointment not found for this patient'
+                });
+            }
+        }
+
+        // Minors are checked in with one of their guardians on record, unless it is an emergency
+        let accompanyingGuardian;
+        let unaccompaniedMinor = false;
+        if (patient.isMinor) {
+            const guardian = guardianId ? patient.guardians.id(guardianId) : null;
+            if (guardianId && !guardian) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This guardian is not on record for the patient'
+                });
+            }
+
+            if (guardian) {
+                accompanyingGuardian = {
+                    guardianId: guardian._id,
+                    patientId: guardian.patientId,
+                    userId: guardian.userId,
+                    relationship: guardian.relationship
+                };
+            } else if (visitType === 'emergency' || priority === 'emergency') {
+                unaccompaniedMinor = true;
+            } else {
+                return res.status(400).json({
+                    success: false,
+                    message: patient.guardians.length > 0
+                        ? 'Minors must be checked in with a guardian, select the guardian who is with the patient'
+                        : 'Minors need a guardian on record before they can be checked in',
+                    guardianRequired: true,
+                    guardians: req.device ? toDevicePatientView(patient).guardians : patient.guardians
+                });
+            }
+        }
+
+        // Complaint for this visit; earlier complaints stay on their encounters
+        const complaint = chiefComplaint || patient.currentSymptoms;
+        if (!complaint) {
+            return res.status(400).json({
+                success: false,
+                message: 'A chief complaint is required, no symptoms are on file for this patient'
             });
         }
+        if (chiefComplaint) patient.currentSymptoms = chiefComplaint;
 
         let assignment = null;
         try {
-            assignment = await assignDoctorToPatient(patient._id, patient.currentSymptoms);
+            assignment = await assignDoctorToPatient(patient._id, complaint);
 
             // Update patient with assigned doctor
             patient.assignedDoctor = assignment.assignment.doctor.id;
-            await patient.save();
         } catch (assignmentError) {
             console.error('Doctor assignment failed: ', assignmentError);
             // Continue without assignment - staff can manually assign later
         }
 
+        await patient.save();
+
         // Create/Update queue entry
         let queueEntry;
         
@@ -72,25 +186,55 @@ router.post('/check-in', protect, requireStaff, [
                 severity: severity || 'medium',
                 visitType: visitType || 'walk-in',
                 notes,
-                checkedInBy: req.user._id,
-            });
+                checkedInBy: req.user?._id,
+                checkedInByDevice: req.device?._id,
+                accompanyingGuardian,
+                unaccompaniedMinor
+            }, { new: true });
         } else {
             queueEntry = new Queue({
                 patientId,
-                checkedInBy: req.user._id,
+                checkedInBy: req.user?._id,
+                checkedInByDevice: req.device?._id,
                 priority: priority || 'medium',
                 severity: severity || 'medium',
                 visitType: visitType || 'walk-in',
                 notes,
                 estimatedWaitTime: estimatedWaitTime || 15,
-                symptoms: patient.currentSymptoms,
+                symptoms: complaint,
                 queueNumber: new Date().getTime(),
-                assignedDoctor: patient.assignedDoctor || null
+                assignedDoctor: patient.assignedDoctor || null,
+                accompanyingGuardian,
+                unaccompaniedMinor
             });
 
             await queueEntry.save();
         }
 
+        // Open the encounter that keeps this visit's history
+        const encounter = await openEncounter(queueEntry, {
+            chiefComplaint: complaint,
+            analysis: assignment?.assignment?.analysis || analyzeSymptoms(complaint),
+            appointmentId
+        });
+        queueEntry.encounterId = encounter._id;
+        await queueEntry.save();
+
+        // Vitals taken at the desk can raise the priority straight away
+        const vitals = extractVitals(req.body.vitals);
+        if (Object.keys(vitals).length > 0) {
+            await recordVitals(encounter, queueEntry, vitals, { user: req.user, device: req.device, patient });
+        }
+
+        // Kiosks and scanners only get the ticket
+        if (req.device) {
+            return res.status(201).json({
+                success: true,
+                message: 'Patient checked in successfully',
+                data: toDeviceQueueView(queueEntry, patient, await getWaitingPositions())
+            });
+        }
+
         // Populate patient details
         await queueEntry.populate('patientId', 'firstName lastName phone currentSymptoms');
         await queueEntry.populate('checkedInBy', 'firstName lastName');
@@ -99,7 +243,7 @@ router.post('/check-in', protect, requireStaff, [
         res.status(201).json({
             success: true,
             message: 'Patient checked in successfully',
-            data: queueEntry
+            data: await toQueueEntryView(req, queueEntry)
         });
     } catch (error) {
         console.error('Check-in error:', error);
@@ -113,7 +257,7 @@ router.post('/check-in', protect, requireStaff, [
 // @desc    Get current queue
 // @route   GET /api/queue
 // @access  Private/Staff
-router.get('/', protect, requireStaff, async (req, res) => {
+router.get('/', protectUserOrDevice('display-board', 'queue:read'), async (req, res) => {
     try {
         const { status, doctorId } = req.query;
 
@@ -130,20 +274,35 @@ router.get('/', protect, requireStaff, async (req, res) => {
             query.assignedDoctor = doctorId;
         }
 
-        if (req.user.role === 'doctor') {
+        if (req.user?.role === 'doctor') {
             query.assignedDoctor = req.user._id;
         }
 
+        // Display boards only get what is shown on screen
+        if (req.device) {
+            const queue = await Queue.find(query)
+                .select('patientId queueNumber status')
+                .populate('patientId', 'firstName lastName')
+                .sort(QUEUE_ORDER);
+            const positions = await getWaitingPositions();
+
+            return res.json({
+                success: true,
+                count: queue.length,
+                data: queue.map(queueEntry => toDeviceQueueView(queueEntry, queueEntry.patientId, positions))
+            });
+        }
+
         const queue = await Queue.find(query)
-            .populate('patientId', 'firstName lastName phone currentSymptoms age')
+            .populate('patientId', 'firstName lastName phone currentSymptoms age assignedDoctor')
             .populate('checkedInBy', 'firstName lastName')
             .populate('assignedDoctor', 'firstName lastName')
-            .sort({ priority: -1, checkedInAt: 1 });
+            .sort(QUEUE_ORDER);
 
         res.json({
             success: true,
             count: queue.length,
-            data: queue
+            data: await Promise.all(queue.map(queueEntry => toQueueEntryView(req, queueEntry)))
         });
     } catch (error) {
         console.error('Get queue error:', error);
@@ -157,7 +316,7 @@ router.get('/', protect, requireStaff, async (req, res) => {
 // @desc    Get queue entry by ID
 // @route   GET /api/queue/:id
 // @access  Private/Staff
-router.get('/:id', protect, requireStaff, async (req, res) => {
+router.get('/:id', protect, requirePermission('queue:read'), async (req, res) => {
     try {
         const queueEntry = await Queue.findById(req.params.id)
             .populate('patientId')
@@ -171,9 +330,10 @@ router.get('/:id', protect, requireStaff, async (req, res) => {
             });
         }
 
+        // Clinical details are only shown to users with clinical access to the patient
         res.json({
             success: true,
-            data: queueEntry
+            data: await toQueueEntryView(req, queueEntry)
         });
     } catch (error) {
         console.error('Get queue entry error:', error);
@@ -184,10 +344,105 @@ router.get('/:id', protect, requireStaff, async (req, res) => {
     }
 });
 
+// @desc    Record triage vitals for a queue entry
+// @route   POST /api/queue/:id/vitals
+// @access  Private/Staff
+router.post('/:id/vitals', protect, requirePermission('queue:vitals'), vitalsValidation(), async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const vitals = extractVitals(req.body);
+        if (Object.keys(vitals).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one vital sign is required'
+            });
+        }
+
+        const queueEntry = await Queue.findById(req.params.id);
+        if (!queueEntry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Queue entry not found'
+            });
+        }
+
+        const encounter = queueEntry.encounterId
+            ? await Encounter.findById(queueEntry.encounterId)
+            : await Encounter.findOne({ queueId: queueEntry._id });
+        if (!encounter) {
+            return res.status(404).json({
+                success: false,
+                message: 'No encounter found for this queue entry'
+            });
+        }
+
+        // Minors are not checked against adult ranges
+        const patient = await Patient.findById(queueEntry.patientId).select('dateOfBirth');
+
+        const result = await recordVitals(encounter, queueEntry, vitals, { user: req.user, patient });
+
+        res.status(201).json({
+            success: true,
+            message: result.priorityChanged
+                ? `Vitals recorded, priority raised to ${result.priority}`
+                : 'Vitals recorded',
+            data: result.vitals,
+            priority: result.priority,
+            priorityChanged: result.priorityChanged
+        });
+    } catch (error) {
+        console.error('Record vitals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get triage vitals for a queue entry
+// @route   GET /api/queue/:id/vitals
+// @access  Private/Staff
+router.get('/:id/vitals', protect, requirePermission('queue:read'), async (req, res) => {
+    try {
+        const queueEntry = await Queue.findById(req.params.id);
+        if (!queueEntry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Queue entry not found'
+            });
+        }
+
+        const encounter = queueEntry.encounterId
+            ? await Encounter.findById(queueEntry.encounterId)
+                .populate('vitals.recordedBy', 'firstName lastName')
+            : null;
+
+        res.json({
+            success: true,
+            count: encounter ? encounter.vitals.length : 0,
+            data: encounter ? encounter.vitals : []
+        });
+    } catch (error) {
+        console.error('Get vitals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @desc    Update queue entry status
 // @route   PUT /api/queue/:id/status
 // @access  Private/Staff
-router.put('/:id/status', protect, requireStaff, [
+router.put('/:id/status', protect, requirePermission('queue:update-status'), [
     body('status').isIn(['waiting', 'in-progress', 'completed', 'cancelled', 'no-show']).withMessage('Invalid status'),
     body('notes').optional().trim().isLength({ max: 500 })
 ], async (req, res) => {
@@ -228,6 +483,7 @@ router.put('/:id/status', protect, requireStaff, [
         }
 
         await queueEntry.save();
+        await syncEncounterWithQueue(queueEntry);
 
         // Populate for response
         await queueEntry.populate('patientId', 'firstName lastName phone currentSymptoms');
@@ -236,7 +492,7 @@ router.put('/:id/status', protect, requireStaff, [
         res.json({
             success: true,
             message: `Queue entry ${status}`,
-            data: queueEntry
+            data: await toQueueEntryView(req, queueEntry)
         });
     } catch (error) {
         console.error('Update queue status error:', error);
@@ -250,7 +506,7 @@ router.put('/:id/status', protect, requireStaff, [
 // @desc    Assign doctor to queue entry
 // @route   PUT /api/queue/:id/assign-doctor
 // @access  Private/Staff
-router.put('/:id/assign-doctor', protect, requireStaff, [
+router.put('/:id/assign-doctor', protect, requirePermission('queue:assign-doctor'), [
     body('doctorId').isMongoId().withMessage('Valid doctor ID is required')
 ], async (req, res) => {
     try {
@@ -275,6 +531,7 @@ router.put('/:id/assign-doctor', protect, requireStaff, [
 
         queueEntry.assignedDoctor = doctorId;
         await queueEntry.save();
+        await syncEncounterWithQueue(queueEntry);
 
         // Populate for response
         await queueEntry.populate('patientId', 'firstName lastName phone currentSymptoms');
@@ -283,7 +540,7 @@ router.put('/:id/assign-doctor', protect, requireStaff, [
         res.json({
             success: true,
             message: 'Doctor assigned successfully',
-            data: queueEntry
+            data: await toQueueEntryView(req, queueEntry)
         });
     } catch (error) {
         console.error('Assign doctor error:', error);
@@ -297,7 +554,7 @@ router.put('/:id/assign-doctor', protect, requireStaff, [
 // @desc    Call next patient
 // @route   POST /api/queue/call-next
 // @access  Private/Staff
-router.post('/call-next', protect, requireStaff, async (req, res) => {
+router.post('/call-next', protect, requirePermission('queue:call-next'), async (req, res) => {
     try {
         const { doctorId } = req.body;
 
@@ -315,19 +572,20 @@ router.post('/call-next', protect, requireStaff, async (req, res) => {
         const currentPatient = await Queue.findOne(currentQuery)
             .populate('patientId', 'firstName lastName phone currentSymptoms')
             .populate('assignedDoctor', 'firstName lastName')
-            .sort({ priority: -1, checkedInAt: 1 });
+            .sort(QUEUE_ORDER);
 
         if (currentPatient) {
             // Mark current patient as completed
             currentPatient.status = 'completed';
             currentPatient.completedAt = new Date();
             await currentPatient.save();
+            await syncEncounterWithQueue(currentPatient);
         }
         
         const nextPatient = await Queue.findOne(nextQuery)
             .populate('patientId', 'firstName lastName phone currentSymptoms')
             .populate('assignedDoctor', 'firstName lastName')
-            .sort({ priority: -1, checkedInAt: 1 });
+            .sort(QUEUE_ORDER);
 
         if (!nextPatient) {
             return res.status(404).json({
@@ -340,11 +598,12 @@ router.post('/call-next', protect, requireStaff, async (req, res) => {
         nextPatient.status = 'in-progress';
         nextPatient.calledAt = new Date();
         await nextPatient.save();
+        await syncEncounterWithQueue(nextPatient);
 
         res.json({
             success: true,
             message: 'Next patient called',
-            data: nextPatient
+            data: await toQueueEntryView(req, nextPatient)
         });
     } catch (error) {
         console.error('Call next patient error:', error);
@@ -358,7 +617,7 @@ router.post('/call-next', protect, requireStaff, async (req, res) => {
 // @desc    Get queue statistics
 // @route   GET /api/queue/stats
 // @access  Private/Staff
-router.get('/stats/overview', protect, requireStaff, async (req, res) => {
+router.get('/stats/overview', protectUserOrDevice('display-board', 'queue:stats'), async (req, res) => {
     try {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
@@ -427,7 +686,7 @@ router.get('/stats/overview', protect, requireStaff, async (req, res) => {
 // @desc    Remove patient from queue
 // @route   DELETE /api/queue/:id
 // @access  Private/Staff
-router.delete('/:id', protect, requireStaff, async (req, res) => {
+router.delete('/:id', protect, requirePermission('queue:delete'), async (req, res) => {
     try {
         const queueEntry = await Queue.findById(req.params.id);
         if (!queueEntry) {
@@ -445,6 +704,10 @@ router.delete('/:id', protect, requireStaff, async (req, res) => {
             });
         }
 
+        // The encounter is kept, but no longer counts as a visit
+        queueEntry.status = 'cancelled';
+        await syncEncounterWithQueue(queueEntry);
+
         await Queue.findByIdAndDelete(req.params.id);
 
         res.json({
@@ -0,0 +1,134 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { query, validationResult } from 'express-validator';
+import SecurityEvent, { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validate a comma separated list of event types
+const isEventTypeList = (value) => value.split(',').every(type => SECURITY_EVENT_TYPES.includes(type.trim()));
+
+// Shared filters for both event listings
+const eventListValidators = [
+    query('type').optional().custom(isEventTypeList).withMessage('Invalid event type'),
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+// Apply type and date range filters from the query string
+const applyCommonFilters = (filter, { type, from, to }) => {
+    if (type) filter.type = { $in: type.split(',').map(value => value.trim()) };
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+    return filter;
+};
+
+// @desc    Get my security event history
+// @route   GET /api/security-events/me
+// @access  Private
+router.get('/me', protect, eventListValidators, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20 } = req.query;
+
+        const filter = applyCommonFilters({ userId: req.user._id }, req.query);
+
+        const events = await SecurityEvent.find(filter)
+            .populate('actorId', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await SecurityEvent.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: events,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalEvents: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get my security events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Query security events across users (Admin only)
+// @route   GET /api/security-events
+// @access  Private/Admin
+router.get('/', protect, requirePermission('security:audit'), [
+    ...eventListValidators,
+    query('userId').optional().custom(value => mongoose.isValidObjectId(value)).withMessage('Invalid user ID'),
+    query('email').optional().isEmail().normalizeEmail(),
+    query('ipAddress').optional().isIP()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, userId, email, ipAddress } = req.query;
+
+        // Build query
+        const filter = applyCommonFilters({}, req.query);
+        if (userId) filter.userId = userId;
+        if (email) filter.email = email;
+        if (ipAddress) filter.ipAddress = ipAddress;
+
+        const events = await SecurityEvent.find(filter)
+            .populate('userId', 'firstName lastName email role')
+            .populate('actorId', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await SecurityEvent.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: events,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalEvents: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get security events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
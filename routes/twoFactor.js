@@ -0,0 +1,399 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import UserChange from '../models/UserChange.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { protect, protectAllowTwoFactorSetup, requirePermission } from '../middleware/auth.js';
+import {
+    TWO_FACTOR_SECRET_FIELDS,
+    isTwoFactorRequired,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    generateRecoveryCodes,
+    resetTwoFactor
+} from '../services/twoFactor.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { checkLoginAllowed, registerFailedLogin, resetFailedLogins } from '../services/loginThrottle.js';
+
+const router = express.Router();
+
+// Respond to a code check while the account is throttled or locked
+const sendCheckThrottled = async (req, res, user, throttle) => {
+    await SecurityEvent.record('login-failed', {
+        req,
+        user,
+        details: { reason: throttle.locked ? 'account-locked' : 'throttled' }
+    });
+
+    res.set('Retry-After', String(throttle.retryAfterSeconds));
+    return res.status(throttle.locked ? 423 : 429).json({
+        success: false,
+        message: throttle.locked
+            ? 'Account is temporarily locked due to too many failed login attempts'
+            : 'Too many failed login attempts, please wait before trying again',
+        retryAfter: throttle.retryAfterSeconds
+    });
+};
+
+// Count a failed password or code check against the login throttle
+const registerFailedCheck = async (req, user, reason) => {
+    const failure = await registerFailedLogin(user, req);
+    await SecurityEvent.record('login-failed', {
+        req,
+        user,
+        details: { reason, attempts: failure.attempts }
+    });
+    return failure;
+};
+
+// @desc    Get my two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/', protectAllowTwoFactorSetup, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        res.json({
+            success: true,
+            data: {
+                enabled: Boolean(user.twoFactor?.enabled),
+                enabledAt: user.twoFactor?.enabledAt,
+                required: await isTwoFactorRequired(user),
+                setupPending: Boolean(user.twoFactor?.pendingSecret),
+                recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+            }
+        });
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Start two-factor enrolment (returns otpauth URI and QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/setup', protectAllowTwoFactorSetup, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const enrolment = await startEnrolment(user);
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: enrolment
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during two-factor setup'
+        });
+    }
+});
+
+// @desc    Confirm enrolment with a code and enable two-factor
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/enable', protectAllowTwoFactorSetup, [
+    body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const recoveryCodes = confirmEnrolment(user, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code or setup has not been started'
+            });
+        }
+
+        await user.save();
+
+        await SecurityEvent.record('two-factor-enabled', { req, user });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are only shown once',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Disable two-factor
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/disable', protect, [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { password, code, recoveryCode } = req.body;
+
+        const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (await isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                success: false,
+                message: `Two-factor authentication is required for the '${user.role}' role`
+            });
+        }
+
+        // Password and code checks share the per-account login throttle
+        const throttle = checkLoginAllowed(user);
+        if (!throttle.allowed) {
+            return sendCheckThrottled(req, res, user, throttle);
+        }
+
+        const isMatch = await user.matchPassword(password);
+        if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+            const failure = await registerFailedCheck(req, user, isMatch ? 'invalid-two-factor-code' : 'invalid-password');
+            if (failure.locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid password or authentication code'
+            });
+        }
+
+        resetFailedLogins(user);
+        resetTwoFactor(user);
+        await user.save();
+
+        await SecurityEvent.record('two-factor-disabled', { req, user });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/recovery-codes', protect, [
+    body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        // Code checks share the per-account login throttle
+        const throttle = checkLoginAllowed(user);
+        if (!throttle.allowed) {
+            return sendCheckThrottled(req, res, user, throttle);
+        }
+
+        if (!verifySecondFactor(user, { code: req.body.code })) {
+            const failure = await registerFailedCheck(req, user, 'invalid-two-factor-code');
+            if (failure.locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = hashes;
+        resetFailedLogins(user);
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Recovery codes regenerated, previous codes no longer work',
+            data: { recoveryCodes: codes }
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get two-factor policy (Admin only)
+// @route   GET /api/auth/2fa/policy
+// @access  Private/Admin
+router.get('/policy', protect, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const policy = await SecurityPolicy.getPolicy();
+
+        res.json({
+            success: true,
+            data: {
+                twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+                updatedBy: policy.updatedBy,
+                updatedAt: policy.updatedAt
+            }
+        });
+    } catch (error) {
+        console.error('Get 2FA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update which roles must use two-factor (Admin only)
+// @route   PUT /api/auth/2fa/policy
+// @access  Private/Admin
+router.put('/policy', protect, requirePermission('security:manage'), [
+    body('twoFactorRequiredRoles').isArray().withMessage('twoFactorRequiredRoles must be an array'),
+    body('twoFactorRequiredRoles.*').isIn(['patient', 'reception', 'doctor', 'admin']).withMessage('Invalid role')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const policy = await SecurityPolicy.findOneAndUpdate(
+            { key: 'default' },
+            {
+                twoFactorRequiredRoles: [...new Set(req.body.twoFactorRequiredRoles)],
+                updatedBy: req.user._id
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+        SecurityPolicy.clearCache();
+
+        res.json({
+            success: true,
+            message: 'Two-factor policy updated',
+            data: {
+                twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+                updatedBy: policy.updatedBy,
+                updatedAt: policy.updatedAt
+            }
+        });
+    } catch (error) {
+        console.error('Update 2FA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Reset a user's two-factor enrolment, e.g. lost device (Admin only)
+// @route   DELETE /api/auth/2fa/users/:id
+// @access  Private/Admin
+router.delete('/users/:id', protect, requirePermission('user:manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        resetTwoFactor(user);
+        await user.save();
+
+        await SecurityEvent.record('two-factor-reset', { req, user, actor: req.user });
+
+        // Existing sessions were established with the old device
+        await revokeUserSessions(user._id, 'admin', null, { req, actor: req.user });
+
+        await UserChange.record(user, req.user, 'two-factor-reset');
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset for user'
+        });
+    } catch (error) {
+        console.error('Reset user 2FA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,379 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import UserChange from '../models/UserChange.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { unlockAccount } from '../services/loginThrottle.js';
+import { sendPasswordResetEmail } from '../services/emails.js';
+
+const router = express.Router();
+
+// Fields an admin can edit through PUT /api/auth/users/:id
+const EDITABLE_FIELDS = [
+    'firstName', 'lastName', 'phone', 'role', 'department', 'specializations',
+    'licenseNumber', 'employeeId', 'yearsOfExperience', 'isActive', 'isVerified'
+];
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compare two field values (arrays are compared by content)
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// @desc    Get users with search, filters and pagination (Admin only)
+// @route   GET /api/auth/users
+// @access  Private/Admin
+router.get('/', protect, requirePermission('user:manage'), [
+    query('role').optional().isIn(['patient', 'reception', 'doctor', 'admin']).withMessage('Invalid role'),
+    query('status').optional().isIn(['active', 'inactive', 'locked', 'unverified']).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('sort').optional().isIn(['createdAt', '-createdAt', 'lastName', '-lastName', 'lastLogin', '-lastLogin'])
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, search, role, department, status, sort = '-createdAt' } = req.query;
+
+        // Build query
+        const filter = {};
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+            filter.$or = [
+                { firstName: pattern },
+                { lastName: pattern },
+                { email: pattern },
+                { employeeId: pattern }
+            ];
+        }
+        if (role) filter.role = role;
+        if (department) filter.department = department;
+        switch (status) {
+            case 'active':
+                filter.isActive = true;
+                break;
+            case 'inactive':
+                filter.isActive = false;
+                break;
+            case 'locked':
+                filter.lockUntil = { $gt: new Date() };
+                break;
+            case 'unverified':
+                filter.isVerified = false;
+                break;
+        }
+
+        const sortField = sort.replace(/^-/, '');
+        const users = await User.find(filter)
+            .sort({ [sortField]: sort.startsWith('-') ? -1 : 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await User.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: users.length,
+            data: users,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalUsers: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get user by ID (Admin only)
+// @route   GET /api/auth/users/:id
+// @access  Private/Admin
+router.get('/:id', protect, requirePermission('user:manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: user
+        });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update user (Admin only)
+// @route   PUT /api/auth/users/:id
+// @access  Private/Admin
+router.put('/:id', protect, requirePermission('user:manage'), [
+    body('firstName').optional().trim().isLength({ min: 2, max: 50 }),
+    body('lastName').optional().trim().isLength({ min: 2, max: 50 }),
+    body('phone').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please enter a valid phone number'),
+    body('role').optional().isIn(['patient', 'reception', 'doctor', 'admin']).withMessage('Invalid role'),
+    body('department').optional().trim().isLength({ max: 100 }),
+    body('specializations').optional().isArray().withMessage('Specializations must be an array'),
+    body('specializations.*').optional().isString().trim(),
+    body('licenseNumber').optional().trim(),
+    body('employeeId').optional().trim().notEmpty(),
+    body('yearsOfExperience').optional().isInt({ min: 0 }).toInt(),
+    body('isActive').optional().isBoolean(),
+    body('isVerified').optional().isBoolean(),
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Admins cannot lock themselves out
+        if (user._id.equals(req.user._id) &&
+            ((req.body.role && req.body.role !== user.role) || req.body.isActive === false)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role or deactivate your own account'
+            });
+        }
+
+        // Update fields and collect the differences
+        const changes = [];
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+
+            const from = user[field]?.toObject ? user[field].toObject() : user[field];
+            if (isSameValue(from, req.body[field])) return;
+
+            if (field === 'isVerified') {
+                if (req.body.isVerified) {
+                    user.markEmailVerified();
+                } else {
+                    user.isVerified = false;
+                    user.verifiedAt = undefined;
+                }
+            } else {
+                user[field] = req.body[field];
+            }
+            changes.push({ field, from, to: req.body[field] });
+        });
+
+        if (changes.length === 0) {
+            return res.json({
+                success: true,
+                message: 'No changes',
+                data: user
+            });
+        }
+
+        const updatedUser = await user.save();
+
+        await UserChange.record(updatedUser, req.user, 'update', { changes, reason: req.body.reason });
+
+        const roleChange = changes.find(change => change.field === 'role');
+        if (roleChange) {
+            await SecurityEvent.record('role-changed', {
+                req,
+                user: updatedUser,
+                actor: req.user,
+                details: { from: roleChange.from, to: roleChange.to, reason: req.body.reason }
+            });
+        }
+
+        // Deactivated users lose every session immediately
+        if (!updatedUser.isActive) {
+            await revokeUserSessions(updatedUser._id, 'deactivated', null, { req, actor: req.user });
+        }
+
+        res.json({
+            success: true,
+            data: updatedUser
+        });
+    } catch (error) {
+        console.error('Update user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Send a password reset link to a user (Admin only)
+// @route   POST /api/auth/users/:id/reset-password
+// @access  Private/Admin
+router.post('/:id/reset-password', protect, requirePermission('user:manage'), [
+    body('revokeSessions').optional().isBoolean(),
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot reset the password of a deactivated account'
+            });
+        }
+
+        const token = user.createPasswordResetToken();
+        await user.save();
+
+        try {
+            await sendPasswordResetEmail(user, token);
+        } catch (mailError) {
+            console.error('Password reset email failed:', mailError);
+            user.clearPasswordResetToken();
+            await user.save();
+            return res.status(502).json({
+                success: false,
+                message: 'Password reset email could not be sent'
+            });
+        }
+
+        await SecurityEvent.record('password-reset-requested', { req, user, actor: req.user });
+
+        // Optionally sign the user out everywhere right away
+        if (req.body.revokeSessions) {
+            await revokeUserSessions(user._id, 'admin', null, { req, actor: req.user });
+        }
+
+        await UserChange.record(user, req.user, 'password-reset', { reason: req.body.reason });
+
+        res.json({
+            success: true,
+            message: 'Password reset link sent to user'
+        });
+    } catch (error) {
+        console.error('Admin password reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Unlock a locked user account (Admin only)
+// @route   POST /api/auth/users/:id/unlock
+// @access  Private/Admin
+router.post('/:id/unlock', protect, requirePermission('user:manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const updatedUser = await unlockAccount(user, req.user, req);
+
+        await UserChange.record(updatedUser, req.user, 'unlock');
+
+        res.json({
+            success: true,
+            message: 'User account unlocked successfully',
+            data: updatedUser
+        });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get change history of a user (Admin only)
+// @route   GET /api/auth/users/:id/history
+// @access  Private/Admin
+router.get('/:id/history', protect, requirePermission('user:manage'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const history = await UserChange.find({ userId: user._id })
+            .populate('changedBy', 'firstName lastName email role')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await UserChange.countDocuments({ userId: user._id });
+
+        res.json({
+            success: true,
+            data: history,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalChanges: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get user history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
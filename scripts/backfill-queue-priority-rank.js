@@ -0,0 +1,34 @@
+/**
+ * Sets the priority rank of queue entries
+ *
+ * The queue is ordered by priorityRank, which entries checked in before it
+ * existed do not have, so they would be called after everyone else until
+ * this has run.
+ *
+ * Usage: npm run queue:backfill-priority-rank
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Queue, { QUEUE_PRIORITIES } from '../models/Queue.js';
+
+dotenv.config();
+
+const backfill = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const result = await Queue.updateMany(
+        { priorityRank: { $exists: false } },
+        [{ $set: { priorityRank: { $indexOfArray: [QUEUE_PRIORITIES, '$priority'] } } }],
+        { timestamps: false }
+    );
+
+    console.log(`Ranked the priority of ${result.modifiedCount} queue entries`);
+};
+
+backfill()
+    .catch((error) => {
+        console.error('Queue priority rank backfill error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,74 @@
+/**
+ * Records the known permissions of stored role entries
+ *
+ * Role entries saved before the API tracked which permissions existed at
+ * save time only grant what they list, so permissions added since (vitals,
+ * documents, FHIR, merges, data requests, ...) are missing for those roles.
+ * This marks them as saved with the permissions of the first stored matrix,
+ * after which the role defaults of every later permission are granted on
+ * top (see services/permissions.js). Entries saved since are left alone.
+ *
+ * Usage: npm run permissions:migrate
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import RolePermission from '../models/RolePermission.js';
+import { getStoredRolePermissions } from '../services/permissions.js';
+
+dotenv.config();
+
+// Permissions that existed when the matrix was first stored
+const INITIAL_PERMISSIONS = [
+    'patient:list',
+    'patient:read',
+    'patient:update:demographics',
+    'patient:update:clinical',
+    'patient:qr:generate',
+    'patient:qr:scan',
+    'patient:stats',
+    'qr:generate',
+    'qr:validate',
+    'qr:stats',
+    'queue:read',
+    'queue:check-in',
+    'queue:update-status',
+    'queue:assign-doctor',
+    'queue:call-next',
+    'queue:stats',
+    'queue:delete',
+    'appointment:create',
+    'appointment:read',
+    'appointment:update',
+    'appointment:update-status',
+    'appointment:cancel',
+    'appointment:stats',
+    'user:manage',
+    'user:invite',
+    'security:manage'
+];
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const entries = await RolePermission.find({
+        $or: [{ knownPermissions: { $exists: false } }, { knownPermissions: { $size: 0 } }]
+    });
+
+    for (const entry of entries) {
+        entry.knownPermissions = INITIAL_PERMISSIONS;
+        await entry.save();
+
+        const added = getStoredRolePermissions(entry).filter(permission => !entry.permissions.includes(permission));
+        console.log(`${entry.role}: ${added.length > 0 ? `now also granted ${added.join(', ')}` : 'nothing added'}`);
+    }
+
+    console.log(`Migrated ${entries.length} role permission entries`);
+};
+
+migrate()
+    .catch((error) => {
+        console.error('Role permission migration error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+/**
+ * Computes the name search tokens of patient records
+ *
+ * Records registered before name search existed have no tokens and are
+ * only found by exact name matches until this has run. Pass --all to
+ * recompute every record, e.g. after changing the phonetic key.
+ *
+ * Usage: npm run patients:reindex-search [-- --all]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Patient from '../models/Patient.js';
+
+dotenv.config();
+
+const all = process.argv.includes('--all');
+
+const reindex = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let updated = 0;
+    const filter = all ? {} : { searchTokens: { $exists: false } };
+    const cursor = Patient.find(filter).select('firstName lastName').lean().cursor();
+    for await (const patient of cursor) {
+        // Names are not encrypted, so the tokens can be written without loading the full record
+        const record = Patient.hydrate(patient);
+        record.refreshSearchTokens();
+        await Patient.updateOne({ _id: patient._id }, { searchTokens: record.searchTokens }, { timestamps: false });
+        updated++;
+    }
+
+    console.log(`Indexed the names of ${updated} patient records`);
+};
+
+reindex()
+    .catch((error) => {
+        console.error('Patient search reindex error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,69 @@
+/**
+ * Re-encrypts patient records, and the encounters, queue entries,
+ * appointments and allergy/medication history that copy their data, with
+ * the active field encryption key
+ *
+ * Run after adding a new key to FIELD_ENCRYPTION_KEYS and making it active
+ * with FIELD_ENCRYPTION_KEY_ID (keep the old keys configured until this has
+ * finished). Records written before encryption was enabled are encrypted,
+ * patient records get their blind indexes. Pass --reindex to also recompute
+ * every blind index, e.g. after changing FIELD_ENCRYPTION_INDEX_KEY.
+ *
+ * Usage: npm run encryption:rotate [-- --reindex]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Patient from '../models/Patient.js';
+import Encounter from '../models/Encounter.js';
+import Queue from '../models/Queue.js';
+import Appointment from '../models/Appointment.js';
+import MedicalRecordChange from '../models/MedicalRecordChange.js';
+
+dotenv.config();
+
+const reindex = process.argv.includes('--reindex');
+
+// Other collections holding encrypted copies of patient data
+const RELATED_MODELS = [Encounter, Queue, Appointment, MedicalRecordChange];
+
+const rotate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let checked = 0;
+    let updated = 0;
+    const cursor = Patient.find().select('+phoneIndex +emailIndex').cursor();
+    for await (const patient of cursor) {
+        checked++;
+        if (!patient.needsEncryptionUpdate() && !reindex) continue;
+
+        // Saving re-encrypts every encrypted field of an outdated record; older
+        // records may not pass today's validators, which must not block the rotation
+        patient.refreshBlindIndexes();
+        await patient.save({ validateBeforeSave: false, timestamps: false });
+        updated++;
+    }
+
+    console.log(`Checked ${checked} patient records, re-encrypted ${updated}`);
+
+    for (const Model of RELATED_MODELS) {
+        let checkedRecords = 0;
+        let updatedRecords = 0;
+        for await (const record of Model.find().cursor()) {
+            checkedRecords++;
+            if (!record.needsEncryptionUpdate()) continue;
+
+            await record.save({ validateBeforeSave: false, timestamps: false });
+            updatedRecords++;
+        }
+
+        console.log(`Checked ${checkedRecords} ${Model.modelName} records, re-encrypted ${updatedRecords}`);
+    }
+};
+
+rotate()
+    .catch((error) => {
+        console.error('Encryption key rotation error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
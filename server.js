@@ -11,15 +11,31 @@ import fs from 'fs';
 
 // Import routes
 import authRoutes from './routes/auth.js';
+import invitationRoutes from './routes/invitations.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import permissionRoutes from './routes/permissions.js';
+import userRoutes from './routes/users.js';
+import deviceRoutes from './routes/devices.js';
+import meRoutes from './routes/me.js';
+import securityEventRoutes from './routes/securityEvents.js';
+import emergencyAccessRoutes from './routes/emergencyAccess.js';
+import patientMedicationRoutes from './routes/patientMedications.js';
+import consentRoutes from './routes/consents.js';
+import guardianRoutes from './routes/guardians.js';
 import patientRoutes from './routes/patients.js';
 import qrRoutes from './routes/qr.js';
 import queueRoutes from './routes/queue.js';
 import appointmentRoutes from './routes/appointments.js';
+import encounterRoutes from './routes/encounters.js';
+import documentRoutes from './routes/documents.js';
+import fhirRoutes from './routes/fhir.js';
+import dataRequestRoutes from './routes/dataRequests.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
 import { keepAlive } from './services/keepAlive.js';
+import { scheduleAppointmentReminders } from './services/appointmentReminders.js';
 
 // Load environment variables
 dotenv.config();
@@ -50,10 +66,11 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/fhir+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files (for QR code images)
+// Static files (for QR code images). Patient documents are stored outside
+// this directory and only served through /api/documents/:id/download
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Swagger/OpenAPI docs
@@ -80,11 +97,26 @@ app.get('/api/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/users', userRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/security-events', securityEventRoutes);
+app.use('/api/emergency-access', emergencyAccessRoutes);
+app.use('/api/patients', patientMedicationRoutes);
+app.use('/api/patients', consentRoutes);
+app.use('/api/patients', guardianRoutes);
 app.use('/api/patients', patientRoutes);
 app.use('/api/qr', qrRoutes);
 app.use('/api/queue', queueRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/encounters', encounterRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/fhir', fhirRoutes);
+app.use('/api/data-requests', dataRequestRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -115,6 +147,7 @@ const startServer = async () => {
     });
 
     keepAlive();
+    scheduleAppointmentReminders();
 };
 
 // Handle unhandled promise rejections
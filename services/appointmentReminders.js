@@ -0,0 +1,122 @@
+/**
+ * Appointment Reminders
+ *
+ * Sends the reminders requested in `Appointment.reminders` once an
+ * appointment is within its reminder time. A channel is only used while the
+ * patient has an active contact consent for it (contact-email or
+ * contact-sms), and the outcome per channel is stored on the appointment so
+ * each appointment is processed once. There is no SMS gateway yet, so SMS
+ * reminders the patient consented to are recorded as unavailable.
+ */
+
+import { CronJob } from 'cron';
+import Appointment from '../models/Appointment.js';
+import Consent from '../models/Consent.js';
+import { sendAppointmentReminderEmail } from './emails.js';
+
+// Furthest ahead a reminder can be due (hours)
+const MAX_REMINDER_HOURS = 7 * 24;
+
+/**
+ * Sends the reminder of one appointment on every requested channel
+ * @param {Object} appointment - Appointment document (patientId and doctorId populated)
+ * @returns {Promise<Object[]>} - [{ channel, status }]
+ */
+export const sendAppointmentReminder = async (appointment) => {
+  const patient = appointment.patientId;
+  const consented = await Consent.distinct('type', {
+    patientId: patient._id,
+    type: { $in: ['contact-email', 'contact-sms'] },
+    status: 'active'
+  });
+
+  const outcomes = [];
+
+  if (appointment.reminders.email) {
+    let status = 'sent';
+    if (!consented.includes('contact-email')) {
+      status = 'no-consent';
+    } else if (!patient.email) {
+      status = 'no-contact';
+    } else {
+      try {
+        await sendAppointmentReminderEmail(patient, appointment);
+      } catch (error) {
+        console.error(`Appointment ${appointment._id} reminder email error:`, error);
+        status = 'failed';
+      }
+    }
+    outcomes.push({ channel: 'email', status });
+  }
+
+  if (appointment.reminders.sms) {
+    let status = 'unavailable';
+    if (!consented.includes('contact-sms')) {
+      status = 'no-consent';
+    } else if (!patient.phone) {
+      status = 'no-contact';
+    }
+    outcomes.push({ channel: 'sms', status });
+  }
+
+  return outcomes;
+};
+
+/**
+ * Sends the reminders that are due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { checked, processed }
+ */
+export const sendDueReminders = async (now = new Date()) => {
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+
+  const appointments = await Appointment.find({
+    status: { $in: ['scheduled', 'confirmed'] },
+    'reminders.processedAt': null,
+    appointmentDate: { $gte: startOfToday, $lte: new Date(now.getTime() + MAX_REMINDER_HOURS * 60 * 60 * 1000) }
+  })
+    .populate('patientId')
+    .populate('doctorId', 'firstName lastName');
+
+  let processed = 0;
+  for (const appointment of appointments) {
+    const start = appointment.appointmentDateTime;
+    const dueAt = start && new Date(start.getTime() - (appointment.reminders.reminderTime || 0) * 60 * 60 * 1000);
+    if (!appointment.patientId || !start || start <= now || dueAt > now) continue;
+
+    const outcomes = await sendAppointmentReminder(appointment);
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { $set: { 'reminders.processedAt': now, 'reminders.outcomes': outcomes } }
+    );
+    processed++;
+  }
+
+  return { checked: appointments.length, processed };
+};
+
+/**
+ * Checks for due reminders on a schedule (APPOINTMENT_REMINDER_CRON, every 15 minutes by default)
+ */
+export const scheduleAppointmentReminders = () => {
+  try {
+    const job = new CronJob(process.env.APPOINTMENT_REMINDER_CRON || '*/15 * * * *', async function () {
+      try {
+        const { processed } = await sendDueReminders();
+        if (processed > 0) console.log(`Processed ${processed} appointment reminders`);
+      } catch (error) {
+        console.error('Appointment reminders error:', error);
+      }
+    });
+    job.start();
+  } catch (error) {
+    console.warn(`CRON error (appointmentReminders): ${error}`);
+  }
+};
+
+export default {
+  sendAppointmentReminder,
+  sendDueReminders,
+  scheduleAppointmentReminders
+};
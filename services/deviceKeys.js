@@ -0,0 +1,63 @@
+/**
+ * Device API Key Service
+ *
+ * Kiosks, lobby QR scanners and display boards authenticate with an
+ * admin-issued API key instead of a staff login. Keys look like
+ * `qrh_<prefix>_<secret>`; only a hash is stored and the prefix is kept
+ * in clear text so admins can tell keys apart.
+ */
+
+import Device from '../models/Device.js';
+import { generateSecureToken, hashToken } from './tokens.js';
+
+const KEY_PATTERN = /^qrh_([a-f0-9]{8})_([a-f0-9]{48})$/;
+
+// Only write lastSeenAt once per interval to avoid a write on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Generates a new API key
+ * @returns {Object} - { apiKey (shown once), keyPrefix, keyHash }
+ */
+export const generateDeviceKey = () => {
+  const keyPrefix = generateSecureToken(4);
+  const apiKey = `qrh_${keyPrefix}_${generateSecureToken(24)}`;
+
+  return { apiKey, keyPrefix, keyHash: hashToken(apiKey) };
+};
+
+/**
+ * Finds the active device an API key belongs to
+ * @param {string} apiKey - Key from the request
+ * @returns {Promise<Object|null>} - Device document or null
+ */
+export const findDeviceByKey = async (apiKey) => {
+  if (typeof apiKey !== 'string' || !KEY_PATTERN.test(apiKey)) return null;
+
+  const device = await Device.findOne({ keyHash: hashToken(apiKey) });
+  if (!device || !device.isActive || device.revokedAt) return null;
+
+  return device;
+};
+
+/**
+ * Records that a device has been seen
+ * @param {Object} device - Device document
+ * @param {string} ipAddress - Client IP
+ */
+export const touchDevice = async (device, ipAddress) => {
+  const now = Date.now();
+  if (device.lastSeenAt && now - device.lastSeenAt.getTime() < LAST_SEEN_INTERVAL_MS && device.lastSeenIp === ipAddress) {
+    return;
+  }
+
+  device.lastSeenAt = new Date(now);
+  device.lastSeenIp = ipAddress;
+  await Device.updateOne({ _id: device._id }, { lastSeenAt: device.lastSeenAt, lastSeenIp: ipAddress });
+};
+
+export default {
+  generateDeviceKey,
+  findDeviceByKey,
+  touchDevice
+};
@@ -0,0 +1,150 @@
+/**
+ * Patient Document Service
+ *
+ * Stores uploaded patient documents (lab reports, referral letters,
+ * insurance card photos...) in a private directory outside the public
+ * `/uploads` mount, so files can only be read through the authorized
+ * download endpoint. Uploads are limited by size and type, and the file
+ * content must match its declared type.
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import multer from 'multer';
+
+// Accepted file types: mime type -> extensions and leading bytes
+const ALLOWED_TYPES = {
+  'application/pdf': { extensions: ['.pdf'], signatures: [Buffer.from('%PDF')] },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], signatures: [Buffer.from([0xff, 0xd8, 0xff])] },
+  'image/png': { extensions: ['.png'], signatures: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])] },
+  'image/webp': { extensions: ['.webp'], signatures: [Buffer.from('RIFF')] }
+};
+
+export const DOCUMENT_CATEGORIES = [
+  'lab-report', 'referral-letter', 'insurance-card', 'identification',
+  'imaging', 'prescription', 'consent-form', 'other'
+];
+
+// Categories that only need demographics access to the patient
+const NON_CLINICAL_CATEGORIES = ['insurance-card', 'identification', 'consent-form'];
+
+/**
+ * Gets the private directory documents are stored in
+ * @returns {string} - Absolute path
+ */
+export const getDocumentDir = () => path.resolve(process.env.DOCUMENT_STORAGE_DIR || 'storage/documents');
+
+/**
+ * Gets the maximum upload size in bytes
+ * @returns {number}
+ */
+export const getMaxDocumentSize = () => (parseInt(process.env.DOCUMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+/**
+ * Multer middleware factory for a single document upload in the `file` field
+ * @returns {Function} - Express middleware
+ */
+export const createDocumentUpload = () => multer({
+  storage: multer.diskStorage({
+    destination: (req, file, callback) => {
+      const dir = getDocumentDir();
+      fs.mkdir(dir, { recursive: true }, (error) => callback(error, dir));
+    },
+    // Random names: nothing from the client ends up in the path
+    filename: (req, file, callback) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      callback(null, `${crypto.randomUUID()}${extension}`);
+    }
+  }),
+  limits: {
+    fileSize: getMaxDocumentSize(),
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const type = ALLOWED_TYPES[file.mimetype];
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!type || !type.extensions.includes(extension)) {
+      return callback(new Error('Only PDF, JPEG, PNG and WebP files are allowed'));
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+/**
+ * Checks that a stored file starts with the signature of its declared type
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string} mimeType - Declared mime type
+ * @returns {Promise<boolean>}
+ */
+export const matchesFileSignature = async (filePath, mimeType) => {
+  const type = ALLOWED_TYPES[mimeType];
+  if (!type) return false;
+
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    await handle.read(header, 0, header.length, 0);
+
+    if (mimeType === 'image/webp') {
+      return header.subarray(0, 4).equals(type.signatures[0]) && header.subarray(8, 12).toString() === 'WEBP';
+    }
+    return type.signatures.some(signature => header.subarray(0, signature.length).equals(signature));
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Calculates the SHA-256 checksum of a stored file
+ * @param {string} filePath
+ * @returns {Promise<string>} - Hex digest
+ */
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+/**
+ * Resolves the path of a stored document
+ * @param {string} storedName - Name generated at upload
+ * @returns {string} - Absolute path inside the document directory
+ */
+export const getStoredFilePath = (storedName) => path.join(getDocumentDir(), path.basename(storedName));
+
+/**
+ * Removes a stored file (missing files are ignored)
+ * @param {string} filePath
+ * @returns {Promise<void>}
+ */
+export const removeStoredFile = async (filePath) => {
+  try {
+    await fsPromises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Checks whether an access level is enough for a document category
+ * @param {string} level - 'full' or 'demographics' (see patientAccess)
+ * @param {string} category - Document category
+ * @returns {boolean}
+ */
+export const canAccessDocumentCategory = (level, category) => level === 'full' || NON_CLINICAL_CATEGORIES.includes(category);
+
+export default {
+  DOCUMENT_CATEGORIES,
+  getDocumentDir,
+  getMaxDocumentSize,
+  createDocumentUpload,
+  matchesFileSignature,
+  hashFile,
+  getStoredFilePath,
+  removeStoredFile,
+  canAccessDocumentCategory
+};
@@ -0,0 +1,110 @@
+/**
+ * Account Emails
+ *
+ * Builds the transactional emails sent to users and hands them to the
+ * mail service. Links point at the frontend, which calls the API with
+ * the token from the URL.
+ */
+
+import { sendMail } from './mailer.js';
+
+/**
+ * Builds a frontend URL carrying a token
+ * @param {string} pathname - Frontend route
+ * @param {string} token - Raw token
+ * @returns {string} - Absolute URL
+ */
+const buildFrontendLink = (pathname, token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}${pathname}?token=${token}`;
+};
+
+/**
+ * Sends the password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Raw reset token
+ * @returns {Promise<Object>} - Transport result
+ */
+export const sendPasswordResetEmail = (user, token) => {
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your QRHealth password',
+    text: `Hello ${user.firstName},\n\n` +
+      `We received a request to reset your QRHealth password. ` +
+      `Use the link below within ${expiresInMinutes} minutes to choose a new one:\n\n` +
+      `${buildFrontendLink('/reset-password', token)}\n\n` +
+      `If you did not request this, you can ignore this email.`
+  });
+};
+
+/**
+ * Sends the email address verification link
+ * @param {Object} user - User document
+ * @param {string} token - Raw verification token
+ * @returns {Promise<Object>} - Transport result
+ */
+export const sendVerificationEmail = (user, token) => {
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 48;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your QRHealth email address',
+    text: `Hello ${user.firstName},\n\n` +
+      `Please confirm your email address by opening the link below within ${expiresInHours} hours:\n\n` +
+      `${buildFrontendLink('/verify-email', token)}\n\n` +
+      `If you did not create a QRHealth account, you can ignore this email.`
+  });
+};
+
+/**
+ * Sends the code a patient uses to link their record to a portal account
+ * @param {Object} patient - Patient document
+ * @param {string} code - Raw link code
+ * @returns {Promise<Object>} - Transport result
+ */
+export const sendPatientLinkCodeEmail = (patient, code) => {
+  const expiresInHours = parseInt(process.env.PATIENT_LINK_CODE_EXPIRE_HOURS) || 72;
+
+  return sendMail({
+    to: patient.email,
+    subject: 'Link your QRHealth patient record',
+    text: `Hello ${patient.firstName},\n\n` +
+      `Sign in to the QRHealth patient portal and enter the code below together with your date of birth ` +
+      `within ${expiresInHours} hours to link your patient record to your account:\n\n` +
+      `${code}\n\n` +
+      `If you did not ask for this, please contact the clinic reception.`
+  });
+};
+
+/**
+ * Sends an appointment reminder
+ * @param {Object} patient - Patient document
+ * @param {Object} appointment - Appointment document (doctorId populated)
+ * @returns {Promise<Object>} - Transport result
+ */
+export const sendAppointmentReminderEmail = (patient, appointment) => {
+  const date = appointment.appointmentDateTime.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  const doctor = appointment.doctorId?.lastName ? ` with Dr. ${appointment.doctorId.lastName}` : '';
+
+  return sendMail({
+    to: patient.email,
+    subject: 'Your QRHealth appointment reminder',
+    text: `Hello ${patient.firstName},\n\n` +
+      `This is a reminder of your appointment${doctor} on ${date} at ${appointment.startTime}.\n\n` +
+      `Please bring your QR code to check in. If you cannot make it, please contact the clinic reception.`
+  });
+};
+
+export default {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendPatientLinkCodeEmail,
+  sendAppointmentReminderEmail
+};
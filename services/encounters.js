@@ -0,0 +1,119 @@
+/**
+ * Encounter Service
+ *
+ * Every check-in opens an Encounter that keeps the chief complaint and
+ * symptom analysis of that visit, follows the queue entry through its
+ * statuses and finally holds the outcome. A patient's `lastVisit` and
+ * `totalVisits` are derived from their encounters.
+ */
+
+import Encounter from '../models/Encounter.js';
+import Patient from '../models/Patient.js';
+
+// Encounters that never turned into a visit
+const NON_VISIT_STATUSES = ['cancelled', 'no-show'];
+
+// Fields hidden from users without clinical access to the patient
+const CLINICAL_ENCOUNTER_FIELDS = ['chiefComplaint', 'symptomAnalysis', 'prescriptions'];
+const CLINICAL_OUTCOME_FIELDS = ['diagnosis', 'notes'];
+
+/**
+ * Recalculates a patient's lastVisit and totalVisits from their encounters
+ * @param {string} patientId - Patient's ID
+ * @returns {Promise<Object>} - { lastVisit, totalVisits }
+ */
+export const refreshVisitStats = async (patientId) => {
+  const filter = { patientId, status: { $nin: NON_VISIT_STATUSES } };
+
+  const [totalVisits, latest] = await Promise.all([
+    Encounter.countDocuments(filter),
+    Encounter.findOne(filter).sort({ checkedInAt: -1 }).select('checkedInAt')
+  ]);
+
+  const stats = { lastVisit: latest?.checkedInAt || null, totalVisits };
+  await Patient.updateOne({ _id: patientId }, stats);
+
+  return stats;
+};
+
+/**
+ * Opens the encounter for a new queue entry
+ * @param {Object} queueEntry - Queue document
+ * @param {Object} details - { chiefComplaint, analysis, appointmentId }
+ * @returns {Promise<Object>} - Encounter document
+ */
+export const openEncounter = async (queueEntry, { chiefComplaint, analysis, appointmentId } = {}) => {
+  const encounter = await Encounter.create({
+    patientId: queueEntry.patientId,
+    queueId: queueEntry._id,
+    appointmentId,
+    chiefComplaint: chiefComplaint || queueEntry.symptoms,
+    symptomAnalysis: analysis && {
+      specializations: analysis.specializations,
+      priority: analysis.priority,
+      matchedSymptoms: analysis.matchedSymptoms,
+      confidence: analysis.confidence
+    },
+    visitType: queueEntry.visitType,
+    assignedDoctor: queueEntry.assignedDoctor,
+    checkedInBy: queueEntry.checkedInBy,
+    checkedInByDevice: queueEntry.checkedInByDevice,
+    checkedInAt: queueEntry.checkedInAt,
+    status: queueEntry.status
+  });
+
+  await refreshVisitStats(encounter.patientId);
+
+  return encounter;
+};
+
+/**
+ * Copies status, timings and doctor from a queue entry onto its encounter
+ * @param {Object} queueEntry - Queue document
+ * @returns {Promise<Object|null>} - Updated encounter, or null for entries without one
+ */
+export const syncEncounterWithQueue = async (queueEntry) => {
+  const encounter = queueEntry.encounterId
+    ? await Encounter.findById(queueEntry.encounterId._id || queueEntry.encounterId)
+    : await Encounter.findOne({ queueId: queueEntry._id });
+  if (!encounter) return null;
+
+  const statusChanged = encounter.status !== queueEntry.status;
+
+  encounter.status = queueEntry.status;
+  encounter.assignedDoctor = queueEntry.assignedDoctor?._id || queueEntry.assignedDoctor;
+  ['calledAt', 'startedAt', 'completedAt'].forEach(field => {
+    if (queueEntry[field]) encounter[field] = queueEntry[field];
+  });
+  await encounter.save();
+
+  if (statusChanged) {
+    await refreshVisitStats(encounter.patientId);
+  }
+
+  return encounter;
+};
+
+/**
+ * Builds the response body for an encounter at the given access level
+ * @param {Object} encounter - Encounter document
+ * @param {string} level - 'full' or 'demographics' (see patientAccess)
+ * @returns {Object} - Serialized encounter
+ */
+export const toEncounterView = (encounter, level) => {
+  const data = encounter.toJSON();
+  if (level !== 'full') {
+    CLINICAL_ENCOUNTER_FIELDS.forEach(field => delete data[field]);
+    if (data.outcome) {
+      CLINICAL_OUTCOME_FIELDS.forEach(field => delete data.outcome[field]);
+    }
+  }
+  return data;
+};
+
+export default {
+  refreshVisitStats,
+  openEncounter,
+  syncEncounterWithQueue,
+  toEncounterView
+};
@@ -0,0 +1,569 @@
+/**
+ * FHIR R4 Mapping Service
+ *
+ * Converts patients, appointments and encounters to FHIR R4 `Patient`,
+ * `Appointment` and `Encounter` resources and back, so partner systems can
+ * exchange records with us instead of re-typing them. Our own IDs are
+ * exported as identifiers under the IDENTIFIER_SYSTEMS below; identifiers
+ * from other systems are kept on the imported records so they can be
+ * searched for.
+ */
+
+export const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+// Identifier systems of our own record IDs
+export const IDENTIFIER_SYSTEMS = {
+  Patient: 'urn:qrhealth:patient',
+  Appointment: 'urn:qrhealth:appointment',
+  Encounter: 'urn:qrhealth:encounter'
+};
+
+// Code systems for values without a standard FHIR code
+const CODE_SYSTEMS = {
+  appointmentType: 'urn:qrhealth:appointment-type',
+  visitType: 'urn:qrhealth:visit-type',
+  disposition: 'urn:qrhealth:disposition'
+};
+
+const ACT_CODE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+const ACT_PRIORITY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActPriority';
+
+const GENDERS = {
+  male: 'male',
+  female: 'female',
+  other: 'other',
+  'prefer-not-to-say': 'unknown'
+};
+
+const APPOINTMENT_STATUSES = {
+  scheduled: 'pending',
+  confirmed: 'booked',
+  'in-progress': 'arrived',
+  completed: 'fulfilled',
+  cancelled: 'cancelled',
+  'no-show': 'noshow'
+};
+
+// Incoming statuses without an exact counterpart
+const APPOINTMENT_STATUSES_IN = {
+  proposed: 'scheduled',
+  waitlist: 'scheduled',
+  'checked-in': 'in-progress',
+  'entered-in-error': 'cancelled'
+};
+
+// FHIR Encounter has no no-show status
+const ENCOUNTER_STATUSES = {
+  waiting: 'arrived',
+  'in-progress': 'in-progress',
+  completed: 'finished',
+  cancelled: 'cancelled',
+  'no-show': 'cancelled'
+};
+
+// Only past visits can be imported, current ones start with a check-in
+const IMPORTABLE_ENCOUNTER_STATUSES = {
+  finished: 'completed',
+  cancelled: 'cancelled'
+};
+
+// Appointment.priority is an unsigned int, 1 being the most urgent
+const APPOINTMENT_PRIORITIES = {
+  emergency: 1,
+  high: 3,
+  medium: 5,
+  low: 7
+};
+
+const ENCOUNTER_PRIORITIES = {
+  emergency: 'EM',
+  high: 'UR',
+  medium: 'R',
+  low: 'R'
+};
+
+const APPOINTMENT_TYPES = ['consultation', 'follow-up', 'emergency', 'routine-checkup', 'specialist'];
+const VISIT_TYPES = ['walk-in', 'appointment', 'emergency', 'follow-up'];
+const DISPOSITIONS = ['discharged', 'follow-up', 'referred', 'admitted', 'left-without-being-seen'];
+
+const invert = (map) => Object.fromEntries(Object.entries(map).map(([key, value]) => [value, key]));
+
+const refId = (value) => value?._id || value;
+
+// Drops undefined values, empty arrays and empty objects (not allowed in FHIR JSON)
+const compact = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value)
+      .map(([key, entry]) => [key, compact(entry)])
+      .filter(([, entry]) => entry !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+};
+
+const toInstant = (date) => date ? new Date(date).toISOString() : undefined;
+
+const toFhirDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : undefined;
+
+const toHoursMinutes = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const codeOf = (concept, system) => {
+  const coding = (concept?.coding || []).find(entry => !system || entry.system === system);
+  return coding?.code;
+};
+
+const textOf = (concept) => concept?.text || concept?.coding?.[0]?.display || concept?.coding?.[0]?.code;
+
+const meta = (doc) => ({ lastUpdated: toInstant(doc.updatedAt) });
+
+const identifiersOf = (type, doc) => [
+  { use: 'official', system: IDENTIFIER_SYSTEMS[type], value: doc._id.toString() },
+  ...(doc.identifiers || []).map(({ system, value }) => ({ system, value }))
+];
+
+/**
+ * Reads the identifiers of an incoming resource, leaving out our own IDs
+ * @param {string} type - Resource type
+ * @param {Object} resource - FHIR resource
+ * @returns {Object[]} - [{ system, value }]
+ */
+const importIdentifiers = (type, resource) => (resource.identifier || [])
+  .filter(identifier => identifier?.system && identifier?.value && identifier.system !== IDENTIFIER_SYSTEMS[type])
+  .map(({ system, value }) => ({ system: String(system), value: String(value) }));
+
+/**
+ * Builds an OperationOutcome resource
+ * @param {Object[]} issues - [{ severity, code, diagnostics, expression }]
+ * @returns {Object} - FHIR OperationOutcome
+ */
+export const operationOutcome = (issues) => ({
+  resourceType: 'OperationOutcome',
+  issue: issues.map(({ severity = 'error', code = 'invalid', diagnostics, expression }) => compact({
+    severity,
+    code,
+    diagnostics,
+    expression: expression && [expression]
+  }))
+});
+
+/**
+ * Parses a token search parameter (`system|value` or `value`)
+ * @param {string} param - Query parameter value
+ * @returns {Object|null} - { system, value }
+ */
+export const parseIdentifierParam = (param) => {
+  if (typeof param !== 'string' || !param) return null;
+
+  const separator = param.indexOf('|');
+  if (separator === -1) return { value: param };
+
+  const value = param.slice(separator + 1);
+  return value ? { system: param.slice(0, separator) || undefined, value } : null;
+};
+
+/**
+ * Builds the query matching records by identifier
+ * @param {string} type - Resource type
+ * @param {Object} identifier - { system, value }
+ * @returns {Object|null} - Mongo filter, or null when nothing can match
+ */
+export const identifierFilter = (type, { system, value }) => {
+  const isOwnId = /^[a-f\d]{24}$/i.test(value);
+
+  if (system === IDENTIFIER_SYSTEMS[type]) {
+    return isOwnId ? { _id: value } : null;
+  }
+  if (system) {
+    return { identifiers: { $elemMatch: { system, value } } };
+  }
+  return isOwnId
+    ? { $or: [{ _id: value }, { 'identifiers.value': value }] }
+    : { 'identifiers.value': value };
+};
+
+/**
+ * Reads the ID out of a literal reference (`Patient/<id>`)
+ * @param {Object} reference - FHIR Reference
+ * @param {string} type - Expected resource type
+ * @returns {string|null} - Record ID, or null for other references
+ */
+export const parseReference = (reference, type) => {
+  const match = /^(?:.*\/)?([A-Za-z]+)\/([a-f\d]{24})$/i.exec(reference?.reference || '');
+  return match && match[1] === type ? match[2] : null;
+};
+
+/**
+ * Finds the participant reference of a resource type in an Appointment/Encounter
+ * @param {Object[]} participants - participant array
+ * @param {string} field - 'actor' (Appointment) or 'individual' (Encounter)
+ * @param {string} type - Resource type
+ * @returns {Object|undefined} - FHIR Reference
+ */
+export const findParticipant = (participants, field, type) => (participants || [])
+  .map(participant => participant?.[field])
+  .find(reference => reference?.reference?.includes(`${type}/`) || reference?.type === type);
+
+/**
+ * Maps a patient to a FHIR Patient
+ * @param {Object} patient - Patient document
+ * @returns {Object} - FHIR Patient
+ */
+export const toFhirPatient = (patient) => compact({
+  resourceType: 'Patient',
+  id: patient._id.toString(),
+  meta: meta(patient),
+  identifier: identifiersOf('Patient', patient),
+  active: patient.status === 'active',
+  name: [{ use: 'official', family: patient.lastName, given: [patient.firstName] }],
+  telecom: [
+    patient.phone && { system: 'phone', value: patient.phone, use: 'mobile' },
+    patient.email && { system: 'email', value: patient.email }
+  ],
+  gender: GENDERS[patient.gender],
+  birthDate: toFhirDate(patient.dateOfBirth),
+  deceasedBoolean: patient.status === 'deceased' ? true : undefined,
+  address: [patient.address && {
+    line: [patient.address.street],
+    city: patient.address.city,
+    state: patient.address.state,
+    postalCode: patient.address.zipCode,
+    country: patient.address.country
+  }],
+  contact: [patient.emergencyContact && {
+    relationship: [{ text: patient.emergencyContact.relationship }],
+    name: { text: patient.emergencyContact.name },
+    telecom: [patient.emergencyContact.phone && { system: 'phone', value: patient.emergencyContact.phone }]
+  }],
+  link: [patient.mergedInto && {
+    other: { reference: `Patient/${refId(patient.mergedInto)}` },
+    type: 'replaced-by'
+  }]
+});
+
+/**
+ * Maps a FHIR Patient to patient fields
+ * @param {Object} resource - FHIR Patient (structure already validated)
+ * @returns {Object} - { values, issues }
+ */
+export const fromFhirPatient = (resource) => {
+  const issues = [];
+
+  const name = resource.name.find(entry => entry?.use === 'official') || resource.name[0];
+  const firstName = (name?.given || []).join(' ').trim();
+  const lastName = (name?.family || '').trim();
+  if (!firstName || !lastName) {
+    issues.push({ diagnostics: 'A name with given and family parts is required', expression: 'Patient.name' });
+  }
+
+  const telecom = resource.telecom || [];
+  const phone = telecom.find(entry => entry?.system === 'phone' && entry.value)?.value?.replace(/[\s().-]/g, '');
+  if (!phone) {
+    issues.push({ diagnostics: 'A phone number is required (telecom with system "phone")', expression: 'Patient.telecom' });
+  }
+  const email = telecom.find(entry => entry?.system === 'email' && entry.value)?.value;
+
+  const address = resource.address?.[0];
+  const contact = resource.contact?.[0];
+  const contactName = contact?.name && (contact.name.text || [...(contact.name.given || []), contact.name.family].filter(Boolean).join(' '));
+
+  let status = 'active';
+  if (resource.deceasedBoolean === true || resource.deceasedDateTime) status = 'deceased';
+  else if (resource.active === false) status = 'inactive';
+
+  return {
+    values: {
+      firstName,
+      lastName,
+      dateOfBirth: new Date(resource.birthDate),
+      gender: invert(GENDERS)[resource.gender],
+      phone,
+      email: email ? email.trim().toLowerCase() : undefined,
+      address: address ? {
+        street: (address.line || []).join(', ') || undefined,
+        city: address.city,
+        state: address.state,
+        zipCode: address.postalCode,
+        country: address.country
+      } : undefined,
+      emergencyContact: contact ? {
+        name: contactName || undefined,
+        relationship: textOf(contact.relationship?.[0]),
+        phone: (contact.telecom || []).find(entry => entry?.system === 'phone')?.value
+      } : undefined,
+      status,
+      identifiers: importIdentifiers('Patient', resource)
+    },
+    issues
+  };
+};
+
+/**
+ * Maps an appointment to a FHIR Appointment
+ * @param {Object} appointment - Appointment document (patient/doctor may be populated)
+ * @param {string} level - 'full' or 'demographics' (see patientAccess); reason and notes need 'full'
+ * @returns {Object} - FHIR Appointment
+ */
+export const toFhirAppointment = (appointment, level) => {
+  const clinical = level === 'full';
+  const end = new Date(appointment.appointmentDate);
+  const [hours, minutes] = appointment.endTime.split(':');
+  end.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+
+  const patient = appointment.patientId;
+  const doctor = appointment.doctorId;
+
+  return compact({
+    resourceType: 'Appointment',
+    id: appointment._id.toString(),
+    meta: meta(appointment),
+    identifier: identifiersOf('Appointment', appointment),
+    status: APPOINTMENT_STATUSES[appointment.status],
+    cancelationReason: appointment.cancellationReason && { text: appointment.cancellationReason },
+    appointmentType: {
+      coding: [{ system: CODE_SYSTEMS.appointmentType, code: appointment.type }],
+      text: appointment.type
+    },
+    priority: APPOINTMENT_PRIORITIES[appointment.priority],
+    description: clinical ? appointment.reason : undefined,
+    start: toInstant(appointment.appointmentDateTime),
+    end: toInstant(end),
+    minutesDuration: appointment.duration > 0 ? appointment.duration : undefined,
+    created: toInstant(appointment.createdAt),
+    comment: clinical ? appointment.notes : undefined,
+    participant: [
+      {
+        actor: { reference: `Patient/${refId(patient)}`, display: patient?.firstName ? `${patient.firstName} ${patient.lastName}` : undefined },
+        status: 'accepted'
+      },
+      {
+        actor: { reference: `Practitioner/${refId(doctor)}`, display: doctor?.firstName ? `${doctor.firstName} ${doctor.lastName}` : undefined },
+        status: 'accepted'
+      }
+    ]
+  });
+};
+
+/**
+ * Maps a FHIR Appointment to appointment fields (references are resolved by the caller)
+ * @param {Object} resource - FHIR Appointment (structure already validated)
+ * @returns {Object} - { values, issues }
+ */
+export const fromFhirAppointment = (resource) => {
+  const issues = [];
+
+  const start = new Date(resource.start);
+  const end = new Date(resource.end);
+  if (end <= start || start.toDateString() !== end.toDateString()) {
+    issues.push({ diagnostics: 'end must be after start, on the same day', expression: 'Appointment.end' });
+  }
+
+  const reason = (resource.description || textOf(resource.reasonCode?.[0]) || '').trim();
+  if (reason.length < 10 || reason.length > 500) {
+    issues.push({ diagnostics: 'A description (or reasonCode text) of 10 to 500 characters is required', expression: 'Appointment.description' });
+  }
+
+  const type = codeOf(resource.appointmentType, CODE_SYSTEMS.appointmentType) || textOf(resource.appointmentType);
+
+  let priority = 'medium';
+  if (resource.priority > 0) {
+    if (resource.priority <= 2) priority = 'emergency';
+    else if (resource.priority <= 4) priority = 'high';
+    else if (resource.priority >= 7) priority = 'low';
+  }
+
+  const appointmentDate = new Date(start);
+  appointmentDate.setHours(0, 0, 0, 0);
+
+  return {
+    values: {
+      appointmentDate,
+      startTime: toHoursMinutes(start),
+      endTime: toHoursMinutes(end),
+      type: APPOINTMENT_TYPES.includes(type) ? type : 'consultation',
+      status: invert(APPOINTMENT_STATUSES)[resource.status] || APPOINTMENT_STATUSES_IN[resource.status],
+      priority,
+      reason,
+      notes: resource.comment,
+      cancellationReason: textOf(resource.cancelationReason),
+      identifiers: importIdentifiers('Appointment', resource)
+    },
+    patientReference: findParticipant(resource.participant, 'actor', 'Patient'),
+    practitionerReference: findParticipant(resource.participant, 'actor', 'Practitioner'),
+    issues
+  };
+};
+
+/**
+ * Maps an encounter to a FHIR Encounter
+ * @param {Object} encounter - Encounter document
+ * @param {string} level - 'full' or 'demographics' (see patientAccess); complaint and diagnosis need 'full'
+ * @returns {Object} - FHIR Encounter
+ */
+export const toFhirEncounter = (encounter, level) => {
+  const clinical = level === 'full';
+  const diagnosis = clinical ? encounter.outcome?.diagnosis : undefined;
+  const patientId = refId(encounter.patientId);
+
+  return compact({
+    resourceType: 'Encounter',
+    id: encounter._id.toString(),
+    meta: meta(encounter),
+    contained: [diagnosis && {
+      resourceType: 'Condition',
+      id: 'diagnosis',
+      code: { text: diagnosis },
+      subject: { reference: `Patient/${patientId}` }
+    }],
+    identifier: identifiersOf('Encounter', encounter),
+    status: ENCOUNTER_STATUSES[encounter.status],
+    class: encounter.visitType === 'emergency'
+      ? { system: ACT_CODE_SYSTEM, code: 'EMER', display: 'emergency' }
+      : { system: ACT_CODE_SYSTEM, code: 'AMB', display: 'ambulatory' },
+    type: [{
+      coding: [{ system: CODE_SYSTEMS.visitType, code: encounter.visitType }],
+      text: encounter.visitType
+    }],
+    priority: clinical && encounter.symptomAnalysis?.priority ? {
+      coding: [{ system: ACT_PRIORITY_SYSTEM, code: ENCOUNTER_PRIORITIES[encounter.symptomAnalysis.priority] }],
+      text: encounter.symptomAnalysis.priority
+    } : undefined,
+    subject: { reference: `Patient/${patientId}` },
+    participant: [encounter.assignedDoctor && {
+      individual: { reference: `Practitioner/${refId(encounter.assignedDoctor)}` }
+    }],
+    appointment: [encounter.appointmentId && { reference: `Appointment/${refId(encounter.appointmentId)}` }],
+    period: {
+      start: toInstant(encounter.checkedInAt),
+      end: toInstant(encounter.completedAt)
+    },
+    length: encounter.durationMinutes !== null && encounter.durationMinutes !== undefined
+      ? { value: encounter.durationMinutes, unit: 'min', system: 'http://unitsofmeasure.org', code: 'min' }
+      : undefined,
+    reasonCode: clinical ? [{ text: encounter.chiefComplaint }] : undefined,
+    diagnosis: [diagnosis && { condition: { reference: '#diagnosis' } }],
+    hospitalization: encounter.outcome?.disposition && {
+      dischargeDisposition: {
+        coding: [{ system: CODE_SYSTEMS.disposition, code: encounter.outcome.disposition }],
+        text: encounter.outcome.disposition
+      }
+    }
+  });
+};
+
+/**
+ * Maps a FHIR Encounter to encounter fields (references are resolved by the caller)
+ * @param {Object} resource - FHIR Encounter (structure already validated)
+ * @returns {Object} - { values, issues }
+ */
+export const fromFhirEncounter = (resource) => {
+  const issues = [];
+
+  const status = IMPORTABLE_ENCOUNTER_STATUSES[resource.status];
+  if (!status) {
+    issues.push({
+      code: 'business-rule',
+      diagnostics: 'Only finished or cancelled encounters can be imported, current visits start with a check-in',
+      expression: 'Encounter.status'
+    });
+  }
+
+  const start = new Date(resource.period.start);
+  const end = resource.period.end ? new Date(resource.period.end) : undefined;
+  if (end && end < start) {
+    issues.push({ diagnostics: 'period.end must not be before period.start', expression: 'Encounter.period' });
+  }
+
+  const chiefComplaint = (textOf(resource.reasonCode?.[0]) || '').trim();
+  if (!chiefComplaint) {
+    issues.push({ diagnostics: 'A reasonCode with text is required (chief complaint)', expression: 'Encounter.reasonCode' });
+  }
+
+  const typeCode = (resource.type || []).map(type => codeOf(type, CODE_SYSTEMS.visitType)).find(Boolean);
+  let visitType = VISIT_TYPES.includes(typeCode) ? typeCode : 'walk-in';
+  if (resource.class?.code === 'EMER') visitType = 'emergency';
+
+  // The diagnosis travels as a contained Condition
+  const conditionId = resource.diagnosis?.[0]?.condition?.reference?.replace(/^#/, '');
+  const condition = (resource.contained || []).find(entry => entry?.resourceType === 'Condition' && entry.id === conditionId);
+
+  const dispositionConcept = resource.hospitalization?.dischargeDisposition;
+  const disposition = codeOf(dispositionConcept, CODE_SYSTEMS.disposition) || textOf(dispositionConcept);
+
+  return {
+    values: {
+      status,
+      visitType,
+      chiefComplaint,
+      checkedInAt: start,
+      completedAt: status === 'completed' ? end : undefined,
+      outcome: {
+        disposition: DISPOSITIONS.includes(disposition) ? disposition : undefined,
+        diagnosis: textOf(condition?.code)
+      },
+      identifiers: importIdentifiers('Encounter', resource)
+    },
+    patientReference: resource.subject,
+    practitionerReference: findParticipant(resource.participant, 'individual', 'Practitioner'),
+    appointmentReference: resource.appointment?.[0],
+    issues
+  };
+};
+
+/**
+ * Merges incoming identifiers into a record's identifiers
+ * @param {Object[]} current - Existing identifiers
+ * @param {Object[]} incoming - Imported identifiers
+ * @returns {Object[]} - Combined list without duplicates
+ */
+export const mergeIdentifiers = (current = [], incoming = []) => {
+  const merged = current.map(({ system, value }) => ({ system, value }));
+  incoming.forEach(identifier => {
+    if (!merged.some(entry => entry.system === identifier.system && entry.value === identifier.value)) {
+      merged.push(identifier);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Wraps resources in a Bundle
+ * @param {string} type - 'searchset' or 'collection'
+ * @param {string} baseUrl - FHIR base URL, used for the entries' fullUrl
+ * @param {Object[]} resources - FHIR resources
+ * @param {string} selfUrl - URL of the request (searchsets)
+ * @returns {Object} - FHIR Bundle
+ */
+export const toBundle = (type, baseUrl, resources, selfUrl) => compact({
+  resourceType: 'Bundle',
+  type,
+  timestamp: new Date().toISOString(),
+  total: type === 'searchset' ? resources.length : undefined,
+  link: [selfUrl && { relation: 'self', url: selfUrl }],
+  entry: resources.map(resource => ({
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: type === 'searchset' ? { mode: 'match' } : undefined
+  }))
+});
+
+export default {
+  FHIR_CONTENT_TYPE,
+  IDENTIFIER_SYSTEMS,
+  operationOutcome,
+  parseIdentifierParam,
+  identifierFilter,
+  parseReference,
+  findParticipant,
+  toFhirPatient,
+  fromFhirPatient,
+  toFhirAppointment,
+  fromFhirAppointment,
+  toFhirEncounter,
+  fromFhirEncounter,
+  mergeIdentifiers,
+  toBundle
+};
@@ -0,0 +1,249 @@
+/**
+ * Field-Level Encryption
+ *
+ * Encrypts sensitive schema paths (AES-256-GCM) before they are written to
+ * MongoDB and decrypts them when documents are loaded, so routes keep
+ * working with plaintext. Stored values carry the ID of the key that
+ * encrypted them (`enc:v1:<keyId>:<iv>:<tag>:<data>`): old keys stay
+ * configured for reading while new writes use the active key, and
+ * `scripts/rotate-encryption-keys.js` re-encrypts records with the active key.
+ *
+ * Encrypted values cannot be queried, so exact-match lookups use blind
+ * indexes: an HMAC of the normalized value stored next to the ciphertext.
+ *
+ * Keys are configured with FIELD_ENCRYPTION_KEYS ("id:base64key,..." with
+ * 32-byte keys), FIELD_ENCRYPTION_KEY_ID (active key, defaults to the first)
+ * and FIELD_ENCRYPTION_INDEX_KEY (blind index key).
+ */
+
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Used outside production when no keys are configured
+const DEVELOPMENT_SECRET = 'qrhealth-development-field-encryption';
+
+let cachedConfig = null;
+
+const deriveDevelopmentKey = (purpose) => crypto.createHash('sha256').update(`${DEVELOPMENT_SECRET}:${purpose}`).digest();
+
+const parseKey = (encoded, name) => {
+  const key = Buffer.from(encoded.trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a base64 encoded 32-byte key`);
+  }
+  return key;
+};
+
+/**
+ * Reads the key configuration from the environment (once)
+ * @returns {Object} - { keys: Map<keyId, Buffer>, activeKeyId, indexKey }
+ */
+export const getEncryptionConfig = () => {
+  if (cachedConfig) return cachedConfig;
+
+  const keys = new Map();
+  (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').filter(entry => entry.trim()).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator).trim();
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like "keyId:base64key"');
+    }
+    keys.set(keyId, parseKey(entry.slice(separator + 1), `Encryption key "${keyId}"`));
+  });
+
+  let indexKey = process.env.FIELD_ENCRYPTION_INDEX_KEY
+    ? parseKey(process.env.FIELD_ENCRYPTION_INDEX_KEY, 'FIELD_ENCRYPTION_INDEX_KEY')
+    : null;
+
+  if (keys.size === 0 || !indexKey) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('FIELD_ENCRYPTION_KEYS and FIELD_ENCRYPTION_INDEX_KEY must be configured in production');
+    }
+    console.warn('Field encryption keys are not configured, using the development keys');
+    if (keys.size === 0) keys.set('dev', deriveDevelopmentKey('encryption'));
+    if (!indexKey) indexKey = deriveDevelopmentKey('index');
+  }
+
+  const activeKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_ID "${activeKeyId}" is not one of FIELD_ENCRYPTION_KEYS`);
+  }
+
+  cachedConfig = { keys, activeKeyId, indexKey };
+  return cachedConfig;
+};
+
+/**
+ * Checks whether a stored value is encrypted
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Gets the ID of the key an encrypted value was written with
+ * @param {string} value - Encrypted value
+ * @returns {string|null} - Key ID, or null for plaintext
+ */
+export const getValueKeyId = (value) => isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+
+/**
+ * Encrypts a value with the active key
+ * @param {*} value - Plaintext (converted to a string)
+ * @returns {*} - Encrypted string; empty and already encrypted values are returned as is
+ */
+export const encryptValue = (value) => {
+  if (value === undefined || value === null || value === '' || isEncrypted(value)) return value;
+
+  const { keys, activeKeyId } = getEncryptionConfig();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return `${PREFIX}${activeKeyId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${data.toString('base64')}`;
+};
+
+/**
+ * Decrypts a stored value
+ * @param {*} value - Stored value
+ * @returns {*} - Plaintext; values that are not encrypted (written before encryption) are returned as is
+ */
+export const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, tag, data] = value.slice(PREFIX.length).split(':');
+  const key = getEncryptionConfig().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Field encryption key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Computes the blind index of a (normalized) value for exact-match queries
+ * @param {string} value - Normalized value
+ * @returns {string|undefined} - Hex HMAC, or undefined when empty
+ */
+export const blindIndex = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return crypto.createHmac('sha256', getEncryptionConfig().indexKey).update(String(value)).digest('hex');
+};
+
+/**
+ * Applies a transform to every value at a dotted path, through arrays
+ * (works on raw objects and on Mongoose documents)
+ */
+const transformPath = (target, segments, transform) => {
+  if (target === undefined || target === null) return;
+  if (Array.isArray(target)) {
+    target.forEach(item => transformPath(item, segments, transform));
+    return;
+  }
+
+  const [key, ...rest] = segments;
+  if (rest.length > 0) {
+    transformPath(target[key], rest, transform);
+    return;
+  }
+
+  const value = target[key];
+  if (value !== undefined && value !== null) {
+    const next = transform(value, target, key);
+    if (next !== value) target[key] = next;
+  }
+};
+
+/**
+ * Mongoose plugin encrypting the given paths at rest
+ *
+ * Values are decrypted when a document is loaded and encrypted after
+ * validation when it is saved, so validators and setters see plaintext.
+ * Only query and save through documents: update queries, `lean()` and
+ * aggregations see the stored ciphertext.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { fields: ['phone', 'allergies.name', ...] }
+ */
+export const fieldEncryptionPlugin = (schema, { fields }) => {
+  const paths = fields.map(field => ({ field, root: field.split('.')[0], segments: field.split('.') }));
+
+  // Setters (trim, lowercase...) must leave ciphertext alone
+  paths.forEach(({ field }) => {
+    const schemaType = schema.path(field);
+    if (!schemaType) throw new Error(`Cannot encrypt unknown path "${field}"`);
+    schemaType.setters = schemaType.setters.map(setter => function (value, ...args) {
+      return isEncrypted(value) ? value : setter.call(this, value, ...args);
+    });
+  });
+
+  // Decrypt raw data before it is hydrated, remembering values that need re-encryption
+  schema.pre('init', function (data) {
+    const { activeKeyId } = getEncryptionConfig();
+    paths.forEach(({ segments }) => {
+      transformPath(data, segments, (value) => {
+        if (getValueKeyId(value) !== activeKeyId) this.$locals.encryptionOutdated = true;
+        return decryptValue(value);
+      });
+    });
+  });
+
+  // Encrypt changed paths (all of them for new or outdated documents) after validation
+  schema.pre('save', function (next) {
+    try {
+      const restore = [];
+      const encryptAll = this.isNew || this.$locals.encryptionOutdated;
+
+      paths.forEach(({ field, root, segments }) => {
+        if (!encryptAll && !this.isModified(root === field ? field : root)) return;
+        transformPath(this, segments, (value, target, key) => {
+          restore.push(() => { target[key] = value; });
+          return encryptValue(value);
+        });
+      });
+
+      this.$locals.restorePlaintext = restore;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Put the plaintext back on the in-memory document
+  const restorePlaintext = (doc) => {
+    const restore = doc.$locals.restorePlaintext || [];
+    delete doc.$locals.restorePlaintext;
+    restore.forEach(undo => undo());
+  };
+
+  schema.post('save', function (doc) {
+    restorePlaintext(doc);
+    doc.$locals.encryptionOutdated = false;
+    // Restoring is not a change to persist
+    doc.modifiedPaths().forEach(path => doc.unmarkModified(path));
+  });
+
+  schema.post('save', function (error, doc, next) {
+    restorePlaintext(doc);
+    next(error);
+  });
+
+  schema.methods.needsEncryptionUpdate = function () {
+    return Boolean(this.$locals.encryptionOutdated);
+  };
+};
+
+export default {
+  getEncryptionConfig,
+  isEncrypted,
+  getValueKeyId,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  fieldEncryptionPlugin
+};
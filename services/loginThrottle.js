@@ -0,0 +1,146 @@
+/**
+ * Login Throttle Service
+ *
+ * Per-account protection against credential stuffing that the per-IP
+ * rate limiter cannot catch:
+ * 1. Failed attempts are counted on the User document
+ * 2. After LOGIN_DELAY_AFTER failures every further attempt has to wait
+ *    an exponentially growing delay
+ * 3. After LOGIN_MAX_ATTEMPTS failures the account is locked for
+ *    LOGIN_LOCK_MINUTES and an `account-locked` security event is recorded
+ */
+
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Reads the throttle configuration from the environment
+ * @returns {Object} - { delayAfter, maxAttempts, lockMinutes }
+ */
+const getThrottleConfig = () => ({
+  delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 3,
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15
+});
+
+/**
+ * Checks whether a login attempt is currently allowed for a user
+ * @param {Object} user - User document
+ * @returns {Object} - { allowed, locked, retryAfterSeconds }
+ */
+export const checkLoginAllowed = (user) => {
+  const now = Date.now();
+
+  if (user.lockUntil && user.lockUntil.getTime() > now) {
+    return {
+      allowed: false,
+      locked: true,
+      retryAfterSeconds: Math.ceil((user.lockUntil.getTime() - now) / 1000)
+    };
+  }
+
+  const { delayAfter } = getThrottleConfig();
+  const attempts = user.failedLoginAttempts || 0;
+
+  if (attempts >= delayAfter && user.lastFailedLoginAt) {
+    // 1s, 2s, 4s, ... capped at MAX_DELAY_SECONDS
+    const delaySeconds = Math.min(2 ** (attempts - delayAfter), MAX_DELAY_SECONDS);
+    const nextAttemptAt = user.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+
+    if (nextAttemptAt > now) {
+      return {
+        allowed: false,
+        locked: false,
+        retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true, locked: false, retryAfterSeconds: 0 };
+};
+
+/**
+ * Records a failed login and locks the account once the limit is reached
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { attempts, locked, lockUntil }
+ */
+export const registerFailedLogin = async (user, req) => {
+  const { maxAttempts, lockMinutes } = getThrottleConfig();
+
+  // Atomic increment so parallel attempts are all counted
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < maxAttempts) {
+    return { attempts: updated.failedLoginAttempts, locked: false };
+  }
+
+  const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lockUntil, failedLoginAttempts: 0 }, $inc: { lockCount: 1 } }
+  );
+
+  await SecurityEvent.record('account-locked', {
+    req,
+    user: updated,
+    details: {
+      attempts: updated.failedLoginAttempts,
+      lockUntil,
+      lockCount: (updated.lockCount || 0) + 1
+    }
+  });
+
+  console.warn(`Account ${updated.email} locked until ${lockUntil.toISOString()} after ${updated.failedLoginAttempts} failed logins`);
+
+  return { attempts: updated.failedLoginAttempts, locked: true, lockUntil };
+};
+
+/**
+ * Clears failed login counters after a successful login
+ * @param {Object} user - User document (modified in place, caller saves)
+ */
+export const resetFailedLogins = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+};
+
+/**
+ * Unlocks an account (admin action) and records the event
+ * @param {Object} user - User document
+ * @param {Object} admin - Admin performing the unlock
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Updated user
+ */
+export const unlockAccount = async (user, admin, req) => {
+  const wasLocked = Boolean(user.lockUntil && user.lockUntil > new Date());
+
+  resetFailedLogins(user);
+  await user.save();
+
+  await SecurityEvent.record('account-unlocked', {
+    req,
+    user,
+    actor: admin,
+    details: { wasLocked }
+  });
+
+  return user;
+};
+
+export default {
+  checkLoginAllowed,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockAccount
+};
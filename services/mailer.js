@@ -0,0 +1,115 @@
+/**
+ * Mail Service
+ *
+ * Small pluggable mail abstraction. A transport is any object with an
+ * async `send(message)` method; the active one is picked with the
+ * MAIL_TRANSPORT environment variable or replaced at runtime with
+ * `setMailTransport` (e.g. an SMTP/API transport in production or a
+ * capturing transport in tests).
+ *
+ * Built-in drivers:
+ * - console: prints the message to stdout
+ * - file:    writes each message as JSON into MAIL_OUTBOX_DIR
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Console driver - logs messages, useful for local development
+ */
+export const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    const id = crypto.randomUUID();
+    console.log(`📧 Mail ${id} to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id };
+  }
+};
+
+/**
+ * File outbox driver - stores messages as JSON files so they can be inspected
+ * @param {string} outboxDir - Directory to write messages into
+ * @returns {Object} - Transport
+ */
+export const createFileTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || 'outbox') => ({
+  name: 'file',
+  async send(message) {
+    const id = crypto.randomUUID();
+    await fs.mkdir(outboxDir, { recursive: true });
+    await fs.writeFile(
+      path.join(outboxDir, `${Date.now()}-${id}.json`),
+      JSON.stringify({ id, ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  }
+});
+
+const transports = {
+  console: () => consoleTransport,
+  file: () => createFileTransport()
+};
+
+let activeTransport = null;
+
+/**
+ * Registers a named transport factory selectable via MAIL_TRANSPORT
+ * @param {string} name - Driver name
+ * @param {Function} factory - Function returning a transport
+ */
+export const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+/**
+ * Replaces the active transport (pass null to fall back to MAIL_TRANSPORT)
+ * @param {Object|null} transport - Transport with an async send(message) method
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Gets the active transport
+ * @returns {Object} - Transport
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Sends an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result ({ id })
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || !text) {
+    throw new Error('Mail requires to, subject and text');
+  }
+
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'QRHealth <no-reply@qrhealth.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+export default {
+  sendMail,
+  setMailTransport,
+  getMailTransport,
+  registerMailTransport,
+  consoleTransport,
+  createFileTransport
+};
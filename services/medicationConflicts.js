@@ -0,0 +1,183 @@
+/**
+ * Medication Conflict Service
+ *
+ * Checks a medication against the patient's active allergies and active
+ * medications using the bundled rules table (data/medication-conflicts.json):
+ * allergy-vs-drug rules (including class cross-reactivity), drug-drug
+ * interactions and duplicate therapy. Warnings never block a change; they
+ * are returned so the prescriber can decide.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RULES_FILE = path.join(__dirname, '..', 'data', 'medication-conflicts.json');
+
+// Most serious first
+export const CONFLICT_SEVERITIES = ['contraindicated', 'major', 'moderate'];
+
+let conflictRules = null;
+
+/**
+ * Lower-cases a drug or allergy name and turns punctuation into spaces
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeDrugName = (name) => (typeof name === 'string' ? name : '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Loads the bundled rules table (once)
+ * @returns {Object} - { drugClasses, allergyRules, interactions }
+ */
+const getConflictRules = () => {
+  if (!conflictRules) {
+    const raw = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+    conflictRules = {
+      drugClasses: Object.fromEntries(Object.entries(raw.drugClasses)
+        .map(([drugClass, members]) => [normalizeDrugName(drugClass), members.map(normalizeDrugName)])),
+      allergyRules: raw.allergyRules.map(rule => ({
+        ...rule,
+        allergy: normalizeDrugName(rule.allergy),
+        conflictsWith: normalizeDrugName(rule.conflictsWith)
+      })),
+      interactions: raw.interactions.map(rule => ({
+        ...rule,
+        drugs: rule.drugs.map(normalizeDrugName)
+      }))
+    };
+  }
+
+  return conflictRules;
+};
+
+/**
+ * Checks whether a normalized name mentions a term as whole word(s), plural allowed
+ * @param {string} name - Normalized name
+ * @param {string} term - Normalized term
+ * @returns {boolean}
+ */
+const mentions = (name, term) => ` ${name} `.includes(` ${term} `) || ` ${name} `.includes(` ${term}s `);
+
+/**
+ * Describes a medication or allergy name by the drugs and classes it refers to
+ * @param {string} name - Free-text name ("Amoxicillin 500mg", "Penicillin allergy")
+ * @returns {Object} - { name, drugs: Set, classes: Set }
+ */
+export const describeDrug = (name) => {
+  const normalized = normalizeDrugName(name);
+  const drugs = new Set();
+  const classes = new Set();
+
+  Object.entries(getConflictRules().drugClasses).forEach(([drugClass, members]) => {
+    const matchedMembers = members.filter(member => mentions(normalized, member));
+    matchedMembers.forEach(member => drugs.add(member));
+    if (matchedMembers.length > 0 || mentions(normalized, drugClass)) {
+      classes.add(drugClass);
+    }
+  });
+
+  return { name: normalized, drugs, classes };
+};
+
+/**
+ * Checks whether a described drug matches a rule term (a class or a single drug)
+ * @param {Object} drug - Result of describeDrug
+ * @param {string} term - Normalized rule term
+ * @returns {boolean}
+ */
+const refersTo = (drug, term) => drug.classes.has(term) || drug.drugs.has(term) || mentions(drug.name, term);
+
+/**
+ * Checks whether two described drugs are the same medication
+ * @param {Object} a - Result of describeDrug
+ * @param {Object} b - Result of describeDrug
+ * @returns {boolean}
+ */
+const isSameDrug = (a, b) => {
+  if (a.name && a.name === b.name) return true;
+  return [...a.drugs].some(drug => b.drugs.has(drug));
+};
+
+/**
+ * Finds conflicts between a medication and the patient's allergies and medications
+ * @param {string} medicationName - Medication being added or prescribed
+ * @param {Object} context - { allergies, medications } (inactive entries are ignored)
+ * @returns {Object[]} - [{ type: 'allergy'|'interaction'|'duplicate', severity, message, conflictsWith }] most serious first
+ */
+export const checkMedicationConflicts = (medicationName, { allergies = [], medications = [] } = {}) => {
+  const { allergyRules, interactions } = getConflictRules();
+  const medication = describeDrug(medicationName);
+  if (!medication.name) return [];
+
+  const warnings = [];
+
+  allergies
+    .filter(allergy => allergy.status !== 'inactive' && allergy.name)
+    .forEach(allergy => {
+      const allergen = describeDrug(allergy.name);
+      const rule = allergyRules.find(candidate =>
+        refersTo(allergen, candidate.allergy) && refersTo(medication, candidate.conflictsWith));
+
+      if (rule) {
+        warnings.push({ type: 'allergy', severity: rule.severity, message: rule.message, conflictsWith: allergy.name });
+      } else if (isSameDrug(medication, allergen) || mentions(medication.name, allergen.name)) {
+        // Allergies to drugs the table does not know are matched by name
+        warnings.push({
+          type: 'allergy',
+          severity: 'contraindicated',
+          message: `Patient is allergic to ${allergy.name}`,
+          conflictsWith: allergy.name
+        });
+      }
+    });
+
+  medications
+    .filter(current => current.status !== 'discontinued' && current.name)
+    .forEach(current => {
+      const other = describeDrug(current.name);
+
+      if (isSameDrug(medication, other)) {
+        warnings.push({
+          type: 'duplicate',
+          severity: 'moderate',
+          message: `Patient is already taking ${current.name}`,
+          conflictsWith: current.name
+        });
+        return;
+      }
+
+      const rule = interactions.find(({ drugs: [first, second] }) =>
+        (refersTo(medication, first) && refersTo(other, second)) ||
+        (refersTo(medication, second) && refersTo(other, first)));
+      if (rule) {
+        warnings.push({ type: 'interaction', severity: rule.severity, message: rule.message, conflictsWith: current.name });
+      }
+    });
+
+  return warnings.sort((a, b) => CONFLICT_SEVERITIES.indexOf(a.severity) - CONFLICT_SEVERITIES.indexOf(b.severity));
+};
+
+/**
+ * Finds conflicts for a medication against a patient record
+ * @param {Object} patient - Patient document
+ * @param {string} medicationName - Medication being added or prescribed
+ * @param {Object} options - { excludeMedicationId } to skip the entry being edited
+ * @returns {Object[]} - Warnings (see checkMedicationConflicts)
+ */
+export const getPatientMedicationWarnings = (patient, medicationName, { excludeMedicationId } = {}) => checkMedicationConflicts(medicationName, {
+  allergies: patient.allergies || [],
+  medications: (patient.currentMedications || [])
+    .filter(entry => !excludeMedicationId || entry._id?.toString() !== excludeMedicationId.toString())
+});
+
+export default {
+  CONFLICT_SEVERITIES,
+  describeDrug,
+  checkMedicationConflicts,
+  getPatientMedicationWarnings
+};
@@ -0,0 +1,136 @@
+/**
+ * Normalization Helpers
+ *
+ * Canonical forms of contact details and names so records entered in
+ * different formats ("+1 (555) 010-2030" vs "5550102030") can be matched.
+ */
+
+/**
+ * Normalizes a phone number to its digits (national number, at most 10 digits)
+ * @param {string} phone - Phone number as entered
+ * @returns {string|undefined} - Digits only, or undefined when empty
+ */
+export const normalizePhone = (phone) => {
+  if (!phone) return undefined;
+
+  const digits = String(phone).replace(/\D/g, '').replace(/^0+/, '');
+  if (!digits) return undefined;
+
+  // Drop the country code so "+1 555..." and "555..." match
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+/**
+ * Normalizes an email address
+ * @param {string} email - Email as entered
+ * @returns {string|undefined} - Trimmed, lower-cased email
+ */
+export const normalizeEmail = (email) => {
+  if (!email) return undefined;
+  return String(email).trim().toLowerCase() || undefined;
+};
+
+/**
+ * Normalizes a personal name for comparison (case, accents, punctuation)
+ * @param {string} name - Name as entered
+ * @returns {string} - Lower-cased letters only
+ */
+export const normalizeName = (name) => {
+  if (!name) return '';
+
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+};
+
+/**
+ * Returns the UTC calendar day range containing a date
+ * @param {Date|string} date - Date of birth or other calendar date
+ * @returns {Object|null} - { start, end } or null for invalid dates
+ */
+export const getDayRange = (date) => {
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return null;
+
+  const start = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  return { start, end };
+};
+
+// Soundex digit of each consonant (vowels, h, w and y have none)
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+/**
+ * Computes the phonetic key (American Soundex) of a name, so spellings that
+ * sound alike ("Smith" and "Smyth", "Jon" and "John") share a key
+ * @param {string} name - Name as entered
+ * @returns {string|undefined} - Key such as "s530", or undefined when empty
+ */
+export const phoneticKey = (name) => {
+  const letters = normalizeName(name);
+  if (!letters) return undefined;
+
+  let key = letters[0];
+  let previous = SOUNDEX_CODES[letters[0]];
+  for (const letter of letters.slice(1)) {
+    const code = SOUNDEX_CODES[letter];
+    if (code && code !== previous) key += code;
+    // H and W do not separate consonants with the same code, vowels do
+    if (letter !== 'h' && letter !== 'w') previous = code;
+    if (key.length === 4) break;
+  }
+
+  return key.padEnd(4, '0');
+};
+
+// Builds a UTC calendar day, rejecting overflowing dates such as 31/02
+const utcDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date
+    : null;
+};
+
+/**
+ * Parses a date of birth typed into a search box
+ *
+ * Accepts YYYY-MM-DD (or with / and .) and DD/MM/YYYY or MM/DD/YYYY; when
+ * both day-first and month-first readings are valid (03/04/1990) both
+ * days are returned.
+ * @param {string} text - Date as entered
+ * @returns {Date[]} - Start of each possible UTC day, empty when not a date
+ */
+export const parseDateOfBirth = (text) => {
+  const value = String(text || '').trim();
+
+  const yearFirst = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (yearFirst) {
+    const date = utcDay(Number(yearFirst[1]), Number(yearFirst[2]), Number(yearFirst[3]));
+    return date ? [date] : [];
+  }
+
+  const yearLast = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (!yearLast) return [];
+
+  const [first, second, year] = [Number(yearLast[1]), Number(yearLast[2]), Number(yearLast[3])];
+  const dates = [utcDay(year, second, first), utcDay(year, first, second)].filter(Boolean);
+  return dates.length === 2 && dates[0].getTime() === dates[1].getTime() ? [dates[0]] : dates;
+};
+
+export default {
+  normalizePhone,
+  normalizeEmail,
+  normalizeName,
+  getDayRange,
+  phoneticKey,
+  parseDateOfBirth
+};
@@ -0,0 +1,178 @@
+/**
+ * Password Policy Service
+ *
+ * Checks new passwords against the configured policy: minimum length,
+ * required character classes, a bundled list of common/breached
+ * passwords, personal details and the user's recent password history.
+ * Also decides when a password is too old and must be changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// Never accept anything shorter, whatever the environment says
+const MIN_LENGTH_FLOOR = 8;
+
+let commonPasswords = null;
+
+/**
+ * Reads a boolean flag from the environment
+ * @param {string} name - Variable name
+ * @param {boolean} fallback - Value when unset
+ * @returns {boolean}
+ */
+const envFlag = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  return value === 'true';
+};
+
+/**
+ * Reads an integer from the environment (0 is a valid value)
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number}
+ */
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Loads the bundled common password list (once)
+ * @returns {Set<string>} - Lower-cased passwords
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * Returns the active password policy
+ * @returns {Object} - Policy settings
+ */
+export const getPasswordPolicy = () => ({
+  minLength: Math.max(MIN_LENGTH_FLOOR, envInt('PASSWORD_MIN_LENGTH', MIN_LENGTH_FLOOR)),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  historyCount: Math.max(0, envInt('PASSWORD_HISTORY_COUNT', 5)),
+  maxAgeDays: Math.max(0, envInt('PASSWORD_MAX_AGE_DAYS', 0))
+});
+
+/**
+ * Checks length, character classes, the common password list and personal details
+ * @param {string} password - Candidate password
+ * @param {Object} details - Known details of the account ({ email, firstName, lastName })
+ * @returns {string[]} - Policy violations (empty when the password is acceptable)
+ */
+export const validatePasswordStrength = (password, details = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+    if (typeof password !== 'string') return errors;
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  const lowered = password.toLowerCase();
+  if (getCommonPasswords().has(lowered)) {
+    errors.push('Password is too common, please choose another one');
+  }
+
+  const personal = [details.email?.split('@')[0], details.firstName, details.lastName]
+    .filter(value => typeof value === 'string' && value.length >= 3)
+    .map(value => value.toLowerCase());
+  if (personal.some(value => lowered.includes(value))) {
+    errors.push('Password must not contain your name or email address');
+  }
+
+  return errors;
+};
+
+/**
+ * Checks whether a password matches the current or a recent password
+ * @param {Object} user - User document loaded with +password +passwordHistory
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>}
+ */
+export const isPasswordReused = async (user, password) => {
+  const { historyCount } = getPasswordPolicy();
+  // The newest history entry is normally the current password
+  const hashes = [...new Set([user.password, ...(user.passwordHistory || []).slice(0, historyCount)])]
+    .filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Runs every policy check for a new password
+ * @param {string} password - Candidate password
+ * @param {Object} user - Existing user (loaded with +password +passwordHistory) or new account details
+ * @returns {Promise<string[]>} - Policy violations
+ */
+export const checkPasswordPolicy = async (password, user) => {
+  const errors = validatePasswordStrength(password, user);
+
+  if (errors.length === 0 && user._id && await isPasswordReused(user, password)) {
+    const { historyCount } = getPasswordPolicy();
+    errors.push(historyCount > 0
+      ? `Password must not match any of your last ${historyCount} passwords`
+      : 'Password must be different from your current password');
+  }
+
+  return errors;
+};
+
+/**
+ * Checks whether the user's password is older than the maximum age
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+export const isPasswordExpired = (user) => {
+  const { maxAgeDays } = getPasswordPolicy();
+  if (!maxAgeDays) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!changedAt) return false;
+
+  return Date.now() - new Date(changedAt).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+export default {
+  getPasswordPolicy,
+  validatePasswordStrength,
+  isPasswordReused,
+  checkPasswordPolicy,
+  isPasswordExpired
+};
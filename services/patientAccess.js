@@ -0,0 +1,175 @@
+/**
+ * Patient Access Service
+ *
+ * Row-level access rules for patient records. Every staff role may see
+ * demographics (with `patient:read`); clinical details are only shown to
+ * users holding `patient:read:clinical:any`, to doctors with a care
+ * relationship to the patient (assigned doctor, active queue entry or a
+ * recent/upcoming appointment) and to users with an active
+ * break-the-glass grant. Kiosks and scanners only get what check-in
+ * needs.
+ */
+
+import Queue from '../models/Queue.js';
+import Appointment from '../models/Appointment.js';
+import EmergencyAccess from '../models/EmergencyAccess.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { getRolePermissions } from './permissions.js';
+
+// Medical fields hidden from demographics-only views
+export const CLINICAL_FIELDS = [
+  'bloodType', 'allergies', 'currentSymptoms', 'medicalHistory', 'currentMedications'
+];
+
+// Fields shown to kiosks and scanners (guardians are reduced to their relationship)
+export const DEVICE_FIELDS = ['_id', 'firstName', 'lastName', 'status', 'isMinor'];
+
+// How far back a past appointment still counts as a care relationship
+const APPOINTMENT_LOOKBACK_DAYS = 30;
+
+/**
+ * Gets the permissions of the requesting user
+ * @param {Object} req - Express request
+ * @returns {Promise<string[]>}
+ */
+const getRequestPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getRolePermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+/**
+ * Finds the care relationship between a doctor and a patient
+ * @param {Object} user - Doctor user document
+ * @param {Object} patient - Patient document
+ * @returns {Promise<string|null>} - 'assigned-doctor', 'queue', 'appointment' or null
+ */
+export const findCareRelationship = async (user, patient) => {
+  if (patient.assignedDoctor && patient.assignedDoctor.toString() === user._id.toString()) {
+    return 'assigned-doctor';
+  }
+
+  const inQueue = await Queue.exists({
+    patientId: patient._id,
+    assignedDoctor: user._id,
+    status: { $in: ['waiting', 'in-progress'] }
+  });
+  if (inQueue) return 'queue';
+
+  const since = new Date(Date.now() - APPOINTMENT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const hasAppointment = await Appointment.exists({
+    patientId: patient._id,
+    doctorId: user._id,
+    appointmentDate: { $gte: since },
+    status: { $ne: 'cancelled' }
+  });
+  if (hasAppointment) return 'appointment';
+
+  return null;
+};
+
+/**
+ * Resolves how much of a patient record the requesting user may see
+ * @param {Object} req - Express request (after protect)
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Object|null>} - { level: 'full'|'demographics'|'device', basis, grant } or null for no access
+ */
+export const resolvePatientAccess = async (req, patient) => {
+  // Kiosks and scanners only ever get the check-in view
+  if (req.device) return { level: 'device', basis: 'device' };
+
+  const permissions = await getRequestPermissions(req);
+
+  if (permissions.includes('patient:read:clinical:any')) {
+    return { level: 'full', basis: 'role' };
+  }
+
+  if (permissions.includes('patient:read:clinical')) {
+    const relationship = await findCareRelationship(req.user, patient);
+    if (relationship) return { level: 'full', basis: relationship };
+  }
+
+  const grant = await EmergencyAccess.findActiveGrant(req.user._id, patient._id);
+  if (grant) {
+    await grant.recordUse();
+    return { level: 'full', basis: 'break-the-glass', grant };
+  }
+
+  if (permissions.includes('patient:read')) {
+    return { level: 'demographics', basis: 'role' };
+  }
+
+  return null;
+};
+
+/**
+ * Builds the response body for a patient shown to a kiosk or scanner
+ * @param {Object} patient - Patient document
+ * @returns {Object} - Name, status and the guardians to pick from at check-in
+ */
+export const toDevicePatientView = (patient) => {
+  const data = {};
+  DEVICE_FIELDS.forEach(field => { data[field] = patient[field]; });
+  data.guardians = (patient.guardians || []).map(guardian => ({
+    _id: guardian._id,
+    relationship: guardian.relationship
+  }));
+  return data;
+};
+
+/**
+ * Builds the response body for a patient at the given access level
+ * @param {Object} patient - Patient document (or plain object)
+ * @param {string} level - 'full', 'demographics' or 'device'
+ * @returns {Object} - Serialized patient
+ */
+export const toPatientView = (patient, level) => {
+  if (level === 'device') return toDevicePatientView(patient);
+
+  const data = typeof patient.toJSON === 'function' ? patient.toJSON() : { ...patient };
+  if (level !== 'full') {
+    CLINICAL_FIELDS.forEach(field => delete data[field]);
+  }
+  return data;
+};
+
+/**
+ * Opens a break-the-glass grant for a patient record and flags it for review
+ * @param {Object} req - Express request
+ * @param {Object} patient - Patient document
+ * @param {string} reason - Justification
+ * @returns {Promise<Object>} - EmergencyAccess document
+ */
+export const breakTheGlass = async (req, patient, reason) => {
+  const minutes = parseInt(process.env.BREAK_GLASS_MINUTES) || 60;
+
+  const grant = await EmergencyAccess.create({
+    userId: req.user._id,
+    patientId: patient._id,
+    reason,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')?.slice(0, 500)
+  });
+
+  await SecurityEvent.record('break-the-glass', {
+    req,
+    user: req.user,
+    details: { patientId: patient._id, grantId: grant._id, reason }
+  });
+
+  console.warn(`Break-the-glass access to patient ${patient._id} by user ${req.user._id}: ${reason}`);
+
+  return grant;
+};
+
+export default {
+  CLINICAL_FIELDS,
+  DEVICE_FIELDS,
+  findCareRelationship,
+  resolvePatientAccess,
+  toDevicePatientView,
+  toPatientView,
+  breakTheGlass
+};
@@ -0,0 +1,331 @@
+/**
+ * Patient Data Service
+ *
+ * Right of access and right to be forgotten. An export gathers everything
+ * held about a patient into one machine-readable archive. Erasure
+ * anonymizes the patient record and the duplicates merged into it: names,
+ * contact details and clinical data are removed, while queue entries and
+ * appointments stay behind without their free text so visit statistics
+ * remain correct. Encounters, documents (with their files) and the
+ * allergy/medication history are deleted, the reasons given for emergency
+ * access are scrubbed and the linked portal account is pseudonymized and
+ * deactivated.
+ *
+ * Erasures only run once an admin has approved a PatientDataRequest, which
+ * remains as the audit record of what was done.
+ */
+
+import Patient from '../models/Patient.js';
+import User from '../models/User.js';
+import Queue from '../models/Queue.js';
+import Appointment from '../models/Appointment.js';
+import Encounter from '../models/Encounter.js';
+import Document from '../models/Document.js';
+import EmergencyAccess from '../models/EmergencyAccess.js';
+import MedicalRecordChange from '../models/MedicalRecordChange.js';
+import Consent from '../models/Consent.js';
+import { getStoredFilePath, removeStoredFile } from './documents.js';
+import { revokeUserSessions } from './sessions.js';
+
+export const EXPORT_FORMAT = 'qrhealth-patient-export';
+export const EXPORT_VERSION = 1;
+
+// Replaces free text that the schemas require
+const ERASED_TEXT = '[erased]';
+
+// Patient fields removed on erasure
+const ERASED_FIELDS = [
+  'phone',
+  'email',
+  'address',
+  'emergencyContact',
+  'insurance',
+  'medicalHistory',
+  'currentSymptoms',
+  'userId',
+  'linkedAt'
+];
+
+// Fields that are not selected by default, so they are not loaded and must be unset explicitly
+const HIDDEN_ERASED_FIELDS = ['phoneIndex', 'emailIndex', 'linkCodeHash', 'linkCodeExpires'];
+
+// Portal account fields removed on erasure (the account stays, deactivated, for the security log)
+const ERASED_USER_FIELDS = [
+  'phone',
+  'dateOfBirth',
+  'emailVerificationTokenHash',
+  'emailVerificationExpires',
+  'passwordResetTokenHash',
+  'passwordResetExpires'
+];
+
+/**
+ * Gathers everything held about a patient
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Object>} - { archive, summary } (summary: record counts for the audit record)
+ */
+export const buildPatientExport = async (patient) => {
+  const patientId = patient._id;
+
+  const [mergedRecords, queueEntries, appointments, encounters, documents, recordChanges, emergencyAccess, consents] = await Promise.all([
+    Patient.find({ mergedInto: patientId }),
+    Queue.find({ patientId })
+      .populate('assignedDoctor', 'firstName lastName department')
+      .sort({ checkedInAt: -1 }),
+    Appointment.find({ patientId })
+      .populate('doctorId', 'firstName lastName department')
+      .sort({ appointmentDate: -1 }),
+    Encounter.find({ patientId })
+      .populate('assignedDoctor', 'firstName lastName department')
+      .sort({ checkedInAt: -1 }),
+    Document.find({ patientId, status: 'active' })
+      .populate('uploadedBy', 'firstName lastName')
+      .sort({ createdAt: -1 }),
+    MedicalRecordChange.find({ patientId })
+      .populate('changedBy', 'firstName lastName')
+      .sort({ createdAt: -1 }),
+    EmergencyAccess.find({ patientId })
+      .select('userId reason createdAt expiresAt accessCount lastAccessedAt')
+      .populate('userId', 'firstName lastName role')
+      .sort({ createdAt: -1 }),
+    Consent.find({ patientId })
+      .sort({ grantedAt: -1 })
+  ]);
+
+  // Current QR code and the codes of records merged into this one
+  const qrCodes = [patient, ...mergedRecords]
+    .filter(record => record.qrCode)
+    .map(({ _id, qrCode }) => ({
+      patientId: _id,
+      code: qrCode.code,
+      expiresAt: qrCode.expiresAt,
+      isActive: qrCode.isActive,
+      scanCount: qrCode.scanCount,
+      lastScanned: qrCode.lastScanned
+    }));
+
+  const archive = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    patient: patient.toJSON(),
+    mergedRecords: mergedRecords.map(record => record.toJSON()),
+    qrCodes,
+    queueEntries: queueEntries.map(entry => entry.toJSON()),
+    appointments: appointments.map(appointment => appointment.toJSON()),
+    encounters: encounters.map(encounter => encounter.toJSON()),
+    documents: documents.map(document => ({
+      ...document.toJSON(),
+      downloadUrl: `/api/documents/${document._id}/download`
+    })),
+    allergyAndMedicationHistory: recordChanges.map(change => change.toJSON()),
+    emergencyAccess: emergencyAccess.map(grant => grant.toJSON()),
+    consents: consents.map(consent => consent.toJSON())
+  };
+
+  const summary = {
+    mergedRecords: mergedRecords.length,
+    qrCodes: qrCodes.length,
+    queueEntries: queueEntries.length,
+    appointments: appointments.length,
+    encounters: encounters.length,
+    documents: documents.length,
+    allergyAndMedicationHistory: recordChanges.length,
+    emergencyAccess: emergencyAccess.length,
+    consents: consents.length
+  };
+
+  return { archive, summary };
+};
+
+/**
+ * Gets the reason a patient cannot be erased (yet)
+ * @param {Object} patient - Patient document
+ * @returns {Promise<string|null>} - Message, or null when erasure can go ahead
+ */
+export const getErasureBlocker = async (patient) => {
+  if (patient.erasedAt) return 'This patient record has already been erased';
+  if (patient.mergedInto) return 'This record was merged into another patient record, erase that record instead';
+
+  const pendingMerge = await Patient.exists({ mergedInto: patient._id, mergeStatus: 'pending' });
+  if (pendingMerge) return 'A merge into this record did not complete, merge the records again first';
+
+  const activeVisit = await Queue.exists({
+    patientId: patient._id,
+    status: { $in: ['waiting', 'in-progress'] }
+  });
+  if (activeVisit) return 'The patient is in the queue, erase the record after the visit';
+
+  return null;
+};
+
+// Removes personal and clinical data from a patient document
+const anonymize = (record, dataRequest, erasedAt) => {
+  record.firstName = 'Erased';
+  record.lastName = 'Patient';
+
+  // Year of birth and gender stay for age and gender statistics
+  record.dateOfBirth = new Date(Date.UTC(record.dateOfBirth.getUTCFullYear(), 0, 1));
+
+  ERASED_FIELDS.forEach(field => {
+    record[field] = undefined;
+  });
+  HIDDEN_ERASED_FIELDS.forEach(field => {
+    record[field] = undefined;
+    record.markModified(field);
+  });
+  record.bloodType = 'unknown';
+  record.allergies = [];
+  record.currentMedications = [];
+  record.identifiers = [];
+  record.possibleDuplicates = [];
+  record.guardians = [];
+  record.qrCode = {
+    expiresAt: erasedAt,
+    isActive: false,
+    scanCount: record.qrCode?.scanCount || 0
+  };
+
+  record.status = 'inactive';
+  record.erasedAt = erasedAt;
+  record.erasureRequestId = dataRequest._id;
+};
+
+// Pseudonymizes and deactivates the patient portal accounts of erased records
+const erasePortalAccounts = async (userIds) => {
+  let erased = 0;
+  for (const userId of userIds) {
+    // The address must stay unique and valid, example.com is reserved for this
+    const result = await User.updateOne(
+      { _id: userId, role: 'patient' },
+      {
+        $set: {
+          firstName: 'Erased',
+          lastName: 'Patient',
+          email: `erased-${userId}@example.com`,
+          isActive: false
+        },
+        $unset: Object.fromEntries(ERASED_USER_FIELDS.map(field => [field, 1]))
+      }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    await revokeUserSessions(userId, 'deactivated');
+    erased++;
+  }
+  return erased;
+};
+
+/**
+ * Erases a patient (and the duplicates merged into it)
+ * @param {Object} patient - Patient document
+ * @param {Object} dataRequest - Approved PatientDataRequest
+ * @returns {Promise<Object>} - Summary of what was erased (record counts)
+ */
+export const erasePatient = async (patient, dataRequest) => {
+  const erasedAt = new Date();
+  const mergedRecords = await Patient.find({ mergedInto: patient._id, erasedAt: null });
+  // The patient itself is saved last: until then the erasure can be run again
+  const records = [...mergedRecords, patient];
+  const patientIds = records.map(record => record._id);
+  const portalUserIds = records.filter(record => record.userId).map(record => record.userId);
+
+  // Stored files go first, their metadata is what points at them
+  const documents = await Document.find({ patientId: { $in: patientIds } }).select('+storedName');
+  for (const document of documents) {
+    await removeStoredFile(getStoredFilePath(document.storedName));
+  }
+
+  // Visits stay countable: status, times, priority, visit type and doctor are kept
+  const [queueResult, appointmentResult, encounterResult, documentResult, changeResult] = await Promise.all([
+    Queue.updateMany(
+      { patientId: { $in: patientIds } },
+      { $set: { symptoms: ERASED_TEXT }, $unset: { notes: 1, encounterId: 1 } }
+    ),
+    Appointment.updateMany(
+      { patientId: { $in: patientIds } },
+      { $set: { reason: ERASED_TEXT, identifiers: [] }, $unset: { symptoms: 1, notes: 1, cancellationReason: 1 } }
+    ),
+    Encounter.deleteMany({ patientId: { $in: patientIds } }),
+    Document.deleteMany({ patientId: { $in: patientIds } }),
+    MedicalRecordChange.deleteMany({ patientId: { $in: patientIds } })
+  ]);
+
+  // Grants stay for the access review, without the reasons that may describe the patient
+  const emergencyAccessResult = await EmergencyAccess.updateMany(
+    { patientId: { $in: patientIds } },
+    { $set: { reason: ERASED_TEXT }, $unset: { reviewNotes: 1 } }
+  );
+
+  // Upcoming appointments will not take place
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  const cancelResult = await Appointment.updateMany(
+    {
+      patientId: { $in: patientIds },
+      status: { $in: ['scheduled', 'confirmed'] },
+      appointmentDate: { $gte: startOfToday }
+    },
+    { status: 'cancelled', cancelledAt: erasedAt, cancellationReason: 'Patient data erased' }
+  );
+
+  // Consent records stay as evidence, but nothing may be done on their basis any more
+  const consentResult = await Consent.updateMany(
+    { patientId: { $in: patientIds }, status: 'active' },
+    { status: 'revoked', revokedAt: erasedAt, revocationReason: 'Patient data erased' }
+  );
+
+  // Other records must not point at the erased ones as possible duplicates or guardians
+  await Patient.updateMany(
+    { 'possibleDuplicates.patientId': { $in: patientIds } },
+    { $pull: { possibleDuplicates: { patientId: { $in: patientIds } } } }
+  );
+  const guardianResult = await Patient.updateMany(
+    {
+      $or: [
+        { 'guardians.patientId': { $in: patientIds } },
+        { 'guardians.userId': { $in: portalUserIds } }
+      ]
+    },
+    {
+      $pull: {
+        guardians: {
+          $or: [
+            { patientId: { $in: patientIds } },
+            { userId: { $in: portalUserIds } }
+          ]
+        }
+      }
+    }
+  );
+
+  const portalAccountsErased = await erasePortalAccounts(portalUserIds);
+
+  for (const record of records) {
+    anonymize(record, dataRequest, erasedAt);
+    await record.save();
+  }
+
+  return {
+    patientRecords: records.length,
+    queueEntriesAnonymized: queueResult.modifiedCount,
+    appointmentsAnonymized: appointmentResult.modifiedCount,
+    appointmentsCancelled: cancelResult.modifiedCount,
+    encountersDeleted: encounterResult.deletedCount,
+    documentsDeleted: documentResult.deletedCount,
+    recordChangesDeleted: changeResult.deletedCount,
+    consentsRevoked: consentResult.modifiedCount,
+    emergencyAccessScrubbed: emergencyAccessResult.modifiedCount,
+    guardianshipsRemoved: guardianResult.modifiedCount,
+    portalAccountUnlinked: portalUserIds.length > 0,
+    portalAccountsErased
+  };
+};
+
+export default {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  buildPatientExport,
+  getErasureBlocker,
+  erasePatient
+};
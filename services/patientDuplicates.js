@@ -0,0 +1,327 @@
+/**
+ * Patient Duplicate Service
+ *
+ * Scores existing patient records against registration details (name,
+ * date of birth, normalized phone and email) to catch walk-ins who
+ * register again, and merges a duplicate record into the surviving one.
+ * Merges run step by step without a transaction: the duplicate is closed
+ * first and marked as pending, every later step can run again, so a merge
+ * that fails halfway is completed by merging the same records again.
+ */
+
+import Patient from '../models/Patient.js';
+import Queue from '../models/Queue.js';
+import Appointment from '../models/Appointment.js';
+import EmergencyAccess from '../models/EmergencyAccess.js';
+import Encounter from '../models/Encounter.js';
+import Document from '../models/Document.js';
+import Consent from '../models/Consent.js';
+import MedicalRecordChange from '../models/MedicalRecordChange.js';
+import PatientDataRequest from '../models/PatientDataRequest.js';
+import { refreshVisitStats } from './encounters.js';
+import { mergeIdentifiers } from './fhir.js';
+import { normalizePhone, normalizeEmail, normalizeName, getDayRange } from './normalize.js';
+
+// Points per matching attribute
+const MATCH_WEIGHTS = {
+  dateOfBirth: 30,
+  lastName: 20,
+  firstName: 20,
+  similarFirstName: 10,
+  phone: 25,
+  email: 25
+};
+
+const MAX_CANDIDATES = 5;
+
+/**
+ * Gets the score from which a record is reported as a duplicate
+ * @returns {number}
+ */
+export const getDuplicateThreshold = () => parseInt(process.env.DUPLICATE_MATCH_THRESHOLD) || 60;
+
+/**
+ * Levenshtein distance between two short strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Scores how likely an existing record describes the same person
+ * @param {Object} details - Registration details
+ * @param {Object} patient - Existing patient record
+ * @returns {Object} - { score, matchedOn }
+ */
+export const scorePatientMatch = (details, patient) => {
+  const matchedOn = [];
+  let score = 0;
+
+  const dayRange = getDayRange(details.dateOfBirth);
+  if (dayRange && patient.dateOfBirth >= dayRange.start && patient.dateOfBirth < dayRange.end) {
+    score += MATCH_WEIGHTS.dateOfBirth;
+    matchedOn.push('dateOfBirth');
+  }
+
+  const lastName = normalizeName(details.lastName);
+  if (lastName && lastName === normalizeName(patient.lastName)) {
+    score += MATCH_WEIGHTS.lastName;
+    matchedOn.push('lastName');
+  }
+
+  const firstName = normalizeName(details.firstName);
+  const existingFirstName = normalizeName(patient.firstName);
+  if (firstName && firstName === existingFirstName) {
+    score += MATCH_WEIGHTS.firstName;
+    matchedOn.push('firstName');
+  } else if (firstName && existingFirstName &&
+    (firstName.startsWith(existingFirstName) || existingFirstName.startsWith(firstName) ||
+      editDistance(firstName, existingFirstName) <= 1)) {
+    // Nicknames/typos: "Jon" vs "John", "Kate" vs "Katelyn"
+    score += MATCH_WEIGHTS.similarFirstName;
+    matchedOn.push('similarFirstName');
+  }
+
+  const phone = normalizePhone(details.phone);
+  if (phone && phone === normalizePhone(patient.phone)) {
+    score += MATCH_WEIGHTS.phone;
+    matchedOn.push('phone');
+  }
+
+  const email = normalizeEmail(details.email);
+  if (email && email === normalizeEmail(patient.email)) {
+    score += MATCH_WEIGHTS.email;
+    matchedOn.push('email');
+  }
+
+  return { score, matchedOn };
+};
+
+/**
+ * Finds existing records that probably describe the same person
+ * @param {Object} details - { firstName, lastName, dateOfBirth, phone, email }
+ * @param {Object} options - { excludeId, threshold }
+ * @returns {Promise<Object[]>} - [{ patient, score, matchedOn }] best match first
+ */
+export const findDuplicateCandidates = async (details, { excludeId, threshold = getDuplicateThreshold() } = {}) => {
+  const conditions = [];
+
+  const dayRange = getDayRange(details.dateOfBirth);
+  if (dayRange) conditions.push({ dateOfBirth: { $gte: dayRange.start, $lt: dayRange.end } });
+
+  // Phone and email are encrypted, so they are matched on their blind indexes
+  conditions.push(...Patient.contactConditions({ phone: details.phone, email: details.email }));
+
+  if (conditions.length === 0) return [];
+
+  const filter = { $or: conditions, mergedInto: null };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const patients = await Patient.find(filter)
+    .select('firstName lastName dateOfBirth gender phone email status createdAt lastVisit')
+    .limit(200);
+
+  return patients
+    .map(patient => ({ patient, ...scorePatientMatch(details, patient) }))
+    .filter(candidate => candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+};
+
+/**
+ * Merges a duplicate record into the surviving record: moves queue entries,
+ * encounters, appointments, documents, emergency access grants, external
+ * identifiers and QR scan counts, fills empty fields on the survivor and
+ * deactivates the duplicate and its QR code. Also resumes a pending merge.
+ * @param {Object} survivor - Patient document that is kept
+ * @param {Object} duplicate - Patient document that is merged away
+ * @param {Object} admin - User performing the merge
+ * @returns {Promise<Object>} - { survivor, moved: { queueEntries, encounters, appointments, documents, emergencyAccess }, filledFields }
+ */
+export const mergePatients = async (survivor, duplicate, admin) => {
+  // Close the duplicate first, so nothing new is added to it while its records
+  // move. Its portal account is released (an account has one record) and kept
+  // on the merge until the survivor has it
+  if (duplicate.mergeStatus !== 'pending') {
+    duplicate.status = 'inactive';
+    duplicate.mergeUserId = duplicate.userId;
+    duplicate.userId = undefined;
+    duplicate.linkedAt = undefined;
+    duplicate.mergedInto = survivor._id;
+    duplicate.mergedAt = new Date();
+    duplicate.mergedBy = admin._id;
+    duplicate.mergeStatus = 'pending';
+    if (duplicate.qrCode) duplicate.qrCode.isActive = false;
+    await duplicate.save();
+  }
+
+  // Fill gaps on the survivor with data only the duplicate has
+  const filledFields = [];
+  ['email', 'medicalHistory'].forEach(field => {
+    if (!survivor[field] && duplicate[field]) {
+      survivor[field] = duplicate[field];
+      filledFields.push(field);
+    }
+  });
+  ['address', 'emergencyContact', 'insurance'].forEach(field => {
+    const survivorValue = survivor[field]?.toObject ? survivor[field].toObject() : survivor[field];
+    const duplicateValue = duplicate[field]?.toObject ? duplicate[field].toObject() : duplicate[field];
+    const isEmpty = (value) => !value || Object.entries(value)
+      .every(([key, entry]) => key === 'country' || entry === undefined || entry === null || entry === '');
+    if (isEmpty(survivorValue) && !isEmpty(duplicateValue)) {
+      survivor[field] = duplicateValue;
+      filledFields.push(field);
+    }
+  });
+  if ((!survivor.bloodType || survivor.bloodType === 'unknown') && duplicate.bloodType && duplicate.bloodType !== 'unknown') {
+    survivor.bloodType = duplicate.bloodType;
+    filledFields.push('bloodType');
+  }
+
+  // Union of allergies and medications by name
+  [['allergies', 'name'], ['currentMedications', 'name']].forEach(([field, key]) => {
+    const known = new Set(survivor[field].map(entry => entry[key]?.toLowerCase()));
+    duplicate[field].forEach(entry => {
+      if (!known.has(entry[key]?.toLowerCase())) {
+        survivor[field].push(entry.toObject ? entry.toObject() : entry);
+        known.add(entry[key]?.toLowerCase());
+        if (!filledFields.includes(field)) filledFields.push(field);
+      }
+    });
+  });
+
+  // QR scans (visit counts follow the encounters below)
+  if (survivor.qrCode && duplicate.qrCode) {
+    survivor.qrCode.scanCount = (survivor.qrCode.scanCount || 0) + (duplicate.qrCode.scanCount || 0);
+    if (duplicate.qrCode.lastScanned &&
+      (!survivor.qrCode.lastScanned || duplicate.qrCode.lastScanned > survivor.qrCode.lastScanned)) {
+      survivor.qrCode.lastScanned = duplicate.qrCode.lastScanned;
+    }
+  }
+  survivor.possibleDuplicates = survivor.possibleDuplicates
+    .filter(entry => !entry.patientId.equals(duplicate._id));
+
+  // Guardians the survivor does not have yet
+  duplicate.guardians.forEach(entry => {
+    if (entry.patientId?.equals(survivor._id)) return;
+    if (!survivor.findGuardian({ patientId: entry.patientId, userId: entry.userId })) {
+      survivor.guardians.push(entry.toObject());
+      if (!filledFields.includes('guardians')) filledFields.push('guardians');
+    }
+  });
+
+  // The portal account follows the record (one record per account), as do
+  // identifiers from other systems
+  const duplicateIdentifiers = duplicate.identifiers.map(({ system, value }) => ({ system, value }));
+
+  if (!survivor.userId && duplicate.mergeUserId) {
+    survivor.linkToUser(duplicate.mergeUserId);
+    filledFields.push('userId');
+  }
+
+  const identifiers = mergeIdentifiers(survivor.identifiers, duplicateIdentifiers);
+  if (identifiers.length > survivor.identifiers.length) {
+    survivor.identifiers = identifiers;
+    filledFields.push('identifiers');
+  }
+
+  // Consents follow the record too. Only one consent per type can be active,
+  // so where both records have one the older is superseded by the newer
+  const [survivorConsents, duplicateConsents] = await Promise.all([
+    Consent.find({ patientId: survivor._id, status: 'active' }),
+    Consent.find({ patientId: duplicate._id, status: 'active' })
+  ]);
+  for (const consent of duplicateConsents) {
+    const current = survivorConsents.find(entry => entry.type === consent.type);
+    if (!current) continue;
+
+    const [older, newer] = current.grantedAt > consent.grantedAt ? [consent, current] : [current, consent];
+    older.status = 'superseded';
+    older.supersededBy = newer._id;
+    await older.save();
+  }
+
+  const [
+    queueResult,
+    encounterResult,
+    appointmentResult,
+    documentResult,
+    accessResult,
+    guardianResult,
+    consentResult,
+    changeResult,
+    dataRequestResult
+  ] = await Promise.all([
+    Queue.updateMany({ patientId: duplicate._id }, { patientId: survivor._id }),
+    Encounter.updateMany({ patientId: duplicate._id }, { patientId: survivor._id }),
+    Appointment.updateMany({ patientId: duplicate._id }, { patientId: survivor._id }),
+    Document.updateMany({ patientId: duplicate._id }, { patientId: survivor._id }),
+    EmergencyAccess.updateMany({ patientId: duplicate._id }, { patientId: survivor._id }),
+    // Dependents of the duplicate are dependents of the survivor
+    Patient.updateMany(
+      { 'guardians.patientId': duplicate._id },
+      { $set: { 'guardians.$[guardian].patientId': survivor._id } },
+      { arrayFilters: [{ 'guardian.patientId': duplicate._id }] }
+    ),
+    Consent.updateMany({ patientId: duplicate._id }, { patientId: survivor._id }),
+    MedicalRecordChange.updateMany({ patientId: duplicate._id }, { patientId: survivor._id }),
+    PatientDataRequest.updateMany({ patientId: duplicate._id }, { patientId: survivor._id })
+  ]);
+
+  await survivor.save();
+
+  // Everything has moved, the merge is complete
+  duplicate.possibleDuplicates = [];
+  duplicate.identifiers = [];
+  duplicate.mergeUserId = undefined;
+  duplicate.mergeStatus = 'completed';
+  await duplicate.save();
+
+  const [visitStats] = await Promise.all([
+    refreshVisitStats(survivor._id),
+    refreshVisitStats(duplicate._id)
+  ]);
+  survivor.set(visitStats);
+
+  return {
+    survivor,
+    moved: {
+      queueEntries: queueResult.modifiedCount,
+      encounters: encounterResult.modifiedCount,
+      appointments: appointmentResult.modifiedCount,
+      documents: documentResult.modifiedCount,
+      emergencyAccess: accessResult.modifiedCount,
+      dependents: guardianResult.modifiedCount,
+      consents: consentResult.modifiedCount,
+      recordChanges: changeResult.modifiedCount,
+      dataRequests: dataRequestResult.modifiedCount
+    },
+    filledFields
+  };
+};
+
+export default {
+  getDuplicateThreshold,
+  scorePatientMatch,
+  findDuplicateCandidates,
+  mergePatients
+};
@@ -0,0 +1,381 @@
+/**
+ * Patient Import Service
+ *
+ * Bulk import of existing patients from a CSV or JSON lines file when a
+ * clinic is onboarded. Columns are mapped to patient fields (by name, with
+ * common aliases, or an explicit mapping), every row is validated with the
+ * registration rules and the Patient schema, and likely duplicates of
+ * existing patients are flagged like confirmed registrations. Dry runs
+ * report what would happen without creating anything.
+ */
+
+import path from 'path';
+import multer from 'multer';
+import { validationResult } from 'express-validator';
+import Patient from '../models/Patient.js';
+import { findDuplicateCandidates } from './patientDuplicates.js';
+import { normalizePhone, normalizeName, getDayRange } from './normalize.js';
+
+export const IMPORT_FORMATS = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl'
+};
+
+// Patient fields that can be imported, with the column names accepted for them
+const IMPORT_FIELDS = {
+  firstName: ['givenName', 'forename'],
+  lastName: ['surname', 'familyName'],
+  dateOfBirth: ['dob', 'birthDate'],
+  gender: ['sex'],
+  phone: ['phoneNumber', 'mobile', 'telephone'],
+  email: ['emailAddress'],
+  'address.street': ['street', 'address', 'addressLine'],
+  'address.city': ['city'],
+  'address.state': ['state', 'region'],
+  'address.zipCode': ['zip', 'zipCode', 'postalCode'],
+  'address.country': ['country'],
+  'emergencyContact.name': ['emergencyContactName'],
+  'emergencyContact.relationship': ['emergencyContactRelationship'],
+  'emergencyContact.phone': ['emergencyContactPhone'],
+  bloodType: [],
+  allergies: [],
+  currentSymptoms: ['symptoms'],
+  medicalHistory: ['history'],
+  'insurance.provider': ['insuranceProvider'],
+  'insurance.policyNumber': ['policyNumber', 'insurancePolicyNumber'],
+  'insurance.groupNumber': ['groupNumber', 'insuranceGroupNumber'],
+  'insurance.expiryDate': ['insuranceExpiryDate']
+};
+
+const GENDER_VALUES = {
+  m: 'male',
+  f: 'female',
+  o: 'other',
+  u: 'prefer-not-to-say',
+  unknown: 'prefer-not-to-say'
+};
+
+// "First Name", "first_name" and "firstName" are the same column
+const normalizeColumn = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const COLUMN_LOOKUP = new Map(Object.entries(IMPORT_FIELDS).flatMap(([field, aliases]) =>
+  [field, ...aliases].map(alias => [normalizeColumn(alias), field])));
+
+/**
+ * Gets the maximum number of rows per import
+ * @returns {number}
+ */
+export const getImportMaxRows = () => parseInt(process.env.PATIENT_IMPORT_MAX_ROWS) || 5000;
+
+/**
+ * Gets the maximum import file size in bytes
+ * @returns {number}
+ */
+export const getImportMaxSize = () => (parseInt(process.env.PATIENT_IMPORT_MAX_SIZE_MB) || 5) * 1024 * 1024;
+
+/**
+ * Multer middleware for a single import file in the `file` field (kept in memory)
+ * @returns {Function} - Express middleware
+ */
+export const createImportUpload = () => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getImportMaxSize(),
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!IMPORT_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+      return callback(new Error('Only .csv, .jsonl and .ndjson files can be imported'));
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, line breaks in quotes)
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Records, blank lines skipped
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  return records;
+};
+
+// Flattens one level of nesting ({ address: { city } } -> { 'address.city' })
+const flattenRow = (values) => Object.entries(values).reduce((flat, [key, value]) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+      flat[`${key}.${nestedKey}`] = nestedValue;
+    });
+  } else {
+    flat[key] = value;
+  }
+  return flat;
+}, {});
+
+/**
+ * Parses an import file into rows of column values
+ * @param {Buffer} buffer - File content
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {Object} - { rows: [{ row, values }], error }
+ */
+export const parseImportFile = (buffer, format) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(text);
+    if (!header || records.length === 0) {
+      return { rows: [], error: 'The file needs a header row and at least one patient' };
+    }
+    const columns = header.map(column => column.trim());
+    return {
+      rows: records.map((record, index) => ({
+        row: index + 2,
+        values: Object.fromEntries(columns.map((column, columnIndex) => [column, record[columnIndex]]))
+      }))
+    };
+  }
+
+  const rows = [];
+  const lines = text.split(/\r?\n/);
+  for (let index = 0; index < lines.length; index++) {
+    if (!lines[index].trim()) continue;
+    try {
+      const values = JSON.parse(lines[index]);
+      if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error('not an object');
+      rows.push({ row: index + 1, values: flattenRow(values) });
+    } catch (error) {
+      rows.push({ row: index + 1, values: null, parseError: 'Line is not a JSON object' });
+    }
+  }
+  return rows.length > 0 ? { rows } : { rows, error: 'The file does not contain any patients' };
+};
+
+// Sets a dotted path on a plain object
+const setPath = (target, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    object[key] = object[key] || {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Cleans up a cell value for its field
+const convertValue = (field, value) => {
+  if (Array.isArray(value) && field === 'allergies') {
+    return value
+      .map(entry => typeof entry === 'string'
+        ? { name: entry.trim() }
+        : { name: entry?.name, severity: entry?.severity, reaction: entry?.reaction, notes: entry?.notes })
+      .filter(entry => entry.name);
+  }
+
+  const text = typeof value === 'string' ? value.trim() : value;
+  if (text === undefined || text === null || text === '') return undefined;
+
+  switch (field) {
+    case 'gender':
+      return GENDER_VALUES[String(text).toLowerCase()] || String(text).toLowerCase();
+    case 'phone':
+    case 'emergencyContact.phone':
+      return String(text).replace(/[\s().-]/g, '');
+    case 'allergies':
+      return String(text).split(/[;|]/).map(name => name.trim()).filter(Boolean).map(name => ({ name }));
+    default:
+      return typeof text === 'string' ? text : String(text);
+  }
+};
+
+/**
+ * Maps the columns of a row to patient details
+ * @param {Object} values - Column name -> value
+ * @param {Object} mapping - Optional explicit column name -> patient field
+ * @returns {Object} - { details, unmapped: string[] }
+ */
+export const mapImportRow = (values, mapping = {}) => {
+  const details = {};
+  const unmapped = [];
+
+  Object.entries(values).forEach(([column, value]) => {
+    const field = mapping[column] || COLUMN_LOOKUP.get(normalizeColumn(column));
+    if (!field || !IMPORT_FIELDS[field]) {
+      unmapped.push(column);
+      return;
+    }
+    const converted = convertValue(field, value);
+    if (converted !== undefined) setPath(details, field, converted);
+  });
+
+  return { details, unmapped };
+};
+
+// Key identifying the same person twice in one file
+const rowIdentity = (details) => {
+  const dayRange = getDayRange(details.dateOfBirth);
+  return [
+    normalizeName(details.firstName),
+    normalizeName(details.lastName),
+    dayRange ? dayRange.start.toISOString() : '',
+    normalizePhone(details.phone) || ''
+  ].join('|');
+};
+
+/**
+ * Validates and (unless dry run) creates the patient of one row
+ * @param {Object} details - Mapped patient details
+ * @param {Object} options - { validation: express-validator chains, dryRun, seen: Map of rows by identity, row }
+ * @returns {Promise<Object>} - { status, patientId, possibleDuplicates, messages }
+ */
+const importRow = async (details, { validation, dryRun, seen, row }) => {
+  // Same rules as registration
+  const request = { body: details };
+  for (const chain of validation) {
+    await chain.run(request);
+  }
+  const errors = validationResult(request);
+  if (!errors.isEmpty()) {
+    return { status: 'invalid', messages: errors.array().map(error => `${error.path}: ${error.msg}`) };
+  }
+
+  const identity = rowIdentity(request.body);
+  if (seen.has(identity)) {
+    return { status: 'invalid', messages: [`Same patient as row ${seen.get(identity)}`] };
+  }
+
+  const candidates = await findDuplicateCandidates(request.body);
+  const patient = new Patient({
+    ...request.body,
+    possibleDuplicates: candidates.map(({ patient: candidate, score }) => ({ patientId: candidate._id, score }))
+  });
+  patient.generateQRCode();
+
+  try {
+    await patient.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { status: 'invalid', messages: Object.values(error.errors).map(entry => `${entry.path}: ${entry.message}`) };
+  }
+  seen.set(identity, row);
+
+  const result = {
+    status: candidates.length > 0 ? 'flagged' : (dryRun ? 'valid' : 'created'),
+    possibleDuplicates: candidates.map(({ patient: candidate }) => candidate._id),
+    messages: candidates.length > 0 ? ['Possible duplicate of an existing patient'] : []
+  };
+  if (dryRun) return result;
+
+  try {
+    await patient.save();
+  } catch (error) {
+    console.error(`Patient import row ${row} error:`, error);
+    return { status: 'failed', messages: ['The patient could not be saved'] };
+  }
+  return { ...result, patientId: patient._id };
+};
+
+/**
+ * Imports parsed rows
+ * @param {Object[]} rows - From parseImportFile
+ * @param {Object} options - { validation, dryRun, mapping }
+ * @returns {Promise<Object>} - { results, totals, unmappedColumns }
+ */
+export const importPatients = async (rows, { validation, dryRun = false, mapping = {} }) => {
+  const results = [];
+  const unmappedColumns = new Set();
+  const seen = new Map();
+
+  for (const { row, values, parseError } of rows) {
+    if (parseError) {
+      results.push({ row, status: 'invalid', messages: [parseError] });
+      continue;
+    }
+
+    const { details, unmapped } = mapImportRow(values, mapping);
+    unmapped.forEach(column => unmappedColumns.add(column));
+
+    results.push({ row, ...await importRow(details, { validation, dryRun, seen, row }) });
+  }
+
+  const totals = { rows: results.length, created: 0, valid: 0, flagged: 0, invalid: 0, failed: 0 };
+  results.forEach(result => {
+    totals[result.status]++;
+  });
+
+  return { results, totals, unmappedColumns: [...unmappedColumns] };
+};
+
+// Quotes a CSV field when needed
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds the per-row report of an import as CSV
+ * @param {Object} patientImport - PatientImport document
+ * @returns {string} - CSV content
+ */
+export const buildImportReport = (patientImport) => {
+  const lines = [['row', 'status', 'patientId', 'possibleDuplicates', 'messages']];
+  patientImport.results.forEach(result => {
+    lines.push([
+      result.row,
+      result.status,
+      result.patientId,
+      (result.possibleDuplicates || []).join(' '),
+      (result.messages || []).join('; ')
+    ]);
+  });
+  return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+export default {
+  IMPORT_FORMATS,
+  getImportMaxRows,
+  getImportMaxSize,
+  createImportUpload,
+  parseCsv,
+  parseImportFile,
+  mapImportRow,
+  importPatients,
+  buildImportReport
+};
@@ -0,0 +1,97 @@
+/**
+ * Patient Medication Service
+ *
+ * Adds, edits and discontinues entries on a patient's allergy and
+ * medication lists. Every change is written to MedicalRecordChange so the
+ * lists keep their history, and medication changes return the conflict
+ * warnings from the bundled rules table.
+ */
+
+import MedicalRecordChange from '../models/MedicalRecordChange.js';
+import { getPatientMedicationWarnings } from './medicationConflicts.js';
+
+// Fields staff may set on list entries
+export const ALLERGY_FIELDS = ['name', 'severity', 'reaction', 'notes'];
+export const MEDICATION_FIELDS = ['name', 'dosage', 'frequency', 'route', 'startDate', 'endDate', 'notes'];
+
+/**
+ * Applies updates to a list entry and collects field level changes
+ * @param {Object} entry - Allergy or medication subdocument
+ * @param {Object} updates - Submitted values
+ * @param {string[]} fields - Editable fields
+ * @returns {Object[]} - [{ field, from, to }]
+ */
+export const applyEntryUpdates = (entry, updates, fields) => {
+  const changes = [];
+
+  fields.forEach(field => {
+    if (updates[field] === undefined) return;
+
+    const from = entry[field] instanceof Date ? entry[field].toISOString() : entry[field];
+    entry[field] = updates[field];
+    const to = entry[field] instanceof Date ? entry[field].toISOString() : entry[field];
+
+    if (from !== to) changes.push({ field, from, to });
+  });
+
+  return changes;
+};
+
+/**
+ * Adds an allergy to a patient
+ * @param {Object} patient - Patient document
+ * @param {Object} details - Allergy fields
+ * @param {Object} user - Staff member recording it
+ * @returns {Promise<Object>} - The new allergy entry
+ */
+export const addAllergy = async (patient, details, user) => {
+  const allergy = patient.allergies.create({
+    ...Object.fromEntries(ALLERGY_FIELDS.map(field => [field, details[field]])),
+    status: 'active',
+    recordedBy: user._id,
+    recordedAt: new Date()
+  });
+  patient.allergies.push(allergy);
+  await patient.save();
+
+  await MedicalRecordChange.record(patient, user, 'allergy', allergy, 'add');
+
+  return allergy;
+};
+
+/**
+ * Adds a medication to a patient and reports conflicts with their allergies and medications
+ * @param {Object} patient - Patient document
+ * @param {Object} details - Medication fields
+ * @param {Object} user - Staff member recording it
+ * @param {Object} options - { encounterId, prescribed } when it comes from a prescription
+ * @returns {Promise<Object>} - { medication, warnings }
+ */
+export const addMedication = async (patient, details, user, { encounterId, prescribed = false } = {}) => {
+  // Checked before the new entry is on the list, so it isn't reported as its own duplicate
+  const warnings = getPatientMedicationWarnings(patient, details.name);
+
+  const medication = patient.currentMedications.create({
+    ...Object.fromEntries(MEDICATION_FIELDS.map(field => [field, details[field]])),
+    startDate: details.startDate || new Date(),
+    status: 'active',
+    prescribedBy: prescribed ? user._id : undefined,
+    encounterId,
+    recordedBy: user._id,
+    recordedAt: new Date()
+  });
+  patient.currentMedications.push(medication);
+  await patient.save();
+
+  await MedicalRecordChange.record(patient, user, 'medication', medication, prescribed ? 'prescribe' : 'add', { warnings });
+
+  return { medication, warnings };
+};
+
+export default {
+  ALLERGY_FIELDS,
+  MEDICATION_FIELDS,
+  applyEntryUpdates,
+  addAllergy,
+  addMedication
+};
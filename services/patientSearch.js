@@ -0,0 +1,190 @@
+/**
+ * Patient Search Service
+ *
+ * Staff search over patient records. The search text is split into the
+ * parts it contains: an email address, a date of birth, a phone number and
+ * name words. Names go through the text index, on the names themselves and
+ * on their normalized and phonetic keys (so "Jon Smyth" finds "John Smith"),
+ * and results are ranked by relevance. Dates of birth, phone numbers and
+ * emails must match exactly; phone and email are encrypted and are matched
+ * on their blind indexes, so partial numbers cannot be searched.
+ *
+ * Results are paginated with an opaque cursor (the sort value and ID of the
+ * last result) instead of skip/limit, which stays fast on deep pages and
+ * does not repeat or skip records when patients register in between.
+ */
+
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import { normalizePhone, normalizeName, phoneticKey, parseDateOfBirth, getDayRange } from './normalize.js';
+
+// Fields never returned by a search (selected out of the schema by default)
+const HIDDEN_FIELDS = ['phoneIndex', 'emailIndex', 'searchTokens', 'linkCodeHash', 'linkCodeExpires'];
+
+const EMAIL_PATTERN = /[^\s,]+@[^\s,]+\.[^\s,]+/;
+const DATE_PATTERN = /\b(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{4})\b/;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{5,}\d/;
+
+/**
+ * Splits search text into the parts it contains
+ * @param {string} text - Search text as typed
+ * @returns {Object} - { email, dates: Date[], phone, names: string[] }
+ */
+export const parseSearchText = (text) => {
+  let rest = String(text || '');
+  const parts = { email: undefined, dates: [], phone: undefined, names: [] };
+
+  const take = (pattern) => {
+    const match = rest.match(pattern);
+    if (!match) return undefined;
+    rest = rest.replace(match[0], ' ');
+    return match[0];
+  };
+
+  parts.email = take(EMAIL_PATTERN);
+
+  const date = take(DATE_PATTERN);
+  if (date) parts.dates = parseDateOfBirth(date);
+
+  const phone = take(PHONE_PATTERN);
+  if (phone && normalizePhone(phone)?.length >= 7) parts.phone = phone;
+
+  parts.names = rest.split(/[\s,-]+/)
+    .map(normalizeName)
+    .filter(word => word.length >= 2);
+
+  return parts;
+};
+
+/**
+ * Encodes the position after a result
+ * @param {*} value - Sort value (relevance score or registration date)
+ * @param {Object} id - Patient ID
+ * @returns {string} - Opaque cursor
+ */
+export const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify([value instanceof Date ? value.toISOString() : value, String(id)])).toString('base64url');
+
+/**
+ * Decodes a cursor from encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} - { value, id }, or null when the cursor is invalid
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    if (typeof value === 'number') return { value, id: new mongoose.Types.ObjectId(id) };
+
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) return null;
+    return { value: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Builds the match conditions of a search
+ * @param {Object} options - { search, status, assignedDoctor, lastVisitFrom, lastVisitTo }
+ * @returns {Object|null} - { match, textSearch }, or null when the search text has nothing to search on
+ */
+const buildSearchMatch = ({ search, status, assignedDoctor, lastVisitFrom, lastVisitTo }) => {
+  // Merged duplicates live on in their surviving record
+  const match = { mergedInto: null };
+  const conditions = [];
+  let textSearch = false;
+
+  if (search && search.trim()) {
+    const { email, dates, phone, names } = parseSearchText(search);
+    if (!email && dates.length === 0 && !phone && names.length === 0) return null;
+
+    if (names.length > 0) {
+      const terms = names.flatMap(name => [name, phoneticKey(name)]);
+      match.$text = { $search: [...new Set(terms)].join(' ') };
+      textSearch = true;
+    }
+    if (dates.length > 0) {
+      conditions.push({
+        $or: dates.map(date => {
+          const { start, end } = getDayRange(date);
+          return { dateOfBirth: { $gte: start, $lt: end } };
+        })
+      });
+    }
+    conditions.push(...Patient.contactConditions({ phone, email }));
+  }
+
+  if (status) match.status = status;
+  if (assignedDoctor) match.assignedDoctor = new mongoose.Types.ObjectId(assignedDoctor);
+
+  // Calendar days, both inclusive
+  if (lastVisitFrom || lastVisitTo) {
+    match.lastVisit = {};
+    if (lastVisitFrom) match.lastVisit.$gte = getDayRange(lastVisitFrom).start;
+    if (lastVisitTo) match.lastVisit.$lt = getDayRange(lastVisitTo).end;
+  }
+
+  if (conditions.length > 0) match.$and = conditions;
+  return { match, textSearch };
+};
+
+/**
+ * Searches patients
+ *
+ * With name words results are ordered by relevance, otherwise by
+ * registration date (newest first).
+ * @param {Object} filters - { search, status, assignedDoctor, lastVisitFrom, lastVisitTo }
+ * @param {Object} options - { cursor (from a previous page), limit }
+ * @returns {Promise<Object>} - { patients, total, nextCursor }
+ */
+export const searchPatients = async (filters, { cursor, limit = 10 } = {}) => {
+  const built = buildSearchMatch(filters);
+  if (!built) return { patients: [], total: 0, nextCursor: null };
+
+  const { match, textSearch } = built;
+  const sortField = textSearch ? 'searchScore' : 'createdAt';
+
+  const pipeline = [{ $match: match }];
+  if (textSearch) pipeline.push({ $addFields: { searchScore: { $meta: 'textScore' } } });
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (after) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { [sortField]: { $lt: after.value } },
+          { [sortField]: after.value, _id: { $lt: after.id } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { [sortField]: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    { $project: Object.fromEntries(HIDDEN_FIELDS.map(field => [field, 0])) }
+  );
+
+  const [results, total] = await Promise.all([
+    Patient.aggregate(pipeline),
+    Patient.countDocuments(match)
+  ]);
+
+  const page = results.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = results.length > limit ? encodeCursor(last[sortField], last._id) : null;
+
+  // Hydrating decrypts the encrypted fields like a regular query
+  const patients = page.map(({ searchScore, ...raw }) => Patient.hydrate(raw));
+  await Patient.populate(patients, { path: 'userId', select: 'firstName lastName email' });
+
+  return { patients, total, nextCursor };
+};
+
+export default {
+  parseSearchText,
+  encodeCursor,
+  decodeCursor,
+  searchPatients
+};
@@ -0,0 +1,243 @@
+/**
+ * Permission Service
+ *
+ * Fine-grained authorization. Routes declare the permission they need
+ * (`requirePermission('queue:delete')`) and each role maps to a set of
+ * permissions. The matrix is stored in the RolePermission collection and
+ * falls back to DEFAULT_ROLE_PERMISSIONS for roles without a stored entry.
+ * Stored entries also get the defaults of permissions added to the API after
+ * they were saved, so new features work without editing the matrix again.
+ */
+
+import RolePermission from '../models/RolePermission.js';
+
+export const ROLES = ['patient', 'reception', 'doctor', 'admin'];
+
+// Every permission known to the API
+export const PERMISSIONS = {
+  'patient:list': 'List and search patients',
+  'patient:read': 'View a patient record (demographics)',
+  'patient:read:clinical': 'View clinical details of patients in your care',
+  'patient:read:clinical:any': 'View clinical details of any patient',
+  'patient:break-glass': 'Open emergency access to any patient record (reviewed afterwards)',
+  'patient:access:review': 'Review emergency access to patient records',
+  'patient:update:demographics': 'Edit patient contact, address, insurance and status',
+  'patient:update:clinical': 'Edit patient symptoms, history, allergies, medications and blood type',
+  'patient:qr:generate': 'Generate a new QR code for a patient',
+  'patient:qr:scan': 'Look up a patient by QR code',
+  'patient:link': 'Link patient records to user accounts',
+  'patient:merge': 'Merge duplicate patient records',
+  'patient:import': 'Bulk import patient records from a file',
+  'patient:export': 'Export everything held about a patient (right of access)',
+  'patient:erasure:request': 'Request erasure of a patient record (right to be forgotten)',
+  'patient:erasure:approve': 'Review erasure requests and erase patient records',
+  'patient:consent:manage': 'Record and revoke patient consents',
+  'patient:guardian:manage': 'Add and remove the guardians of patients',
+  'patient:stats': 'View patient statistics',
+  'qr:generate': 'Generate arbitrary QR code images',
+  'qr:validate': 'Validate scanned QR codes',
+  'qr:stats': 'View QR code statistics',
+  'queue:read': 'View the queue',
+  'queue:check-in': 'Check patients into the queue',
+  'queue:vitals': 'Record triage vital signs',
+  'queue:update-status': 'Change queue entry status',
+  'queue:assign-doctor': 'Assign doctors to queue entries',
+  'queue:call-next': 'Call the next patient',
+  'queue:stats': 'View queue statistics',
+  'queue:delete': 'Remove queue entries',
+  'encounter:read': 'View patient encounter history',
+  'encounter:update': 'Record encounter outcomes',
+  'prescription:write': 'Write prescriptions during an encounter',
+  'document:read': 'View and download patient documents',
+  'document:upload': 'Upload patient documents',
+  'document:delete': 'Delete patient documents',
+  'fhir:export': 'Read patients, appointments and encounters as FHIR resources',
+  'fhir:import': 'Import and update patients, appointments and encounters from FHIR resources',
+  'appointment:create': 'Book appointments',
+  'appointment:read': 'View appointments',
+  'appointment:update': 'Reschedule and edit appointments',
+  'appointment:update-status': 'Change appointment status',
+  'appointment:cancel': 'Cancel appointments',
+  'appointment:stats': 'View appointment statistics',
+  'user:manage': 'List, edit and unlock user accounts',
+  'user:invite': 'Invite staff members',
+  'device:manage': 'Register kiosks and scanners and manage their API keys',
+  'security:audit': 'View the security event log of all users',
+  'security:manage': 'Edit security policies and the permission matrix'
+};
+
+// Permissions an admin can never lose (prevents locking everybody out)
+export const LOCKED_ADMIN_PERMISSIONS = ['security:manage'];
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  patient: [],
+  reception: [
+    'patient:list',
+    'patient:read',
+    'patient:update:demographics',
+    'patient:qr:generate',
+    'patient:qr:scan',
+    'patient:link',
+    'patient:erasure:request',
+    'patient:consent:manage',
+    'patient:guardian:manage',
+    'patient:stats',
+    'qr:generate',
+    'qr:validate',
+    'qr:stats',
+    'queue:read',
+    'queue:check-in',
+    'queue:vitals',
+    'queue:update-status',
+    'queue:assign-doctor',
+    'queue:call-next',
+    'queue:stats',
+    'encounter:read',
+    'document:read',
+    'document:upload',
+    'fhir:export',
+    'fhir:import',
+    'appointment:create',
+    'appointment:read',
+    'appointment:update',
+    'appointment:update-status',
+    'appointment:cancel',
+    'appointment:stats'
+  ],
+  doctor: [
+    'patient:list',
+    'patient:read',
+    'patient:read:clinical',
+    'patient:break-glass',
+    'patient:update:demographics',
+    'patient:update:clinical',
+    'patient:consent:manage',
+    'patient:qr:scan',
+    'patient:stats',
+    'qr:validate',
+    'queue:read',
+    'queue:vitals',
+    'queue:update-status',
+    'queue:call-next',
+    'queue:stats',
+    'encounter:read',
+    'encounter:update',
+    'prescription:write',
+    'document:read',
+    'document:upload',
+    'fhir:export',
+    'fhir:import',
+    'appointment:read',
+    'appointment:update',
+    'appointment:update-status',
+    'appointment:stats'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+// Cached matrix so protected routes don't hit the database on every request
+const CACHE_TTL_MS = 60 * 1000;
+let cachedMatrix = null;
+let cachedAt = 0;
+
+/**
+ * Gets the permissions of a stored role entry, plus the defaults of permissions
+ * added since it was saved (entries saved before this was tracked get nothing
+ * added until scripts/migrate-role-permissions.js has run)
+ * @param {Object} entry - RolePermission document
+ * @returns {string[]} - Permission names
+ */
+export const getStoredRolePermissions = (entry) => {
+  const known = entry.knownPermissions || [];
+  if (known.length === 0) return entry.permissions;
+
+  const added = (DEFAULT_ROLE_PERMISSIONS[entry.role] || [])
+    .filter(permission => !known.includes(permission) && !entry.permissions.includes(permission));
+  return [...entry.permissions, ...added];
+};
+
+/**
+ * Loads the full role -> permissions matrix (stored entries override defaults)
+ * @returns {Promise<Object>} - { role: string[] }
+ */
+export const getPermissionMatrix = async () => {
+  if (cachedMatrix && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedMatrix;
+  }
+
+  const stored = await RolePermission.find({});
+  const matrix = { ...DEFAULT_ROLE_PERMISSIONS };
+  stored.forEach(entry => {
+    matrix[entry.role] = getStoredRolePermissions(entry);
+  });
+
+  cachedMatrix = matrix;
+  cachedAt = Date.now();
+
+  return matrix;
+};
+
+/**
+ * Drops the cached matrix after it has been edited
+ */
+export const clearPermissionCache = () => {
+  cachedMatrix = null;
+  cachedAt = 0;
+};
+
+/**
+ * Gets the permissions granted to a role
+ * @param {string} role - User role
+ * @returns {Promise<string[]>} - Permission names
+ */
+export const getRolePermissions = async (role) => {
+  const matrix = await getPermissionMatrix();
+  return matrix[role] || [];
+};
+
+/**
+ * Checks whether a user has a permission
+ * @param {Object} user - User document
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} - Whether the permission is granted
+ */
+export const hasPermission = async (user, permission) => {
+  if (!user) return false;
+  const permissions = await getRolePermissions(user.role);
+  return permissions.includes(permission);
+};
+
+/**
+ * Validates a permission list for a role
+ * @param {string} role - Role being edited
+ * @param {string[]} permissions - Proposed permissions
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateRolePermissions = (role, permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+
+  if (role === 'admin') {
+    const missing = LOCKED_ADMIN_PERMISSIONS.filter(permission => !permissions.includes(permission));
+    if (missing.length > 0) {
+      return `The admin role must keep: ${missing.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ADMIN_PERMISSIONS,
+  getStoredRolePermissions,
+  getPermissionMatrix,
+  clearPermissionCache,
+  getRolePermissions,
+  hasPermission,
+  validateRolePermissions
+};
@@ -0,0 +1,157 @@
+/**
+ * Session Service
+ *
+ * Issues short-lived access tokens paired with rotating refresh tokens.
+ * Every login creates a Session document; the refresh token is
+ * `<sessionId>.<secret>` and only a hash of the secret is stored, so a
+ * session can be looked up, rotated and revoked server-side.
+ */
+
+import Session from '../models/Session.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { generateToken } from '../middleware/auth.js';
+import { generateSecureToken, hashToken } from './tokens.js';
+
+const REFRESH_TOKEN_BYTES = 48;
+
+/**
+ * Gets the refresh token lifetime in milliseconds
+ * @returns {number} - Lifetime in milliseconds
+ */
+const getRefreshTokenLifetime = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Generates a new refresh token secret for a session
+ * @param {Object} session - Session document
+ * @returns {string} - Refresh token in `<sessionId>.<secret>` format
+ */
+const buildRefreshToken = (session) => {
+  const secret = generateSecureToken(REFRESH_TOKEN_BYTES);
+  session.refreshTokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+/**
+ * Splits a refresh token into its session ID and secret
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Object|null} - { sessionId, secret } or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+/**
+ * Creates a new session for a user and returns its tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (used for client information)
+ * @returns {Promise<Object>} - { token, refreshToken, refreshTokenExpiresAt, sessionId }
+ */
+export const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    userAgent: req.get('user-agent')?.slice(0, 500),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetime())
+  });
+
+  const refreshToken = buildRefreshToken(session);
+  await session.save();
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id
+  };
+};
+
+/**
+ * Rotates a refresh token, issuing a new access/refresh token pair.
+ * The swap is a single conditional update, so of two requests presenting
+ * the same token only one succeeds. Presenting an already rotated token
+ * revokes the whole session, since it means the token has been copied.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request (used for the security log)
+ * @returns {Promise<Object>} - { session, token, refreshToken, refreshTokenExpiresAt } or { error }
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const secret = generateSecureToken(REFRESH_TOKEN_BYTES);
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: { refreshTokenHash: hashToken(secret), lastUsedAt: now },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId);
+    if (!existing || !existing.isActive) {
+      return { error: 'Session has expired or been revoked' };
+    }
+
+    // The session is active but the token is not its current one
+    await existing.revoke('token-reuse');
+    console.warn(`Refresh token reuse detected, session ${existing._id} revoked`);
+    await SecurityEvent.record('token-reuse-detected', {
+      req,
+      user: { _id: existing.userId },
+      details: { sessionId: existing._id }
+    });
+    return { error: 'Refresh token has already been used' };
+  }
+
+  return {
+    session,
+    token: generateToken(session.userId, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Revokes all active sessions of a user
+ * @param {string} userId - User's ID
+ * @param {string} reason - Revocation reason
+ * @param {string} exceptSessionId - Session to keep (e.g. the current one)
+ * @param {Object} options - { req, actor } recorded in the security log
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null, { req, actor } = {}) => {
+  const result = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+
+  if (result.modifiedCount > 0) {
+    await SecurityEvent.record('sessions-revoked', {
+      req,
+      user: { _id: userId },
+      actor,
+      details: { reason, count: result.modifiedCount }
+    });
+  }
+
+  return result.modifiedCount;
+};
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  revokeUserSessions
+};
@@ -0,0 +1,46 @@
+/**
+ * Token Utilities
+ *
+ * Helpers for the random, single-use tokens handed out by the API
+ * (refresh tokens, invitations, ...). Only hashes are ever persisted.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generates a random URL-safe token secret
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex encoded secret
+ */
+export const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hashes a token secret for storage
+ * @param {string} secret - Raw token secret
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+export const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Compares a raw token secret against a stored hash in constant time
+ * @param {string} secret - Raw token secret
+ * @param {string} storedHash - Hash stored in the database
+ * @returns {boolean} - Whether the secret matches
+ */
+export const matchesTokenHash = (secret, storedHash) => {
+  if (typeof secret !== 'string' || typeof storedHash !== 'string') return false;
+
+  const presented = Buffer.from(hashToken(secret));
+  const stored = Buffer.from(storedHash);
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+export default {
+  generateSecureToken,
+  hashToken,
+  matchesTokenHash
+};
@@ -0,0 +1,157 @@
+/**
+ * TOTP Service
+ *
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30s step)
+ * compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+
+/**
+ * Encodes a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} - Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+};
+
+/**
+ * Generates a new random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Gets the time step counter for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} - Time step
+ */
+export const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+};
+
+/**
+ * Generates the TOTP code for a given time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero padded code
+ */
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verifies a TOTP code, allowing for a small clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window, lastUsedStep }
+ * @returns {number|null} - Matched time step, or null if invalid or replayed
+ */
+export const verifyTotp = (secret, code, { window = 1, lastUsedStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep();
+  for (let drift = -window; drift <= window; drift++) {
+    const step = currentStep + drift;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI understood by authenticator apps
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label (usually the email)
+ * @param {string} issuer - Issuer name shown in the app
+ * @returns {string} - otpauth URI
+ */
+export const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'QRHealth') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,165 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * Handles TOTP enrolment, second-factor verification during login and
+ * single-use recovery codes. Login is split in two steps: a correct
+ * password returns a short-lived challenge token which is exchanged for
+ * a session once a valid TOTP or recovery code is presented.
+ */
+
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from './totp.js';
+import { generateSecureToken, hashToken } from './tokens.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa-login';
+
+// Fields needed to verify a second factor (all excluded from queries by default)
+export const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+/**
+ * Checks if the security policy requires two-factor for a user's role
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - Whether 2FA is mandatory
+ */
+export const isTwoFactorRequired = async (user) => {
+  const policy = await SecurityPolicy.getPolicy();
+  return policy.requiresTwoFactor(user.role);
+};
+
+/**
+ * Starts enrolment by generating a pending secret
+ * @param {Object} user - User document (caller saves)
+ * @returns {Promise<Object>} - { secret, otpauthUri, qrCodeImage }
+ */
+export const startEnrolment = async (user) => {
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+
+  const otpauthUri = buildOtpauthUri(secret, user.email);
+  const qrCodeImage = await QRCode.toDataURL(otpauthUri, {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 256
+  });
+
+  return { secret, otpauthUri, qrCodeImage };
+};
+
+/**
+ * Generates a new set of recovery codes
+ * @returns {Object} - { codes (shown once), hashes (stored) }
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateSecureToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+/**
+ * Confirms enrolment with a code from the pending secret
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS (caller saves)
+ * @param {string} code - TOTP code
+ * @returns {string[]|null} - Recovery codes, or null if the code is invalid
+ */
+export const confirmEnrolment = (user, code) => {
+  const { pendingSecret } = user.twoFactor;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotp(pendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.enabledAt = new Date();
+
+  return codes;
+};
+
+/**
+ * Verifies a TOTP or recovery code for an enrolled user.
+ * Used recovery codes are removed and TOTP steps cannot be replayed.
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS (caller saves)
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {string|null} - 'totp' or 'recovery-code' on success, null otherwise
+ */
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code, {
+      lastUsedStep: user.twoFactor.lastUsedStep ?? null
+    });
+    if (step === null) return null;
+
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return null;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery-code';
+  }
+
+  return null;
+};
+
+/**
+ * Removes all two-factor data from a user
+ * @param {Object} user - User document (caller saves)
+ */
+export const resetTwoFactor = (user) => {
+  user.twoFactor = { enabled: false };
+};
+
+/**
+ * Issues the short-lived token proving the password step succeeded
+ * @param {Object} user - User document
+ * @returns {string} - Signed challenge token
+ */
+export const createLoginChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+/**
+ * Verifies a login challenge token
+ * @param {string} token - Challenge token
+ * @returns {string|null} - User ID, or null if invalid/expired
+ */
+export const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  startEnrolment,
+  generateRecoveryCodes,
+  confirmEnrolment,
+  verifySecondFactor,
+  resetTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
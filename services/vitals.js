@@ -0,0 +1,196 @@
+/**
+ * Vital Signs Service
+ *
+ * Triage vitals recorded against a queue entry's encounter. Readings are
+ * range-checked, BMI is computed from weight and height, values outside
+ * the normal adult ranges are flagged and critical/abnormal flags raise
+ * the queue priority (never lower it). Blood pressure, heart rate and
+ * respiratory rate are not checked for minors, whose normal ranges
+ * depend on their age.
+ *
+ * Units: blood pressure mmHg, heart rate bpm, temperature °C, SpO2 %,
+ * respiratory rate breaths/min, weight kg, height cm, pain 0-10.
+ */
+
+import { QUEUE_PRIORITIES } from '../models/Queue.js';
+
+// Accepted input ranges (anything outside is a typo, not a patient)
+export const VITAL_LIMITS = {
+  'bloodPressure.systolic': { min: 40, max: 300 },
+  'bloodPressure.diastolic': { min: 20, max: 200 },
+  heartRate: { min: 20, max: 250 },
+  temperature: { min: 25, max: 45 },
+  oxygenSaturation: { min: 40, max: 100 },
+  respiratoryRate: { min: 4, max: 80 },
+  weight: { min: 0.5, max: 400 },
+  height: { min: 30, max: 250 },
+  painScore: { min: 0, max: 10 }
+};
+
+// Normal adult ranges and the thresholds that make a value critical
+// (adultOnly ranges do not apply to children and are skipped for minors)
+const VITAL_THRESHOLDS = {
+  'bloodPressure.systolic': { label: 'Systolic blood pressure', low: 90, high: 139, criticalLow: 80, criticalHigh: 180, adultOnly: true },
+  'bloodPressure.diastolic': { label: 'Diastolic blood pressure', low: 60, high: 89, criticalHigh: 120, adultOnly: true },
+  heartRate: { label: 'Heart rate', low: 60, high: 100, criticalLow: 40, criticalHigh: 130, adultOnly: true },
+  temperature: { label: 'Temperature', low: 36, high: 37.9, criticalLow: 35, criticalHigh: 40 },
+  oxygenSaturation: { label: 'Oxygen saturation', low: 95, criticalLow: 90 },
+  respiratoryRate: { label: 'Respiratory rate', low: 12, high: 20, criticalLow: 8, criticalHigh: 30, adultOnly: true },
+  painScore: { label: 'Pain score', high: 6 }
+};
+
+/**
+ * Reads a possibly nested value ('bloodPressure.systolic') from a reading
+ * @param {Object} reading - Vitals reading
+ * @param {string} path - Dotted field path
+ * @returns {*}
+ */
+const getValue = (reading, path) => path.split('.').reduce((value, key) => value?.[key], reading);
+
+/**
+ * Picks the known vital signs from request input
+ * @param {Object} input - Request body (or its `vitals` object)
+ * @returns {Object} - Reading with only the known vitals (empty when none were given)
+ */
+export const extractVitals = (input = {}) => {
+  const reading = {};
+
+  Object.keys(VITAL_LIMITS).forEach(path => {
+    const value = getValue(input, path);
+    if (value === undefined || value === null || value === '') return;
+
+    const [key, nested] = path.split('.');
+    if (nested) {
+      reading[key] = { ...reading[key], [nested]: Number(value) };
+    } else {
+      reading[key] = Number(value);
+    }
+  });
+
+  return reading;
+};
+
+/**
+ * Calculates the body mass index
+ * @param {number} weight - Weight in kg
+ * @param {number} height - Height in cm
+ * @returns {number|null} - BMI rounded to one decimal, or null if either is missing
+ */
+export const calculateBmi = (weight, height) => {
+  if (!weight || !height) return null;
+  const meters = height / 100;
+  return Math.round((weight / (meters * meters)) * 10) / 10;
+};
+
+/**
+ * Flags values outside the normal ranges
+ * @param {Object} reading - Vitals reading
+ * @param {Object} options - { isMinor } skips the adult-only ranges
+ * @returns {Object[]} - [{ vital, value, level: 'abnormal'|'critical', direction: 'low'|'high', message }]
+ */
+export const evaluateVitals = (reading, { isMinor = false } = {}) => {
+  const flags = [];
+
+  Object.entries(VITAL_THRESHOLDS).forEach(([vital, threshold]) => {
+    if (isMinor && threshold.adultOnly) return;
+
+    const value = getValue(reading, vital);
+    if (value === undefined || value === null) return;
+
+    let direction = null;
+    let level = null;
+    if (threshold.criticalLow !== undefined && value < threshold.criticalLow) {
+      [direction, level] = ['low', 'critical'];
+    } else if (threshold.criticalHigh !== undefined && value >= threshold.criticalHigh) {
+      [direction, level] = ['high', 'critical'];
+    } else if (threshold.low !== undefined && value < threshold.low) {
+      [direction, level] = ['low', 'abnormal'];
+    } else if (threshold.high !== undefined && value > threshold.high) {
+      [direction, level] = ['high', 'abnormal'];
+    }
+
+    if (level) {
+      flags.push({
+        vital,
+        value,
+        level,
+        direction,
+        message: `${threshold.label} ${level === 'critical' ? 'critically ' : ''}${direction} (${value})`
+      });
+    }
+  });
+
+  return flags;
+};
+
+/**
+ * Maps vitals flags to the queue priority they call for
+ * @param {Object[]} flags - Result of evaluateVitals
+ * @returns {string|null} - 'emergency', 'high' or null when the vitals are normal
+ */
+export const getVitalsPriority = (flags) => {
+  if (flags.some(flag => flag.level === 'critical')) return 'emergency';
+  if (flags.length > 0) return 'high';
+  return null;
+};
+
+/**
+ * Returns the more urgent of two priorities
+ * @param {string} current - Current priority
+ * @param {string|null} candidate - Proposed priority
+ * @returns {string}
+ */
+export const higherPriority = (current, candidate) => {
+  if (!candidate) return current;
+  return QUEUE_PRIORITIES.indexOf(candidate) > QUEUE_PRIORITIES.indexOf(current) ? candidate : current;
+};
+
+/**
+ * Records a vitals reading on an encounter and raises the queue priority when needed
+ * @param {Object} encounter - Encounter document
+ * @param {Object} queueEntry - Queue document (may be null for closed visits)
+ * @param {Object} reading - Submitted vitals
+ * @param {Object} options - { user, device } who recorded them, { patient } whose age selects the ranges
+ * @returns {Promise<Object>} - { vitals, priorityChanged, priority }
+ */
+export const recordVitals = async (encounter, queueEntry, reading, { user, device, patient } = {}) => {
+  // Height rarely changes during a visit, reuse the last one for BMI
+  const previousHeight = [...encounter.vitals].reverse().find(entry => entry.height)?.height;
+  const flags = evaluateVitals(reading, { isMinor: Boolean(patient?.isMinor) });
+
+  encounter.vitals.push({
+    ...reading,
+    bmi: calculateBmi(reading.weight, reading.height || previousHeight),
+    flags,
+    recordedBy: user?._id,
+    recordedByDevice: device?._id,
+    recordedAt: new Date()
+  });
+  await encounter.save();
+
+  let priorityChanged = false;
+  if (queueEntry && ['waiting', 'in-progress'].includes(queueEntry.status)) {
+    const priority = higherPriority(queueEntry.priority, getVitalsPriority(flags));
+    if (priority !== queueEntry.priority) {
+      queueEntry.priority = priority;
+      await queueEntry.save();
+      priorityChanged = true;
+    }
+  }
+
+  return {
+    vitals: encounter.vitals[encounter.vitals.length - 1],
+    priorityChanged,
+    priority: queueEntry?.priority
+  };
+};
+
+export default {
+  VITAL_LIMITS,
+  extractVitals,
+  calculateBmi,
+  evaluateVitals,
+  getVitalsPriority,
+  higherPriority,
+  recordVitals
+};